@@ -1,205 +1,790 @@
 /**
  * Neo Shop - API Service
- * 
- * Serviço responsável por fazer requisições para a API do Baserow
- * e gerenciar os dados dos produtos.
+ *
+ * Serviço responsável por fazer requisições ao proxy de produtos
+ * (Pages Functions em functions/api/products), às avaliações e aos avisos
+ * de estoque. O token do Baserow fica apenas no servidor. Os produtos
+ * recebidos são validados por ProductSchema (ver data-sources.js).
+ *
+ * As listas de produtos ficam guardadas no localStorage: a página abre com
+ * elas na hora e confere com o servidor em segundo plano (If-None-Match),
+ * avisando os interessados (subscribe) só quando os dados mudam.
+ *
+ * Toda requisição passa por request(): tempo limite, novas tentativas com
+ * espera crescente em 429/5xx (respeitando Retry-After), cancelamento e
+ * erros tipados (ApiErrors), que a interface traduz em mensagens específicas.
  */
 
+/**
+ * Falha de uma chamada à API; `code` identifica o tipo (mensagens em
+ * errors.api.* dos idiomas) e `status` o HTTP, quando houve resposta
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Descrição técnica (console)
+     * @param {Object} options - { status, data, retryAfter, cause }
+     */
+    constructor(message, options = {}) {
+        super(message, { cause: options.cause });
+        this.name = 'ApiError';
+        this.code = 'http';
+        this.status = options.status ?? null;
+        // Corpo JSON da resposta de erro (ex.: { fields } em 422)
+        this.data = options.data ?? null;
+        // Segundos pedidos pelo servidor em Retry-After
+        this.retryAfter = options.retryAfter ?? null;
+    }
+}
+
+/** Sem resposta do servidor (conexão, DNS, CORS) */
+class NetworkError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NetworkError';
+        this.code = 'network';
+    }
+}
+
+/** O servidor não respondeu dentro de api.timeout */
+class TimeoutError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TimeoutError';
+        this.code = 'timeout';
+    }
+}
+
+/** 401/403: credenciais do proxy ou da origem recusadas */
+class AuthError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AuthError';
+        this.code = 'auth';
+    }
+}
+
+/** 404/410 */
+class NotFoundError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NotFoundError';
+        this.code = 'notFound';
+    }
+}
+
+/** 429 depois de esgotadas as novas tentativas */
+class RateLimitError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'RateLimitError';
+        this.code = 'rateLimited';
+    }
+}
+
+/** Resposta que não é JSON válido ou não tem o formato esperado */
+class InvalidDataError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'InvalidDataError';
+        this.code = 'invalidData';
+    }
+}
+
 class ApiService {
     constructor() {
         // Configurações da API
-        this.baseUrl = 'https://api.baserow.io/api/database/rows/table/659848/';
-        this.token = 'qTcSjiM8UenJKeJ42CbhVuvVxm1DuZAI'; // Substitua pelo seu token real
+        this.baseUrl = '/api/products';
         this.headers = {
-            'Authorization': `Token ${this.token}`,
-            'Content-Type': 'application/json'
+            'Accept': 'application/json'
         };
+
+        // Produtos por página (máximo aceito pelo proxy: 200)
+        this.pageSize = 100;
+
+        // Pedidos "Avise-me quando chegar"
+        this.stockAlertsUrl = '/api/stock-alerts';
+
+        // Avaliações aprovadas e envio de novas avaliações
+        this.reviewsUrl = '/api/reviews';
+
+        // Respostas guardadas no navegador, uma chave por URL; a versão no
+        // prefixo descarta o cache de formatos anteriores
+        this.cacheNamespace = 'neoShop.apiCache.';
+        this.cachePrefix = `${this.cacheNamespace}v1:`;
+        // Segundos que uma resposta guardada vale sem confirmação do servidor (0 desliga)
+        this.cacheTtl = 86400;
+        // Segundos que uma resposta vencida ainda substitui o servidor fora do ar
+        this.staleTtl = 30 * 86400;
+        // Respostas conferidas há menos tempo que isso não são revalidadas de novo
+        this.revalidateAfter = 30 * 1000;
+
+        // Requisições em andamento por URL (pedidos repetidos aguardam a mesma)
+        this.pending = new Map();
+        this.listeners = [];
+
+        // Tempo limite de cada tentativa e novas tentativas em 429/5xx
+        this.timeout = 10 * 1000;
+        this.retries = 2;
+        this.retryStatuses = [429, 500, 502, 503, 504];
+        // Espera da primeira nova tentativa (dobra a cada uma) e a maior aceita
+        this.retryDelay = 500;
+        this.maxRetryDelay = 10 * 1000;
     }
 
     /**
-     * Busca todos os produtos da API
-     * @param {Object} filters - Filtros opcionais para a consulta
-     * @returns {Promise<Array>} - Array de produtos
+     * Aplica as opções de config.json (seção "api")
+     * @param {Object} options - { productsUrl, pageSize, stockAlertsUrl, reviewsUrl, cacheTtl, timeout, retries }
      */
-    async fetchProducts(filters = {}) {
-        try {
-            // Construir URL com parâmetros
-            const url = new URL(this.baseUrl);
-            url.searchParams.append('user_field_names', 'true');
-            
-            // Filtrar apenas produtos públicos
-            url.searchParams.append('filter__Public__equal', 'true');
-            
-            // Adicionar filtros extras se fornecidos
-            Object.keys(filters).forEach(key => {
-                if (filters[key] !== null && filters[key] !== undefined) {
-                    url.searchParams.append(key, filters[key]);
-                }
-            });
+    configure(options = {}) {
+        if (options.productsUrl) {
+            this.baseUrl = options.productsUrl;
+        }
+        if (options.stockAlertsUrl) {
+            this.stockAlertsUrl = options.stockAlertsUrl;
+        }
+        if (options.reviewsUrl) {
+            this.reviewsUrl = options.reviewsUrl;
+        }
+        if (options.pageSize) {
+            this.pageSize = options.pageSize;
+        }
+        if (Number.isInteger(options.cacheTtl)) {
+            this.cacheTtl = options.cacheTtl;
+        }
+        if (options.timeout) {
+            this.timeout = options.timeout * 1000;
+        }
+        if (Number.isInteger(options.retries)) {
+            this.retries = options.retries;
+        }
 
-            console.log('Fazendo requisição para:', url.toString());
+        this.pruneCache();
+    }
 
-            const response = await fetch(url.toString(), {
-                method: 'GET',
-                headers: this.headers
-            });
+    /**
+     * Registra uma função chamada quando uma revalidação em segundo plano
+     * traz dados diferentes dos que foram entregues do cache
+     * @param {Function} listener - Recebe { url, data }
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notifica os interessados sobre dados novos
+     * @param {string} url - Endereço revalidado
+     * @param {*} data - Dados recebidos
+     */
+    notify(url, data) {
+        this.listeners.forEach(listener => listener({ url, data }));
+    }
+
+    /**
+     * fetch com tempo limite, novas tentativas e erros tipados
+     * @param {string} url - Endereço
+     * @param {Object} options - Opções do fetch e ainda:
+     * @param {string} options.type - Corpo esperado: 'json' (padrão), 'text' ou 'none'
+     * @param {number} options.timeout - Milissegundos por tentativa (padrão: this.timeout)
+     * @param {number} options.retries - Novas tentativas (padrão: this.retries)
+     * @param {Array<number>} options.retryOn - Status que justificam nova tentativa
+     * @param {AbortSignal} options.signal - Cancela a requisição (rejeita com AbortError)
+     * @returns {Promise<Object>} - { response, data } (data null em 304)
+     * @throws {ApiError}
+     */
+    async request(url, options = {}) {
+        const {
+            type = 'json',
+            timeout = this.timeout,
+            retries = this.retries,
+            retryOn = this.retryStatuses,
+            signal,
+            ...init
+        } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(url, init, { type, timeout, signal });
+            } catch (error) {
+                const delay = attempt < retries ? this.getRetryDelay(error, attempt, retryOn) : null;
+                if (delay === null) throw error;
+
+                console.warn(`${error.message}; nova tentativa em ${delay} ms`);
+                await this.wait(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * Uma tentativa de request()
+     * @param {string} url - Endereço
+     * @param {Object} init - Opções do fetch
+     * @param {Object} options - { type, timeout, signal }
+     * @returns {Promise<Object>} - { response, data }
+     */
+    async send(url, init, { type, timeout, signal }) {
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', cancel, { once: true });
+        }
+
+        try {
+            const response = await fetch(url, { ...init, signal: controller.signal });
 
+            if (response.status === 304) {
+                return { response, data: null };
+            }
             if (!response.ok) {
-                throw new Error(`Erro HTTP: ${response.status} - ${response.statusText}`);
+                const data = await response.json().catch(() => null);
+                throw this.createHttpError(response, data);
             }
 
-            const data = await response.json();
+            // O tempo limite vale também para a leitura do corpo
+            return { response, data: await this.readBody(response, type) };
 
-            if (!data.results || !Array.isArray(data.results)) {
-                throw new Error('Resposta da API não contém array de produtos válido');
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            if (timedOut) {
+                throw new TimeoutError(`Sem resposta de ${url} em ${timeout / 1000} s`, { cause: error });
             }
+            // Cancelada por quem chamou: AbortError, sem conversão
+            if (signal && signal.aborted) throw error;
+            throw new NetworkError(`Sem conexão com ${url}: ${error.message}`, { cause: error });
 
-            // Transformar dados da API para o formato esperado pela aplicação
-            const transformedProducts = data.results.map(product => this.transformProduct(product));
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', cancel);
+        }
+    }
 
-            console.log(`${transformedProducts.length} produtos carregados da API`);
-            
-            return transformedProducts;
+    /**
+     * @param {Response} response - Resposta bem-sucedida
+     * @param {string} type - 'json', 'text' ou 'none'
+     * @returns {Promise<*>}
+     */
+    async readBody(response, type) {
+        if (type === 'none') return null;
+        if (type === 'text') return response.text();
 
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
         } catch (error) {
-            console.error('Erro ao buscar produtos da API:', error);
-            throw new Error(`Falha ao carregar produtos: ${error.message}`);
+            throw new InvalidDataError(`A resposta de ${response.url || 'API'} não é um JSON válido`, { status: response.status, cause: error });
         }
     }
 
     /**
-     * Transforma produto da API para o formato da aplicação
-     * @param {Object} apiProduct - Produto no formato da API
-     * @returns {Object} - Produto no formato da aplicação
+     * Erro tipado conforme o status da resposta
+     * @param {Response} response - Resposta com erro
+     * @param {Object|null} data - Corpo JSON da resposta (se houver)
+     * @returns {ApiError}
      */
-    transformProduct(apiProduct) {
+    createHttpError(response, data) {
+        const status = response.status;
+        const message = `Erro HTTP: ${status} - ${response.statusText}`;
+        const options = { status, data, retryAfter: this.parseRetryAfter(response.headers.get('Retry-After')) };
+
+        if (status === 401 || status === 403) return new AuthError(message, options);
+        if (status === 404 || status === 410) return new NotFoundError(message, options);
+        if (status === 429) return new RateLimitError(message, options);
+        return new ApiError(message, options);
+    }
+
+    /**
+     * @param {string|null} value - Retry-After em segundos ou data HTTP
+     * @returns {number|null} - Segundos de espera
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+
+    /**
+     * Espera antes da próxima tentativa: Retry-After ou espera exponencial com variação
+     * @param {Error} error - Falha da tentativa
+     * @param {number} attempt - Tentativa que falhou (a partir de 0)
+     * @param {Array<number>} retryOn - Status que justificam nova tentativa
+     * @returns {number|null} - Milissegundos ou null para desistir
+     */
+    getRetryDelay(error, attempt, retryOn) {
+        if (!(error instanceof ApiError) || !retryOn.includes(error.status)) return null;
+
+        const delay = error.retryAfter !== null
+            ? error.retryAfter * 1000
+            : this.retryDelay * 2 ** attempt + Math.random() * this.retryDelay;
+
+        // Espera maior que o limite: melhor avisar o visitante do que prender a tela
+        return delay <= this.maxRetryDelay ? Math.round(delay) : null;
+    }
+
+    /**
+     * @param {number} ms - Milissegundos
+     * @param {AbortSignal} signal - Interrompe a espera (rejeita com AbortError)
+     * @returns {Promise<void>}
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const cancel = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', cancel);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', cancel, { once: true });
+        });
+    }
+
+    /**
+     * GET com cache no navegador: uma resposta ainda válida (cacheTtl) é
+     * entregue na hora e conferida com o servidor em segundo plano; uma
+     * vencida é confirmada antes, com requisição condicional (304 reaproveita
+     * o corpo guardado), e volta a ser usada se o servidor estiver fora do ar
+     * (stale-if-error: rede, tempo limite ou 5xx)
+     * @param {string} url - Endereço
+     * @param {Object} options - { type: 'json'|'text', accept, label, signal }
+     * @returns {Promise<*>} - Corpo da resposta (objeto JSON ou texto)
+     * @throws {ApiError}
+     */
+    async getCached(url, options = {}) {
+        const key = new URL(url, window.location.origin).toString();
+        const entry = this.readCache(key);
+
+        if (entry && Date.now() - entry.checkedAt <= this.cacheTtl * 1000) {
+            if (Date.now() - entry.checkedAt > this.revalidateAfter) {
+                // Sem o signal de quem chamou: a resposta já foi entregue
+                const { signal, ...background } = options;
+                this.revalidate(key, entry, { ...background, notify: true }).catch(error => {
+                    console.warn(`Não foi possível revalidar ${key}:`, error);
+                });
+            }
+            return entry.data;
+        }
+
         try {
-            // Extrair URLs das imagens da galeria
-            const gallery = Array.isArray(apiProduct.gallery) 
-                ? apiProduct.gallery.map(image => image.url || image)
-                : [];
-
-            // Transformar produto para o formato esperado
-            const transformedProduct = {
-                id: parseInt(apiProduct.id) || 0,
-                title: String(apiProduct.title || '').trim(),
-                subtitle: apiProduct.subtitle ? String(apiProduct.subtitle).trim() : null,
-                description: String(apiProduct.description || '').trim(),
-                gallery: gallery,
-                price: this.parsePrice(apiProduct.price),
-                promotionalPrice: this.parsePrice(apiProduct.promotionalPrice),
-                public: Boolean(apiProduct.Public),
-                rating: parseInt(apiProduct.Rating) || null,
-                order: parseFloat(apiProduct.order) || 0
+            return await this.revalidate(key, entry, options);
+        } catch (error) {
+            if (entry && this.isUnavailable(error)) {
+                console.warn(`Usando a resposta guardada de ${key}:`, error.message);
+                return entry.data;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Falha do servidor ou da conexão, e não da requisição (404, 401, JSON inválido)
+     * @param {Error} error - Erro de request()
+     * @returns {boolean}
+     */
+    isUnavailable(error) {
+        return error instanceof NetworkError ||
+            error instanceof TimeoutError ||
+            (error instanceof ApiError && error.status >= 500);
+    }
+
+    /**
+     * Busca a URL no servidor, uma única vez por vez: pedidos repetidos
+     * aguardam a mesma requisição, e cada um pode desistir pelo próprio
+     * signal. A requisição só é cancelada quando todos desistiram.
+     * @param {string} key - URL absoluta
+     * @param {Object|null} entry - Resposta guardada, para a requisição condicional
+     * @param {Object} options - Opções de getCached e notify (avisar se os dados mudarem)
+     * @returns {Promise<*>} - Corpo da resposta
+     */
+    revalidate(key, entry, options) {
+        const { signal } = options;
+
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        let shared = this.pending.get(key);
+
+        if (!shared) {
+            const controller = new AbortController();
+            shared = { controller, options: { ...options, signal: controller.signal }, waiters: 0 };
+            shared.promise = this.fetchFresh(key, entry, shared.options).finally(() => {
+                if (this.pending.get(key) === shared) this.pending.delete(key);
+            });
+            this.pending.set(key, shared);
+        }
+
+        // Basta um interessado pedir o aviso para a requisição compartilhada avisar
+        if (options.notify) shared.options.notify = true;
+
+        shared.waiters++;
+
+        if (!signal) {
+            return shared.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const leave = () => {
+                shared.waiters--;
+                if (shared.waiters === 0) {
+                    // Ninguém mais espera: libera a chave e cancela a requisição
+                    if (this.pending.get(key) === shared) this.pending.delete(key);
+                    shared.controller.abort(signal.reason);
+                }
+                reject(signal.reason);
             };
 
-            // Validar produto transformado
-            if (!this.isValidProduct(transformedProduct)) {
-                console.warn('Produto inválido detectado:', transformedProduct);
-                return null;
+            signal.addEventListener('abort', leave, { once: true });
+            shared.promise
+                .finally(() => signal.removeEventListener('abort', leave))
+                .then(resolve, reject);
+        });
+    }
+
+    /**
+     * @param {string} key - URL absoluta
+     * @param {Object|null} entry - Resposta guardada
+     * @param {Object} options - { type, accept, label, notify, signal }
+     * @returns {Promise<*>} - Corpo da resposta
+     */
+    async fetchFresh(key, entry, options) {
+        const headers = { 'Accept': options.accept || this.headers.Accept };
+
+        // Só na mesma origem: em outros domínios esses cabeçalhos exigiriam preflight do CORS
+        if (entry && new URL(key).origin === window.location.origin) {
+            if (entry.etag) headers['If-None-Match'] = entry.etag;
+            if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+        }
+
+        let result;
+        try {
+            // no-store: o cache HTTP do navegador não responde no lugar do servidor
+            result = await this.request(key, {
+                method: 'GET',
+                headers,
+                cache: 'no-store',
+                type: options.type || 'json',
+                signal: options.signal
+            });
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                this.removeCache(key);
             }
+            if (error instanceof ApiError && options.label) {
+                error.message += ` (${options.label})`;
+            }
+            throw error;
+        }
+
+        const { response, data } = result;
+
+        if (response.status === 304) {
+            if (!entry) {
+                throw new InvalidDataError(`304 sem resposta guardada para ${key}`, { status: 304 });
+            }
+            this.writeCache(key, { ...entry, checkedAt: Date.now() });
+            return entry.data;
+        }
 
-            return transformedProduct;
+        this.writeCache(key, {
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            data,
+            checkedAt: Date.now()
+        });
+
+        if (options.notify && entry && JSON.stringify(entry.data) !== JSON.stringify(data)) {
+            this.notify(key, data);
+        }
+
+        return data;
+    }
+
+    /**
+     * @param {string} key - URL absoluta
+     * @returns {Object|null} - { etag, lastModified, data, checkedAt } ou null
+     */
+    readCache(key) {
+        if (this.cacheTtl === 0) return null;
 
+        try {
+            const entry = JSON.parse(localStorage.getItem(this.cachePrefix + key));
+            return entry && typeof entry.checkedAt === 'number' && 'data' in entry ? entry : null;
         } catch (error) {
-            console.error('Erro ao transformar produto:', apiProduct, error);
             return null;
         }
     }
 
     /**
-     * Converte string de preço para número
-     * @param {string|number} price - Preço em string ou número
-     * @returns {number|null} - Preço convertido ou null
+     * @param {string} key - URL absoluta
+     * @param {Object} entry - { etag, lastModified, data, checkedAt }
      */
-    parsePrice(price) {
-        if (!price || price === '0.00') return null;
-        
-        const numericPrice = typeof price === 'string' 
-            ? parseFloat(price.replace(',', '.'))
-            : parseFloat(price);
-            
-        return isNaN(numericPrice) || numericPrice <= 0 ? null : numericPrice;
+    writeCache(key, entry) {
+        if (this.cacheTtl === 0) return;
+
+        const value = JSON.stringify(entry);
+        try {
+            localStorage.setItem(this.cachePrefix + key, value);
+        } catch (error) {
+            // Sem espaço: descarta as respostas guardadas e tenta mais uma vez
+            this.clearCache();
+            try {
+                localStorage.setItem(this.cachePrefix + key, value);
+            } catch (retryError) {
+                console.warn('Não foi possível guardar a resposta da API:', retryError);
+            }
+        }
     }
 
     /**
-     * Valida se um produto tem os campos obrigatórios
-     * @param {Object} product - Produto para validar
-     * @returns {boolean} - True se válido
+     * @param {string} key - URL absoluta
      */
-    isValidProduct(product) {
-        return (
-            product &&
-            typeof product.id === 'number' &&
-            product.id > 0 &&
-            typeof product.title === 'string' &&
-            product.title.length > 0 &&
-            typeof product.description === 'string' &&
-            product.description.length > 0 &&
-            Array.isArray(product.gallery) &&
-            typeof product.price === 'number' &&
-            product.price > 0 &&
-            product.public === true
-        );
+    removeCache(key) {
+        try {
+            localStorage.removeItem(this.cachePrefix + key);
+        } catch (error) {
+            // localStorage indisponível: nada guardado
+        }
     }
 
     /**
-     * Busca um produto específico por ID
-     * @param {number} productId - ID do produto
-     * @returns {Promise<Object|null>} - Produto ou null se não encontrado
+     * Remove as respostas guardadas
+     * @param {Function} shouldRemove - Recebe (chave, valor); padrão: todas
      */
-    async fetchProductById(productId) {
+    clearCache(shouldRemove = () => true) {
         try {
-            const url = `${this.baseUrl}${productId}/?user_field_names=true`;
-            
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: this.headers
-            });
+            Object.keys(localStorage)
+                .filter(name => name.startsWith(this.cacheNamespace))
+                .filter(name => shouldRemove(name, localStorage.getItem(name)))
+                .forEach(name => localStorage.removeItem(name));
+        } catch (error) {
+            // localStorage indisponível: nada guardado
+        }
+    }
 
-            if (!response.ok) {
-                if (response.status === 404) {
-                    return null;
+    /**
+     * Descarta versões antigas do cache e respostas que nem em falhas do
+     * servidor seriam usadas (ou tudo, com cacheTtl 0)
+     */
+    pruneCache() {
+        const maxAge = Math.max(this.cacheTtl, this.staleTtl) * 1000;
+
+        this.clearCache((name, value) => {
+            if (!name.startsWith(this.cachePrefix) || this.cacheTtl === 0) return true;
+            try {
+                return Date.now() - JSON.parse(value).checkedAt > maxAge;
+            } catch (error) {
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Busca todos os produtos da API, seguindo a paginação até o fim
+     * @param {Object} filters - Filtros opcionais para a consulta
+     * @param {Object} options - Opções de carregamento
+     * @param {number} options.pageSize - Produtos por página (padrão: this.pageSize)
+     * @param {Function} options.onPage - Chamada a cada página recebida com
+     *                                    { products, page, count, hasMore }
+     * @param {AbortSignal} options.signal - Cancela o carregamento
+     * @returns {Promise<Array>} - Array de produtos
+     * @throws {ApiError}
+     */
+    async fetchProducts(filters = {}, options = {}) {
+        const pageSize = options.pageSize || this.pageSize;
+        const products = [];
+        let page = 1;
+
+        try {
+            while (page) {
+                const data = await this.fetchProductsPage(page, pageSize, filters, { signal: options.signal });
+                products.push(...data.products);
+
+                if (typeof options.onPage === 'function') {
+                    options.onPage({
+                        products: data.products,
+                        page,
+                        count: data.count,
+                        hasMore: Boolean(data.next)
+                    });
                 }
-                throw new Error(`Erro HTTP: ${response.status} - ${response.statusText}`);
+
+                page = data.next;
             }
 
-            const apiProduct = await response.json();
-            const transformedProduct = this.transformProduct(apiProduct);
+            console.log(`${products.length} produtos carregados da API`);
 
-            // Verificar se o produto é público
-            if (!transformedProduct || !transformedProduct.public) {
-                return null;
+            return products;
+
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Erro ao buscar produtos da API:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Busca uma única página de produtos
+     * @param {number} page - Número da página (a partir de 1)
+     * @param {number} pageSize - Produtos por página
+     * @param {Object} filters - Filtros opcionais para a consulta
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object>} - { products, count, next }
+     * @throws {ApiError}
+     */
+    async fetchProductsPage(page = 1, pageSize = this.pageSize, filters = {}, options = {}) {
+        // Construir URL com parâmetros
+        const url = new URL(this.baseUrl, window.location.origin);
+        url.searchParams.append('page', page);
+        url.searchParams.append('size', pageSize);
+
+        // Adicionar filtros extras se fornecidos
+        Object.keys(filters).forEach(key => {
+            if (filters[key] !== null && filters[key] !== undefined) {
+                url.searchParams.append(key, filters[key]);
             }
+        });
+
+        const data = await this.getCached(url.toString(), { signal: options.signal });
+
+        if (!data || !Array.isArray(data.results)) {
+            throw new InvalidDataError('Resposta da API não contém array de produtos válido');
+        }
+
+        // O proxy entrega os campos com os nomes da aplicação; os valores são
+        // validados pelo ProductSchema (ver CatalogSource)
+        const products = data.results;
 
-            return transformedProduct;
+        return {
+            products,
+            count: typeof data.count === 'number' ? data.count : products.length,
+            // Evita laço infinito caso a resposta repita a página atual
+            next: data.next && data.next > page ? data.next : null
+        };
+    }
+
+    /**
+     * Busca um produto específico por ID
+     * @param {number} productId - ID do produto
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object|null>} - Produto como veio do proxy ou null se não encontrado
+     * @throws {ApiError} - Demais falhas (rede, tempo limite, servidor...)
+     */
+    async fetchProductById(productId, options = {}) {
+        try {
+            return await this.getCached(`${this.baseUrl}/${encodeURIComponent(productId)}`, { signal: options.signal });
 
         } catch (error) {
-            console.error(`Erro ao buscar produto ${productId}:`, error);
-            return null;
+            if (error instanceof NotFoundError) {
+                return null;
+            }
+            throw error;
         }
     }
 
     /**
-     * Busca produtos com filtro de texto (busca)
-     * @param {string} searchTerm - Termo de busca
-     * @returns {Promise<Array>} - Array de produtos filtrados
+     * Registra um pedido "Avise-me quando chegar"
+     * @param {Object} alert - { productId, variantId, variant, name, contact }
+     * @returns {Promise<Object>} - { ok: true } ou { ok: false, status, fields }
+     *                              (status 503: avisos não configurados no servidor)
      */
-    async searchProducts(searchTerm) {
-        if (!searchTerm || searchTerm.trim().length === 0) {
-            return this.fetchProducts();
+    async createStockAlert(alert) {
+        try {
+            // Nova tentativa só em 429: o pedido não foi gravado
+            await this.request(this.stockAlertsUrl, {
+                method: 'POST',
+                headers: { ...this.headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify(alert),
+                type: 'none',
+                retryOn: [429]
+            });
+
+            return { ok: true };
+
+        } catch (error) {
+            // Respostas de erro (503, 422...) são tratadas por quem chamou
+            if (!(error.status >= 400)) {
+                console.error('Erro ao registrar aviso de estoque:', error);
+            }
+            return { ok: false, status: error.status || 0, fields: error.data?.fields || null };
         }
+    }
 
+    /**
+     * Busca as avaliações aprovadas de um produto
+     * @param {number} productId - ID do produto
+     * @returns {Promise<Object>} - { ok: true, average, count, results } ou { ok: false, status }
+     *                              (status 503: avaliações não configuradas no servidor)
+     */
+    async fetchReviews(productId) {
         try {
-            const filters = {
-                'search': searchTerm.trim()
+            const url = new URL(this.reviewsUrl, window.location.origin);
+            url.searchParams.append('productId', String(productId));
+
+            // 503 aqui é "avaliações não configuradas": não adianta repetir
+            const { data } = await this.request(url.toString(), {
+                method: 'GET',
+                headers: this.headers,
+                retryOn: this.retryStatuses.filter(status => status !== 503)
+            });
+
+            return {
+                ok: true,
+                average: typeof data.average === 'number' ? data.average : null,
+                count: typeof data.count === 'number' ? data.count : 0,
+                results: Array.isArray(data.results) ? data.results : []
             };
 
-            return await this.fetchProducts(filters);
+        } catch (error) {
+            // Respostas de erro (503, 422...) são tratadas por quem chamou
+            if (!(error.status >= 400)) {
+                console.error('Erro ao buscar avaliações:', error);
+            }
+            return { ok: false, status: error.status || 0 };
+        }
+    }
+
+    /**
+     * Envia uma avaliação (fica pendente até a loja aprovar)
+     * @param {FormData} form - productId, author, rating, text, website e até 3 "photos"
+     * @returns {Promise<Object>} - { ok: true } ou { ok: false, status, fields }
+     */
+    async createReview(form) {
+        try {
+            // Sem Content-Type: o navegador define o multipart com o boundary
+            await this.request(this.reviewsUrl, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json' },
+                body: form,
+                type: 'none',
+                retryOn: [429]
+            });
+
+            return { ok: true };
 
         } catch (error) {
-            console.error('Erro na busca de produtos:', error);
-            throw error;
+            // Respostas de erro (503, 422...) são tratadas por quem chamou
+            if (!(error.status >= 400)) {
+                console.error('Erro ao enviar avaliação:', error);
+            }
+            return { ok: false, status: error.status || 0, fields: error.data?.fields || null };
         }
     }
 
@@ -209,16 +794,17 @@ class ApiService {
      */
     async testConnection() {
         try {
-            const url = new URL(this.baseUrl);
-            url.searchParams.append('user_field_names', 'true');
+            const url = new URL(this.baseUrl, window.location.origin);
             url.searchParams.append('size', '1'); // Buscar apenas 1 item para teste
-            
-            const response = await fetch(url.toString(), {
+
+            await this.request(url.toString(), {
                 method: 'GET',
-                headers: this.headers
+                headers: this.headers,
+                type: 'none',
+                retries: 0
             });
 
-            return response.ok;
+            return true;
 
         } catch (error) {
             console.error('Erro ao testar conexão:', error);
@@ -227,29 +813,53 @@ class ApiService {
     }
 }
 
-// Exportar instância única do serviço
+// Exportar instância única do serviço e os tipos de erro
 window.ApiService = new ApiService();
+window.ApiErrors = { ApiError, NetworkError, TimeoutError, AuthError, NotFoundError, RateLimitError, InvalidDataError };
 
 /**
  * INSTRUÇÕES DE CONFIGURAÇÃO:
- * 
- * 1. Substitua 'YOUR_DATABASE_TOKEN' pelo seu token real do Baserow
- * 2. Verifique se a URL da tabela (659848) está correta
- * 3. Certifique-se de que os campos da API correspondem aos esperados:
- *    - id, title, subtitle, description, price, promotionalPrice, gallery, Public, Rating
- * 4. Teste a conexão antes de usar em produção
- * 
+ *
+ * 1. O token do Baserow é um secret das Functions: `npx wrangler pages secret put BASEROW_TOKEN`
+ * 2. Verifique o ID da tabela em BASEROW_TABLE_ID (wrangler.toml)
+ * 3. Certifique-se de que os campos da tabela correspondem aos esperados:
+ *    - id, title, subtitle, description, price, promotionalPrice, gallery, category, tags, Public, Rating
+ *    - opcional: Review Count (quantidade de avaliações aprovadas)
+ *    - opcional: Created (data de criação, usada em "Mais recentes")
+ *    - opcional: Stock (quantidade) e Available (disponibilidade)
+ * 4. Para testar localmente: `npm run stub:baserow` e `npm run dev`
+ *
  * EXEMPLO DE USO:
- * 
- * // Buscar todos os produtos públicos
+ *
+ * // Produtos validados da origem configurada (dataSource), pelo ProductSchema
+ * const products = await CatalogSource.load();
+ *
+ * // Buscar todos os produtos públicos no proxy, como vieram do servidor
  * const products = await ApiService.fetchProducts();
- * 
+ *
+ * // Renderizar cada página assim que chegar
+ * await ApiService.fetchProducts({}, { pageSize: 50, onPage: ({ products, count }) => {} });
+ *
  * // Buscar produto específico
  * const product = await ApiService.fetchProductById(123);
- * 
- * // Buscar produtos por termo
- * const results = await ApiService.searchProducts('smartphone');
- * 
- * // Testar conexão
+ *
+ * // Qualquer GET com o cache do navegador, e aviso quando a revalidação trouxer dados novos
+ * const data = await ApiService.getCached('/data/products.json');
+ * ApiService.subscribe(({ url, data }) => {});
+ *
+ * // Requisição com tempo limite, novas tentativas e erros tipados
+ * try {
+ *     const { data } = await ApiService.request('/api/products?size=1', { timeout: 5000, retries: 1 });
+ * } catch (error) {
+ *     if (error instanceof ApiErrors.RateLimitError) console.log(error.retryAfter);
+ * }
+ *
+ * // Avaliações aprovadas de um produto
+ * const { average, count, results } = await ApiService.fetchReviews(12);
+ *
+ * // Pedir aviso quando um produto esgotado chegar
+ * await ApiService.createStockAlert({ productId: 12, contact: '5521999999999' });
+ *
+ * // Testar conexão (diagnóstico; o carregamento não depende dela)
  * const isConnected = await ApiService.testConnection();
- */
\ No newline at end of file
+ */
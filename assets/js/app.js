@@ -6,12 +6,24 @@
  */
 
 class ProductCatalog {
-    constructor() {
+    /**
+     * @param {Object} config - Configuração da loja (ver assets/js/config.js)
+     */
+    constructor(config) {
+        this.config = config;
+
         // Elementos do DOM
         this.elements = {
+            storeLogo: document.getElementById('storeLogo'),
+            storeName: document.getElementById('storeName'),
+            headerWhatsApp: document.getElementById('headerWhatsApp'),
+            footerText: document.getElementById('footerText'),
             loading: document.getElementById('loading'),
             error: document.getElementById('error'),
             productsGrid: document.getElementById('productsGrid'),
+            loadMore: document.getElementById('loadMore'),
+            loadMoreStatus: document.getElementById('loadMoreStatus'),
+            loadMoreButton: document.getElementById('loadMoreButton'),
             retryBtn: document.getElementById('retryBtn'),
             modal: document.getElementById('productModal'),
             modalOverlay: document.getElementById('modalOverlay'),
@@ -20,17 +32,140 @@ class ProductCatalog {
             searchInput: document.getElementById('searchInput'),
             searchButton: document.getElementById('searchButton'),
             clearSearch: document.getElementById('clearSearch'),
+            searchSuggestions: document.getElementById('searchSuggestions'),
+            searchSuggestionsHeader: document.getElementById('searchSuggestionsHeader'),
+            searchSuggestionsList: document.getElementById('searchSuggestionsList'),
+            searchHistoryClear: document.getElementById('searchHistoryClear'),
             searchResultsInfo: document.getElementById('searchResultsInfo'),
             resultsCount: document.getElementById('resultsCount'),
-            clearAllFilters: document.getElementById('clearAllFilters')
+            clearAllFilters: document.getElementById('clearAllFilters'),
+            filtersPanel: document.getElementById('filtersPanel'),
+            filtersBody: document.getElementById('filtersBody'),
+            filtersClear: document.getElementById('filtersClear'),
+            filtersToggle: document.getElementById('filtersToggle'),
+            catalogToolbar: document.getElementById('catalogToolbar'),
+            sortSelect: document.getElementById('sortSelect'),
+            favoritesButton: document.getElementById('favoritesButton'),
+            favoritesBadge: document.getElementById('favoritesBadge'),
+            favoritesBar: document.getElementById('favoritesBar'),
+            favoritesBarTitle: document.getElementById('favoritesBarTitle'),
+            favoritesSave: document.getElementById('favoritesSave'),
+            favoritesShare: document.getElementById('favoritesShare'),
+            favoritesWhatsApp: document.getElementById('favoritesWhatsApp'),
+            cartButton: document.getElementById('cartButton'),
+            cartBadge: document.getElementById('cartBadge'),
+            cartDrawer: document.getElementById('cartDrawer'),
+            cartOverlay: document.getElementById('cartOverlay'),
+            cartClose: document.getElementById('cartClose'),
+            cartItems: document.getElementById('cartItems'),
+            cartFooter: document.getElementById('cartFooter'),
+            cartTotal: document.getElementById('cartTotal'),
+            cartCheckout: document.getElementById('cartCheckout'),
+            cartClear: document.getElementById('cartClear'),
+            languageSelect: document.getElementById('languageSelect')
         };
 
+        // Idioma da interface, das mensagens e dos produtos traduzidos
+        this.i18n = window.I18n;
+        this.messages = this.i18n.getMessages(config);
+
+        // Escolha do número de WhatsApp (vendedores, horário e rodízio)
+        this.whatsappRouter = window.WhatsAppRouter;
+        this.whatsappRouter.configure(config.whatsapp);
+
+        // Origem dos produtos (Baserow, JSON, planilha ou REST) e o JSON local de reserva
+        this.catalogSource = window.CatalogSource || null;
+
+        // Produtos da origem principal como foram exibidos (para comparar com
+        // os que a revalidação do cache trouxer) e o atraso que agrupa os avisos
+        this.catalogSignature = null;
+        this.refreshTimer = null;
+        this.refreshDelay = 300;
+        // Atualização em andamento (uma nova, ou um novo carregamento, a cancela)
+        this.refreshController = null;
+
+        // Serviços opcionais, conforme os recursos ligados na configuração
+        this.cart = this.hasFeature('cart') ? window.CartService || null : null;
+        this.favorites = this.hasFeature('favorites') ? window.FavoritesService || null : null;
+        this.reviews = this.hasFeature('reviews') ? window.ReviewService || null : null;
+
         // Estado da aplicação
         this.products = [];
         this.filteredProducts = [];
         this.isLoading = false;
         this.currentSearchTerm = '';
 
+        // Busca por relevância (pontuações refeitas só quando termo ou produtos mudam)
+        this.searchEngine = window.SearchEngine || null;
+        this.searchCache = { term: null, products: null, scores: new Map() };
+
+        // Sugestões exibidas sob o campo de busca e a opção destacada pelo teclado
+        this.searchHistory = window.SearchHistory || null;
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.maxProductSuggestions = 6;
+
+        // Filtros por faceta (combinados com a busca)
+        this.filters = this.createEmptyFilters();
+        this.priceBounds = { min: 0, max: 0 };
+
+        // Ordenação da grid (ver sortProducts)
+        this.sortBy = 'relevance';
+
+        // Paginação: total real informado pela API e renderização em lotes
+        this.totalProducts = 0;
+        this.hasMorePages = false;
+        this.renderBatchSize = 24;
+        this.renderedCount = 0;
+
+        // Cards exibidos por ID do produto: { key, html, element } (ver reconcileCards)
+        this.renderedCards = new Map();
+
+        // Estado na URL (busca, filtros e produto aberto) para links compartilháveis
+        this.urlState = window.UrlState || null;
+        this.currentProductId = null;
+        this.pendingProductId = null;
+        this.modalHistoryEntry = false;
+        // Produto exibido no modal (usado pelos listeners delegados do modal)
+        this.modalProduct = null;
+
+        // Produtos abertos por link que ainda não estão na lista carregada e
+        // a busca em andamento de um deles (outro link a cancela)
+        this.detachedProducts = new Map();
+        this.productController = null;
+
+        // Variações (tamanho, cor...) e a variação escolhida no modal
+        this.variants = window.ProductVariants;
+        this.selectedVariant = null;
+
+        // Galeria do modal (fotos e vídeos) e a visualização em tela cheia
+        this.media = window.GalleryMedia;
+        this.lightbox = window.Lightbox || null;
+        this.galleryProduct = null;
+        this.galleryItems = [];
+        this.galleryIndex = 0;
+        this.galleryTitle = '';
+
+        // Fotos de cada avaliação exibida no modal (abertas na tela cheia)
+        this.reviewPhotos = [];
+
+        // Fotos com srcset, fundo provisório e imagens locais de "sem foto" e erro
+        this.images = window.ImageService;
+        this.images.configure(config.images);
+
+        // Situação de estoque (esgotado, últimas unidades)
+        this.stock = window.StockService;
+        this.stock.configure(config.stock);
+
+        // Moeda (a do idioma, quando configurada), parcelamento e descontos por forma de pagamento
+        this.pricing = window.PricingService;
+        this.pricing.configure(this.i18n.getCurrency(config.currency), config.pricing);
+
+        // Promoções com período (início/fim) avaliadas a cada exibição
+        this.promotions = window.PromotionService;
+        this.promotions.configure(config.promotions);
+        this.promotionsCheckedAt = new Date();
+
         // Inicializar aplicação
         this.init();
     }
@@ -39,14 +174,108 @@ class ProductCatalog {
      * Inicializa a aplicação configurando event listeners e carregando produtos
      */
     init() {
+        this.i18n.translatePage();
+        this.applyStoreConfig();
+        this.setupLanguageSelect();
+        window.ApiService?.configure(this.config.api);
+        window.ApiService?.subscribe(() => this.scheduleRefresh());
+        this.catalogSource?.configure(this.config);
+        this.restoreUrlState();
         this.setupEventListeners();
+        this.setupPromotionTimer();
         this.loadProducts();
     }
 
+    /**
+     * Aplica nome, logo e WhatsApp da loja ao cabeçalho, rodapé e título da página
+     */
+    applyStoreConfig() {
+        const { store } = this.config;
+
+        document.title = this.t('page.title', { store: store.name });
+        document.querySelector('meta[name="description"]')?.setAttribute('content', `${store.name} - ${store.description}`);
+
+        if (this.elements.storeName) {
+            this.elements.storeName.textContent = store.name;
+        }
+
+        if (this.elements.storeLogo) {
+            this.elements.storeLogo.classList.toggle('hidden', !store.logo);
+            this.elements.storeLogo.alt = this.t('page.logoAlt', { store: store.name });
+            if (store.logo) {
+                this.elements.storeLogo.src = store.logo;
+            }
+        }
+
+        if (this.elements.headerWhatsApp) {
+            const greeting = this.fillText(this.messages.greeting);
+            const updateLink = (advance) => {
+                this.elements.headerWhatsApp.href = this.getWhatsAppUrl(greeting, [], advance);
+            };
+
+            // O vendedor é escolhido no clique (horário e rodízio do momento)
+            updateLink(false);
+            this.elements.headerWhatsApp.addEventListener('click', () => updateLink(true));
+        }
+
+        if (this.elements.footerText) {
+            this.elements.footerText.textContent = this.t('page.footer', { year: new Date().getFullYear(), store: store.name });
+        }
+    }
+
+    /**
+     * Seletor de idioma do cabeçalho (oculto quando a loja oferece um só)
+     */
+    setupLanguageSelect() {
+        const select = this.elements.languageSelect;
+        if (!select) return;
+
+        const { locales, locale } = this.i18n;
+        select.classList.toggle('hidden', locales.length < 2);
+        select.innerHTML = locales.map(item => `
+            <option value="${this.escapeHtml(item)}" lang="${this.escapeHtml(item)}">${this.escapeHtml(this.i18n.getLanguageName(item))}</option>
+        `).join('');
+        select.value = locale;
+
+        select.addEventListener('change', () => {
+            this.i18n.setLocale(select.value);
+        });
+    }
+
+    /**
+     * Texto da interface no idioma atual (ver I18nService.t)
+     * @param {string} key - Chave do texto (ex.: "product.wantIt")
+     * @param {Object} values - Valor de cada variável
+     * @returns {string}
+     */
+    t(key, values) {
+        return this.i18n.t(key, values);
+    }
+
+    /**
+     * @param {string} name - Nome do recurso em config.features
+     * @returns {boolean} - True se o recurso está ligado
+     */
+    hasFeature(name) {
+        return this.config.features[name] === true;
+    }
+
+    /**
+     * Preenche as variáveis gerais ({store}) nos textos da configuração
+     * @param {string} text - Texto configurado
+     * @returns {string}
+     */
+    fillText(text) {
+        return window.MessageTemplate.render(text, { store: this.config.store.name });
+    }
+
     /**
      * Configura todos os event listeners da aplicação
      */
     setupEventListeners() {
+        // Fotos: fundo provisório até carregar e imagem local quando falham
+        this.images.watch(document);
+
         // Botão de retry
         this.elements.retryBtn?.addEventListener('click', () => {
             this.loadProducts();
@@ -61,10 +290,26 @@ class ProductCatalog {
             this.closeModal();
         });
 
-        // Modal - fechar com ESC
+        // Modal e carrinho - fechar com ESC; setas trocam a foto do modal
         document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && !this.elements.modal.classList.contains('hidden')) {
+            // Com o lightbox aberto, as teclas são dele
+            if (this.lightbox && this.lightbox.isOpen()) return;
+
+            const modalOpen = !this.elements.modal.classList.contains('hidden');
+
+            if (modalOpen && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+                if (event.target instanceof Element && event.target.closest('input, select, textarea, video')) return;
+                event.preventDefault();
+                this.stepGallery(event.key === 'ArrowLeft' ? -1 : 1);
+                return;
+            }
+
+            if (event.key !== 'Escape') return;
+
+            if (modalOpen) {
                 this.closeModal();
+            } else if (this.isCartOpen()) {
+                this.closeCart();
             }
         });
 
@@ -73,143 +318,523 @@ class ProductCatalog {
             event.stopPropagation();
         });
 
+        // Cards e conteúdo do modal: um listener delegado para cada área
+        this.setupProductGridListeners();
+        this.setupModalListeners();
+
         // Event listeners de busca
         this.setupSearchListeners();
+
+        // "Carregar mais" e rolagem infinita
+        this.setupLoadMoreListeners();
+
+        // Painel de filtros
+        this.setupFilterListeners();
+
+        // Ordenação
+        this.elements.sortSelect?.addEventListener('change', (event) => {
+            this.sortBy = event.target.value;
+            this.applyFilters();
+        });
+
+        // Event listeners do carrinho
+        this.setupCartListeners();
+
+        // Favoritos
+        this.setupFavoritesListeners();
+
+        // Voltar/avançar do navegador
+        this.urlState?.onChange(state => this.handleUrlChange(state));
+    }
+
+    /**
+     * Aplica a busca, os filtros e a ordenação da URL antes do primeiro carregamento
+     */
+    restoreUrlState() {
+        if (!this.urlState) return;
+
+        const state = this.urlState.read();
+        this.applyUrlState(state);
+        this.pendingProductId = state.productId;
+    }
+
+    /**
+     * Copia busca, filtros e ordenação de um estado da URL para a aplicação
+     * @param {Object} state - Estado lido por UrlState.read()
+     */
+    applyUrlState(state) {
+        if (this.elements.searchInput) {
+            this.elements.searchInput.value = state.search;
+        }
+        this.currentSearchTerm = state.search.toLowerCase();
+        this.elements.clearSearch?.classList.toggle('hidden', !this.currentSearchTerm);
+
+        this.filters = { ...this.createEmptyFilters(), ...state.filters };
+
+        // Ignorar ordenações desconhecidas vindas de links antigos ou editados
+        const sortOptions = this.elements.sortSelect ? [...this.elements.sortSelect.options].map(option => option.value) : [];
+        this.sortBy = sortOptions.includes(state.sortBy) ? state.sortBy : 'relevance';
+        if (this.elements.sortSelect) {
+            this.elements.sortSelect.value = this.sortBy;
+        }
+    }
+
+    /**
+     * Sincroniza a aplicação quando o usuário navega pelo histórico
+     * @param {Object} state - Estado lido da URL
+     */
+    handleUrlChange(state) {
+        if (state.productId && state.productId !== this.currentProductId) {
+            this.openProductFromUrl(state.productId);
+        } else if (!state.productId) {
+            // O produto de um link ainda sendo buscado não abre mais
+            this.productController?.abort();
+            if (this.currentProductId !== null) {
+                this.closeModal({ updateUrl: false });
+            }
+        }
+
+        const current = this.getUrlState();
+        const changed = state.search !== current.search ||
+            state.sortBy !== current.sortBy ||
+            JSON.stringify(state.filters) !== JSON.stringify(current.filters);
+
+        if (changed) {
+            this.applyUrlState(state);
+            this.applyFilters();
+        }
+    }
+
+    /**
+     * @returns {Object} - Estado atual da aplicação no formato de UrlState
+     */
+    getUrlState() {
+        return {
+            search: this.elements.searchInput ? this.elements.searchInput.value.trim() : this.currentSearchTerm,
+            filters: this.filters,
+            sortBy: this.sortBy,
+            productId: this.currentProductId
+        };
+    }
+
+    /**
+     * Reflete busca, filtros e ordenação atuais na URL, sem criar entrada no histórico
+     */
+    syncUrl() {
+        this.urlState?.replace(this.getUrlState());
     }
 
     /**
-     * Carrega os produtos da API do Baserow
+     * Carrega os produtos da origem configurada (dataSource)
      */
     async loadProducts() {
         if (this.isLoading) return;
 
+        this.refreshController?.abort();
         this.isLoading = true;
+        this.products = [];
+        this.filteredProducts = [];
+        this.totalProducts = 0;
+        this.catalogSignature = null;
         this.showLoading();
 
         try {
-            // Verificar se o serviço da API está disponível
-            if (!window.ApiService) {
-                throw new Error('Serviço da API não está disponível');
-            }
-
-            // Testar conexão primeiro
-            const connectionTest = await window.ApiService.testConnection();
-            if (!connectionTest) {
-                throw new Error('Não foi possível conectar com a API. Verifique sua conexão ou configuração.');
-            }
-
-            // Buscar produtos da API
-            const apiProducts = await window.ApiService.fetchProducts();
-            
-            if (!Array.isArray(apiProducts) || apiProducts.length === 0) {
-                throw new Error('Nenhum produto público encontrado na API');
+            // Verificar se a origem dos produtos está disponível
+            if (!this.catalogSource) {
+                throw new Error(this.t('errors.apiUnavailable'));
             }
 
-            // Filtrar produtos válidos e públicos
-            const validProducts = apiProducts.filter(product => {
-                return product && 
-                       product.public === true && 
-                       product.title && 
-                       product.description && 
-                       product.price > 0;
+            // Buscar produtos, exibindo cada página assim que chegar
+            const products = await this.catalogSource.load({
+                onPage: ({ products, count, hasMore }) => {
+                    this.totalProducts = count;
+                    this.hasMorePages = hasMore;
+                    this.showLoadedProducts(products);
+                }
             });
+            this.catalogSignature = JSON.stringify(products);
 
-            if (validProducts.length === 0) {
-                throw new Error('Nenhum produto válido encontrado');
+            if (this.products.length === 0) {
+                throw new Error(this.t('errors.noPublicProducts'));
             }
 
-            // Ordenar produtos por campo 'order' se disponível
-            validProducts.sort((a, b) => (a.order || 0) - (b.order || 0));
-
-            this.products = validProducts;
-            this.filteredProducts = [...this.products];
-            this.renderProducts();
-            this.updateResultsInfo();
+            this.cart?.syncWithProducts(this.products);
+            this.favorites?.syncWithProducts(this.products);
 
             console.log(`${this.products.length} produtos carregados com sucesso da API`);
 
         } catch (error) {
             console.error('Erro ao carregar produtos da API:', error);
-            
-            // Tentar fallback para arquivo JSON local
-            await this.loadProductsFromJSON(error.message);
+
+            if (this.products.length > 0) {
+                // Falha no meio da paginação: manter o que já foi exibido
+                this.totalProducts = this.products.length;
+                this.hasMorePages = false;
+                this.updateLoadMore();
+                this.updateResultsInfo();
+            } else {
+                // Tentar fallback para arquivo JSON local
+                await this.loadFallbackProducts(error);
+            }
             
         } finally {
             this.isLoading = false;
+            this.hasMorePages = false;
+            this.updateLoadMore();
         }
     }
 
     /**
-     * Fallback: carrega produtos do arquivo JSON local
-     * @param {string} apiError - Mensagem de erro da API
+     * Agenda refreshProducts() (várias páginas revalidadas juntas viram uma atualização)
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refreshProducts(), this.refreshDelay);
+    }
+
+    /**
+     * Recarrega o catálogo depois que a revalidação do cache trouxe dados
+     * novos, sem tela de carregamento; a grade só é redesenhada se os
+     * produtos válidos realmente mudaram
      */
-    async loadProductsFromJSON(apiError) {
+    async refreshProducts() {
+        // Durante o carregamento ou com o JSON de reserva não há o que comparar
+        if (this.isLoading || !this.catalogSource || this.catalogSignature === null) return;
+
+        this.refreshController?.abort();
+        const controller = new AbortController();
+        this.refreshController = controller;
+
         try {
-            console.warn('Tentando fallback para arquivo JSON local:', apiError);
-            
-            const response = await fetch('./data/products.json');
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            let total = 0;
+            const products = await this.catalogSource.load({
+                onPage: ({ count }) => { total = count; },
+                signal: controller.signal
+            });
+            const signature = JSON.stringify(products);
+
+            if (signature === this.catalogSignature || products.length === 0) return;
+
+            this.catalogSignature = signature;
+            this.products = products.map(product => this.i18n.localizeProduct(product));
+            this.totalProducts = total;
+            this.hasMorePages = false;
+            this.renderFilterPanel();
+            this.filteredProducts = this.filterProducts();
+            this.cart?.syncWithProducts(this.products);
+            this.favorites?.syncWithProducts(this.products);
+            this.renderProducts({ keepRendered: true });
+            this.updateResultsInfo();
+
+            if (this.filteredProducts.length === 0 && this.isFiltering()) {
+                this.showNoResults();
             }
 
-            const data = await response.json();
-            
-            if (!this.validateProductsData(data)) {
-                throw new Error('Dados do arquivo JSON são inválidos');
+            console.log(`Catálogo atualizado: ${this.products.length} produtos`);
+
+        } catch (error) {
+            // Cancelada: outra atualização (ou um novo carregamento) tomou o lugar
+            if (error.name === 'AbortError') return;
+
+            // Mantém o catálogo exibido; a próxima visita tenta de novo
+            console.warn('Não foi possível atualizar o catálogo:', error);
+
+        } finally {
+            if (this.refreshController === controller) {
+                this.refreshController = null;
+            }
+        }
+    }
+
+    /**
+     * Exibe os produtos carregados até agora (a cada página recebida)
+     * @param {Array} products - Produtos já validados, públicos e ordenados (ver CatalogSource)
+     */
+    showLoadedProducts(products) {
+        this.products = products.map(product => this.i18n.localizeProduct(product));
+
+        if (this.products.length === 0) return;
+
+        // O painel vem antes para descartar filtros da URL que não existem
+        this.renderFilterPanel();
+
+        // Mantém a quantidade já exibida para não "pular" a rolagem
+        this.filteredProducts = this.filterProducts();
+        this.renderProducts({ keepRendered: true });
+        this.updateResultsInfo();
+
+        if (this.filteredProducts.length === 0 && this.isFiltering() && !this.hasMorePages) {
+            this.showNoResults();
+        }
+
+        this.syncUrl();
+        this.openPendingProduct();
+    }
+
+    /**
+     * Fallback: carrega produtos do arquivo JSON local, validados pelas
+     * mesmas regras da origem principal
+     * @param {Error} apiError - Erro da origem principal
+     */
+    async loadFallbackProducts(apiError) {
+        try {
+            console.warn('Tentando fallback para arquivo JSON local:', apiError.message);
+
+            const products = await this.catalogSource.loadFallback();
+
+            if (products.length === 0) {
+                throw new Error(this.t('errors.noValidProducts'));
             }
 
-            this.products = data.products;
-            this.filteredProducts = [...this.products];
+            this.products = products.map(product => this.i18n.localizeProduct(product));
+            this.totalProducts = this.products.length;
+            this.hasMorePages = false;
+            this.renderFilterPanel();
+            this.filteredProducts = this.filterProducts();
+            // Dados de reserva só para exibição: carrinho e favoritos mantêm
+            // o que veio da última carga da origem principal
             this.renderProducts();
             this.updateResultsInfo();
 
+            if (this.filteredProducts.length === 0 && this.isFiltering()) {
+                this.showNoResults();
+            }
+
+            this.syncUrl();
+            this.openPendingProduct();
+
             // Mostrar aviso sobre uso do fallback
             this.showApiWarning(apiError);
 
         } catch (jsonError) {
             console.error('Erro no fallback JSON:', jsonError);
-            this.showError(`API indisponível: ${apiError}. Arquivo local também falhou: ${jsonError.message}`);
+            this.showError(this.t('errors.fallbackFailed', {
+                apiError: this.describeError(apiError),
+                error: this.describeError(jsonError)
+            }));
         }
     }
 
     /**
-     * Valida a estrutura dos dados dos produtos
-     * @param {Object} data - Dados recebidos do JSON
-     * @returns {boolean} - True se os dados são válidos
+     * Renderiza o primeiro lote de produtos na grid
+     * @param {Object} options
+     * @param {boolean} options.keepRendered - Mantém a quantidade de cards já exibida
      */
-    validateProductsData(data) {
-        if (!data || !Array.isArray(data.products)) {
-            return false;
-        }
+    renderProducts(options = {}) {
+        if (!this.elements.productsGrid) return;
 
-        return data.products.every(product => 
-            product &&
-            typeof product.id !== 'undefined' &&
-            typeof product.title === 'string' &&
-            typeof product.description === 'string' &&
-            Array.isArray(product.gallery) &&
-            typeof product.price === 'number' &&
-            product.price >= 0
-        );
+        const count = options.keepRendered
+            ? Math.max(this.renderedCount, this.renderBatchSize)
+            : this.renderBatchSize;
+        this.renderedCount = Math.min(count, this.filteredProducts.length);
+
+        this.reconcileCards(this.filteredProducts.slice(0, this.renderedCount));
+
+        this.showProducts();
+        this.updateLoadMore();
     }
 
     /**
-     * Renderiza todos os produtos na grid
+     * Renderiza o próximo lote de produtos ao final da grid
      */
-    renderProducts() {
+    renderMoreProducts() {
         if (!this.elements.productsGrid) return;
 
-        const productsHTML = this.filteredProducts.map(product => 
-            this.createProductCard(product)
-        ).join('');
+        const nextProducts = this.filteredProducts.slice(this.renderedCount, this.renderedCount + this.renderBatchSize);
+        if (nextProducts.length === 0) return;
 
-        this.elements.productsGrid.innerHTML = productsHTML;
+        const cards = nextProducts.map(product => this.describeCard(product));
+        this.createCardElements(cards);
 
-        // Adicionar event listeners aos cards de produto
-        this.setupProductCardListeners();
+        this.elements.productsGrid.append(...cards.map(card => card.element));
+        cards.forEach(card => this.renderedCards.set(card.key, card));
+        this.renderedCount += nextProducts.length;
 
-        this.showProducts();
+        this.updateLoadMore();
+    }
+
+    /**
+     * Deixa na grid exatamente estes produtos, nesta ordem, mexendo só no
+     * necessário: cards com o mesmo HTML continuam os mesmos elementos (foto
+     * já carregada, foco), os alterados são substituídos, os novos criados e
+     * os que saíram removidos. Rolagem e foco são mantidos.
+     * @param {Array} products - Produtos a exibir
+     */
+    reconcileCards(products) {
+        const grid = this.elements.productsGrid;
+        const anchor = this.getScrollAnchor();
+        const focus = this.getFocusedCard();
+        const previous = this.renderedCards;
+
+        const cards = products.map(product => {
+            const card = this.describeCard(product);
+            const current = previous.get(card.key);
+
+            if (current && current.html === card.html && current.element.parentNode === grid) {
+                card.element = current.element;
+            }
+            return card;
+        });
+
+        this.createCardElements(cards.filter(card => !card.element));
+
+        // Sai primeiro o que não fica (cards removidos ou substituídos, "sem
+        // resultados"), para que um card trocado não desloque os seguintes
+        const elements = new Set(cards.map(card => card.element));
+        Array.from(grid.children).forEach(element => {
+            if (!elements.has(element)) element.remove();
+        });
+
+        // Antes de "position" ficam só os cards desejados, já na ordem final
+        let position = grid.firstChild;
+        cards.forEach(({ element }) => {
+            if (element === position) {
+                position = position.nextSibling;
+            } else {
+                grid.insertBefore(element, position);
+            }
+        });
+
+        this.renderedCards = new Map(cards.map(card => [card.key, card]));
+        this.restoreFocus(focus);
+        this.restoreScrollAnchor(anchor);
+    }
+
+    /**
+     * @param {Object} product - Produto
+     * @returns {Object} - { key, html, element: null }
+     */
+    describeCard(product) {
+        return { key: String(product.id), html: this.createProductCard(product), element: null };
+    }
+
+    /**
+     * Cria de uma só vez os elementos dos cards
+     * @param {Array<Object>} cards - Itens de describeCard (recebem "element")
+     */
+    createCardElements(cards) {
+        if (cards.length === 0) return;
+
+        const template = document.createElement('template');
+        template.innerHTML = cards.map(card => card.html).join('');
+
+        this.updateCountdowns(template.content);
+
+        Array.from(template.content.children).forEach((element, index) => {
+            cards[index].element = element;
+        });
+    }
+
+    /**
+     * Primeiro card visível e sua distância do topo da janela (busca
+     * binária: os cards estão em ordem de cima para baixo)
+     * @returns {Object|null} - { key, top }
+     */
+    getScrollAnchor() {
+        const cards = this.elements.productsGrid.children;
+        let low = 0;
+        let high = cards.length - 1;
+        let found = null;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (cards[middle].getBoundingClientRect().bottom > 0) {
+                found = cards[middle];
+                high = middle - 1;
+            } else {
+                low = middle + 1;
+            }
+        }
+
+        if (!found || !found.dataset.productId) return null;
+        return { key: found.dataset.productId, top: found.getBoundingClientRect().top };
+    }
+
+    /**
+     * Compensa a rolagem se o card de referência mudou de altura na tela
+     * @param {Object|null} anchor - Resultado de getScrollAnchor
+     */
+    restoreScrollAnchor(anchor) {
+        const card = anchor && this.renderedCards.get(anchor.key);
+        if (!card) return;
+
+        const delta = card.element.getBoundingClientRect().top - anchor.top;
+        if (delta !== 0) {
+            window.scrollBy(0, delta);
+        }
+    }
+
+    /**
+     * @returns {Object|null} - Card com o foco: { key, element, selector do botão focado }
+     */
+    getFocusedCard() {
+        const active = document.activeElement;
+        const card = active && active.closest ? active.closest('.product-card') : null;
+        if (!card || !this.elements.productsGrid.contains(card)) return null;
+
+        return {
+            key: card.dataset.productId,
+            element: active,
+            selector: active !== card && active.classList[0] ? `.${active.classList[0]}` : null
+        };
+    }
+
+    /**
+     * Devolve o foco ao card (ou ao mesmo botão dele) depois de mover ou substituir o elemento
+     * @param {Object|null} focus - Resultado de getFocusedCard
+     */
+    restoreFocus(focus) {
+        if (!focus || document.activeElement === focus.element) return;
+
+        const card = this.renderedCards.get(focus.key);
+        if (!card) return;
+
+        const target = card.element.contains(focus.element)
+            ? focus.element
+            : (focus.selector && card.element.querySelector(focus.selector)) || card.element;
+        target.focus({ preventScroll: true });
+    }
+
+    /**
+     * Atualiza o rodapé de "Carregar mais" da grid
+     */
+    updateLoadMore() {
+        if (!this.elements.loadMore) return;
+
+        const filtered = this.filteredProducts.length;
+        const remaining = filtered - this.renderedCount;
+        const total = this.isFiltering() ? filtered : (this.totalProducts || this.products.length);
+        const visible = this.elements.productsGrid && !this.elements.productsGrid.classList.contains('hidden');
+
+        this.elements.loadMore.classList.toggle('hidden', !visible || (filtered === 0 && !this.hasMorePages));
+        this.elements.loadMoreButton?.classList.toggle('hidden', remaining <= 0);
+
+        if (this.elements.loadMoreStatus) {
+            this.elements.loadMoreStatus.textContent = this.t(
+                this.hasMorePages ? 'results.loadingMore' : 'results.showing',
+                { count: this.renderedCount, total }
+            );
+        }
+    }
+
+    /**
+     * Configura o botão "Carregar mais" e a rolagem infinita
+     */
+    setupLoadMoreListeners() {
+        this.elements.loadMoreButton?.addEventListener('click', () => {
+            this.renderMoreProducts();
+        });
+
+        // Rolagem infinita: renderizar o próximo lote ao se aproximar do fim da grid
+        if (this.elements.loadMore && 'IntersectionObserver' in window) {
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.renderMoreProducts();
+                }
+            }, { rootMargin: '400px 0px' });
+
+            observer.observe(this.elements.loadMore);
+        }
     }
 
     /**
@@ -221,50 +846,70 @@ class ProductCatalog {
         // Sanitizar dados para prevenir XSS
         const safeProduct = this.sanitizeProductData(product);
         
-        const mainImage = safeProduct.gallery[0] || 'https://via.placeholder.com/300x250?text=Sem+Imagem';
+        const cover = this.media.getCover(safeProduct.gallery);
         const galleryCount = safeProduct.gallery.length;
         
-        // Formatar preços
-        const originalPrice = this.formatPrice(safeProduct.price);
-        const promoPrice = safeProduct.promotionalPrice ? this.formatPrice(safeProduct.promotionalPrice) : null;
-        const displayPrice = promoPrice || originalPrice;
+        // Formatar preços (o promocional só dentro do período da promoção)
+        const originalPrice = this.formatCurrency(safeProduct.price);
+        const promotionalPrice = this.promotions.getPromotionalPrice(product);
+        const promoPrice = promotionalPrice ? this.formatCurrency(promotionalPrice) : null;
+
+        const stockStatus = this.stock.getStatus(product);
+        const soldOut = stockStatus === 'soldOut';
 
         return `
-            <article class="product-card" data-product-id="${safeProduct.id}" tabindex="0" role="button" aria-label="Ver detalhes de ${safeProduct.title}">
-                ${galleryCount > 1 ? `<div class="product-gallery-indicator">${galleryCount} fotos</div>` : ''}
-                <img 
-                    src="${mainImage}" 
-                    alt="${safeProduct.title}"
-                    class="product-image"
-                    loading="lazy"
-                    onerror="this.src='https://via.placeholder.com/300x250?text=Erro+ao+carregar'"
-                >
+            <article class="product-card${soldOut ? ' sold-out' : ''}" data-product-id="${safeProduct.id}" tabindex="0" role="button" aria-label="${this.t('product.details', { title: safeProduct.title })}">
+                ${this.createFavoriteButton(safeProduct, 'btn-favorite')}
+                ${galleryCount > 1 ? `<div class="product-gallery-indicator">${this.t('product.photos', { count: galleryCount })}</div>` : ''}
+                ${this.images.render(cover, {
+                    details: this.images.getDetails(product, cover),
+                    alt: safeProduct.title,
+                    className: 'product-image',
+                    sizes: 'card'
+                })}
                 <div class="product-content">
                     <div class="product-header">
-                        <h2 class="product-title">${safeProduct.title}</h2>
+                        ${safeProduct.category ? `<span class="product-category">${safeProduct.category}</span>` : ''}
+                        ${this.renderStockBadge(stockStatus)}
+                        <h2 class="product-title">${this.highlightText(product.title)}</h2>
+                        ${this.reviews ? this.renderRating(this.reviews.getSummary(safeProduct)) : ''}
                         <div class="product-subtitle-container">
-                            ${safeProduct.subtitle ? `<p class="product-subtitle">${safeProduct.subtitle}</p>` : '<div class="product-subtitle-spacer"></div>'}
+                            ${safeProduct.subtitle ? `<p class="product-subtitle">${this.highlightText(product.subtitle)}</p>` : '<div class="product-subtitle-spacer"></div>'}
                         </div>
                     </div>
-                    <p class="product-description">${safeProduct.description}</p>
+                    <p class="product-description">${this.highlightText(product.description)}</p>
                     <div class="product-pricing">
                         ${promoPrice ? `
                             <div class="price-container">
-                                <span class="original-price">R$ ${originalPrice}</span>
-                                <span class="promotional-price">R$ ${promoPrice}</span>
+                                <span class="original-price">${originalPrice}</span>
+                                <span class="promotional-price">${promoPrice}</span>
+                                ${this.renderDiscountBadge(product)}
                             </div>
+                            ${this.renderCountdown(product)}
                         ` : `
                             <div class="price-container">
-                                <span class="current-price">R$ ${originalPrice}</span>
+                                <span class="current-price">${originalPrice}</span>
                             </div>
                         `}
+                        ${this.renderPaymentOptions(this.getEffectivePrice(product))}
                     </div>
                     <div class="product-actions">
-                        <button class="btn-eu-quero" data-product-id="${safeProduct.id}" data-product-title="${safeProduct.title}" data-product-price="${displayPrice}">
-                            Eu quero
-                        </button>
+                        ${this.cart && !soldOut ? `
+                            <button class="btn-add-cart" data-product-id="${safeProduct.id}">
+                                ${this.t(this.variants.hasVariants(product) ? 'product.chooseOptions' : 'product.addToCart')}
+                            </button>
+                        ` : ''}
+                        ${soldOut ? `
+                            <button class="btn-avise-me" data-product-id="${safeProduct.id}">
+                                ${this.t('product.notifyMe')}
+                            </button>
+                        ` : `
+                            <button class="btn-eu-quero" data-product-id="${safeProduct.id}">
+                                ${this.t('product.wantIt')}
+                            </button>
+                        `}
                         <button class="btn-ver-fotos" data-product-id="${safeProduct.id}">
-                            Ver fotos
+                            ${this.t('product.seePhotos')}
                         </button>
                     </div>
                 </div>
@@ -273,91 +918,194 @@ class ProductCatalog {
     }
 
     /**
-     * Sanitiza os dados do produto para prevenir XSS
-     * @param {Object} product - Produto original
-     * @returns {Object} - Produto com dados sanitizados
+     * Selo de estoque ("Esgotado", "Últimas unidades")
+     * @param {string} status - Situação (ver StockService.getStatus)
+     * @returns {string} - HTML (vazio quando disponível)
      */
-    sanitizeProductData(product) {
-        return {
-            id: parseInt(product.id) || 0,
-            title: this.escapeHtml(String(product.title || '')),
-            subtitle: product.subtitle ? this.escapeHtml(String(product.subtitle)) : null,
-            description: this.escapeHtml(String(product.description || '')),
-            gallery: Array.isArray(product.gallery) ? product.gallery.map(url => String(url)) : [],
-            price: parseFloat(product.price) || 0,
-            promotionalPrice: product.promotionalPrice ? parseFloat(product.promotionalPrice) : null
-        };
+    renderStockBadge(status) {
+        const label = this.stock.getLabel(status);
+        return label ? `<span class="stock-badge stock-badge-${status.toLowerCase()}">${label}</span>` : '';
     }
 
     /**
-     * Escapa caracteres HTML para prevenir XSS
-     * @param {string} text - Texto para escapar
-     * @returns {string} - Texto escapado
+     * Selo com o percentual de desconto da promoção em vigor ("-25%")
+     * @param {Object} item - Produto ou variação resolvida
+     * @returns {string} - HTML (vazio fora de promoção ou com o selo desligado)
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    renderDiscountBadge(item) {
+        const percent = this.promotions.getDiscountPercent(item);
+        if (!this.promotions.showDiscount || percent <= 0) return '';
+
+        return `<span class="discount-badge" aria-label="${this.t('product.discount', { percent })}">-${percent}%</span>`;
     }
 
     /**
-     * Formata o preço para exibição
-     * @param {number} price - Preço numérico
-     * @returns {string} - Preço formatado
+     * Contagem regressiva das promoções que terminam em breve. O HTML leva
+     * só o fim da promoção; o tempo restante é preenchido por
+     * updateCountdowns, para o card não mudar a cada segundo (reconcileCards)
+     * @param {Object} item - Produto ou variação resolvida
+     * @returns {string} - HTML (vazio quando não há fim próximo)
      */
-    formatPrice(price) {
-        return new Intl.NumberFormat('pt-BR', {
-            style: 'decimal',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(price);
+    renderCountdown(item) {
+        const end = this.promotions.getCountdownEnd(item);
+        if (!end) return '';
+
+        return `
+            <p class="promo-countdown" data-countdown-end="${end.toISOString()}">
+                ${this.t('product.endsIn')} <span class="promo-countdown-time"></span>
+            </p>
+        `;
     }
 
     /**
-     * Configura event listeners para os cards de produtos
+     * Preenche o tempo restante das contagens regressivas
+     * @param {ParentNode} root - Onde procurar (documento, modal, cards novos)
+     * @param {Date} now - Momento considerado
      */
-    setupProductCardListeners() {
-        const productCards = document.querySelectorAll('.product-card');
-        
-        productCards.forEach(card => {
-            // Click event no card (exceto nos botões)
-            card.addEventListener('click', (event) => {
-                // Não abrir modal se clicou em um botão
-                if (event.target.classList.contains('btn-eu-quero') || 
-                    event.target.classList.contains('btn-ver-fotos')) {
-                    return;
-                }
-                const productId = parseInt(card.dataset.productId);
-                this.openProductModal(productId);
-            });
-
-            // Keyboard event (Enter)
-            card.addEventListener('keydown', (event) => {
-                if (event.key === 'Enter') {
-                    const productId = parseInt(card.dataset.productId);
-                    this.openProductModal(productId);
-                }
-            });
+    updateCountdowns(root = document, now = new Date()) {
+        root.querySelectorAll('[data-countdown-end]').forEach(element => {
+            const time = element.querySelector('.promo-countdown-time');
+            if (time) {
+                time.textContent = this.promotions.formatCountdown(new Date(element.dataset.countdownEnd) - now);
+            }
         });
+    }
 
-        // Event listeners para os botões "Eu quero"
-        document.querySelectorAll('.btn-eu-quero').forEach(btn => {
-            btn.addEventListener('click', (event) => {
-                event.stopPropagation();
-                const productId = btn.dataset.productId;
-                const productTitle = btn.dataset.productTitle;
-                const productPrice = btn.dataset.productPrice;
-                this.handleEuQuero(productId, productTitle, productPrice);
-            });
+    /**
+     * Estrelas com a nota média e a quantidade de avaliações
+     * @param {Object} summary - { average, count } (ver ReviewService.getSummary)
+     * @returns {string} - HTML (vazio sem nota)
+     */
+    renderRating(summary) {
+        if (!summary || !summary.average) return '';
+
+        const rating = this.formatRating(summary.average);
+
+        return `
+            <div class="product-rating">
+                <span class="rating-stars" role="img" aria-label="${this.t('reviews.rating', { rating })}" style="--rating: ${Math.min(summary.average / 5, 1) * 100}%">★★★★★</span>
+                <span class="rating-value" aria-hidden="true">${rating}</span>
+                ${summary.count > 0 ? `<span class="rating-count">(${this.t('reviews.count', { count: summary.count })})</span>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * @param {number} value - Nota de 1 a 5
+     * @returns {string} - Nota com uma casa decimal no formato do idioma ("4,5")
+     */
+    formatRating(value) {
+        return new Intl.NumberFormat(this.i18n.locale, {
+            minimumFractionDigits: 1,
+            maximumFractionDigits: 1
+        }).format(value);
+    }
+
+    /**
+     * Sanitiza os dados do produto para prevenir XSS
+     * @param {Object} product - Produto original
+     * @returns {Object} - Produto com dados sanitizados
+     */
+    sanitizeProductData(product) {
+        return {
+            id: parseInt(product.id) || 0,
+            title: this.escapeHtml(String(product.title || '')),
+            subtitle: product.subtitle ? this.escapeHtml(String(product.subtitle)) : null,
+            description: this.escapeHtml(String(product.description || '')),
+            category: product.category ? this.escapeHtml(String(product.category)) : null,
+            tags: this.getProductTags(product).map(tag => this.escapeHtml(tag)),
+            gallery: Array.isArray(product.gallery) ? product.gallery.map(url => String(url)) : [],
+            price: parseFloat(product.price) || 0,
+            promotionalPrice: product.promotionalPrice ? parseFloat(product.promotionalPrice) : null,
+            promotionStart: product.promotionStart || null,
+            promotionEnd: product.promotionEnd || null,
+            rating: parseFloat(product.rating) || null,
+            reviewCount: parseInt(product.reviewCount) || 0
+        };
+    }
+
+    /**
+     * Escapa caracteres HTML para prevenir XSS
+     * @param {string} text - Texto para escapar
+     * @returns {string} - Texto escapado
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Formata um valor na moeda configurada (ex.: "R$ 1.299,99")
+     * @param {number} price - Valor
+     * @returns {string}
+     */
+    formatCurrency(price) {
+        return this.pricing.format(price);
+    }
+
+    /**
+     * Condições de pagamento sob o preço: parcelamento e descontos por forma
+     * de pagamento ("12x de R$ 108,33 sem juros", "R$ 1.169,99 no Pix")
+     * @param {number} price - Preço efetivo (já com a promoção em vigor)
+     * @returns {string} - HTML (vazio sem condições a exibir)
+     */
+    renderPaymentOptions(price) {
+        const installments = this.pricing.formatInstallments(price);
+        const discounts = this.pricing.formatPaymentDiscounts(price);
+        if (!installments && discounts.length === 0) return '';
+
+        return `
+            <ul class="payment-options">
+                ${installments ? `<li class="payment-installments">${this.escapeHtml(installments)}</li>` : ''}
+                ${discounts.map(text => `<li class="payment-discount">${this.escapeHtml(text)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Listeners delegados da grid: atendem todos os cards, inclusive os
+     * criados depois, e as sugestões de "Você quis dizer…"
+     */
+    setupProductGridListeners() {
+        const grid = this.elements.productsGrid;
+        if (!grid) return;
+
+        // Ação de cada botão dos cards, pela classe
+        const actions = {
+            'btn-eu-quero': (button) => this.handleEuQuero(parseInt(button.dataset.productId)),
+            'btn-avise-me': (button) => this.handleNotifyMe(parseInt(button.dataset.productId)),
+            'btn-ver-fotos': (button) => this.openProductModal(parseInt(button.dataset.productId)),
+            'btn-add-cart': (button) => this.handleAddToCart(parseInt(button.dataset.productId), button),
+            'btn-favorite': (button) => this.toggleFavorite(parseInt(button.dataset.favoriteId))
+        };
+
+        grid.addEventListener('click', (event) => {
+            const suggestion = event.target.closest('[data-search-suggestion]');
+            if (suggestion) {
+                this.applySearchSuggestion(suggestion.dataset.searchSuggestion);
+                return;
+            }
+
+            const card = event.target.closest('.product-card');
+            if (!card) return;
+
+            // Botões fazem a própria ação; o resto do card abre o modal
+            const button = event.target.closest('button');
+            if (button) {
+                const action = Object.keys(actions).find(name => button.classList.contains(name));
+                if (action) actions[action](button);
+                return;
+            }
+
+            this.openProductModal(parseInt(card.dataset.productId));
         });
 
-        // Event listeners para os botões "Ver fotos"
-        document.querySelectorAll('.btn-ver-fotos').forEach(btn => {
-            btn.addEventListener('click', (event) => {
-                event.stopPropagation();
-                const productId = parseInt(btn.dataset.productId);
-                this.openProductModal(productId);
-            });
+        // Enter no próprio card (nos botões, o Enter já vira clique)
+        grid.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && event.target.classList.contains('product-card')) {
+                this.openProductModal(parseInt(event.target.dataset.productId));
+            }
         });
     }
 
@@ -365,8 +1113,8 @@ class ProductCatalog {
      * Abre o modal com detalhes do produto
      * @param {number} productId - ID do produto
      */
-    openProductModal(productId) {
-        const product = this.products.find(p => p.id === productId);
+    openProductModal(productId, options = {}) {
+        const product = this.findProduct(productId);
         
         if (!product) {
             console.error('Produto não encontrado:', productId);
@@ -376,6 +1124,79 @@ class ProductCatalog {
         const safeProduct = this.sanitizeProductData(product);
         this.renderProductModal(safeProduct);
         this.showModal();
+
+        const alreadyOpen = this.currentProductId !== null;
+        this.currentProductId = product.id;
+
+        // Cada produto aberto vira uma entrada no histórico (#/produto/12);
+        // vindo de um link ou do histórico, a URL só é confirmada
+        if (options.updateUrl !== false && !alreadyOpen && this.urlState) {
+            this.urlState.push(this.getUrlState());
+            this.modalHistoryEntry = true;
+        } else {
+            this.syncUrl();
+        }
+    }
+
+    /**
+     * Procura um produto carregado ou aberto por link
+     * @param {number} productId - ID do produto
+     * @returns {Object|null}
+     */
+    findProduct(productId) {
+        return this.products.find(p => p.id === productId) || this.detachedProducts.get(productId) || null;
+    }
+
+    /**
+     * Abre o produto indicado na URL, buscando-o na API se ainda não foi carregado
+     * @param {number} productId - ID do produto
+     */
+    async openProductFromUrl(productId) {
+        this.productController?.abort();
+        let product = this.findProduct(productId);
+
+        if (!product && this.catalogSource) {
+            const controller = new AbortController();
+            this.productController = controller;
+
+            try {
+                product = await this.catalogSource.fetchById(productId, { signal: controller.signal });
+            } catch (error) {
+                // Outro link foi aberto (ou o modal fechado) antes da resposta
+                if (error.name === 'AbortError') return;
+
+                console.error(`Erro ao buscar produto ${productId}:`, error);
+                this.showApiWarning(error, { local: false });
+            } finally {
+                if (this.productController === controller) {
+                    this.productController = null;
+                }
+            }
+            if (product) {
+                product = this.i18n.localizeProduct(product);
+                this.detachedProducts.set(product.id, product);
+            }
+        }
+
+        if (!product) {
+            console.warn('Produto do link não encontrado:', productId);
+            this.currentProductId = null;
+            this.syncUrl();
+            return;
+        }
+
+        this.openProductModal(product.id, { updateUrl: false });
+    }
+
+    /**
+     * Abre o produto do link de entrada assim que houver produtos carregados
+     */
+    openPendingProduct() {
+        const productId = this.pendingProductId;
+        if (productId === null) return;
+
+        this.pendingProductId = null;
+        this.openProductFromUrl(productId);
     }
 
     /**
@@ -385,368 +1206,2408 @@ class ProductCatalog {
     renderProductModal(product) {
         if (!this.elements.modalBody) return;
 
-        // Imagem principal (primeira da galeria)
-        const mainImage = product.gallery[0] || 'https://via.placeholder.com/500x500?text=Sem+Imagem';
-        
-        // Imagens secundárias (restantes da galeria)
-        const secondaryImages = product.gallery.slice(1);
-        
-        // Gerar HTML das imagens secundárias
-        const secondaryImagesHTML = secondaryImages.map((imageUrl, index) => `
-            <div class="gallery-thumb" data-image-index="${index + 1}">
-                <img 
-                    src="${imageUrl}" 
-                    alt="${product.title} - Imagem ${index + 2}"
-                    loading="lazy"
-                    onerror="this.src='https://via.placeholder.com/80x80?text=Erro'"
-                >
-            </div>
-        `).join('');
-
-        const formattedPrice = this.formatPrice(product.price);
-        const formattedPromoPrice = product.promotionalPrice ? this.formatPrice(product.promotionalPrice) : null;
-        const displayPrice = formattedPromoPrice || formattedPrice;
+        // Variação inicial (a primeira em estoque) define galeria e preço
+        const original = this.findProduct(product.id) || product;
+        this.selectedVariant = this.variants.getDefault(original);
+        const data = this.variants.resolve(product, this.selectedVariant);
 
         this.elements.modalBody.innerHTML = `
             <div class="product-modal">
                 <!-- Galeria -->
                 <div class="product-gallery">
-                    <div class="main-image-container">
-                        <img 
-                            id="mainProductImage"
-                            src="${mainImage}" 
-                            alt="${product.title}"
-                            loading="lazy"
-                            onerror="this.src='https://via.placeholder.com/500x500?text=Erro+ao+carregar'"
-                        >
-                    </div>
-                    
-                    ${product.gallery.length > 1 ? `
-                        <div class="image-thumbnails">
-                            <div class="gallery-thumb active" data-image-index="0">
-                                <img src="${mainImage}" alt="${product.title} - Principal">
-                            </div>
-                            ${secondaryImagesHTML}
-                        </div>
-                    ` : ''}
+                    ${this.renderModalGallery(original, data.gallery)}
                 </div>
                 
                 <!-- Informações do Produto -->
                 <div class="product-info">
                     <div class="product-header">
+                        ${product.category ? `<span class="product-category">${product.category}</span>` : ''}
+                        <span class="modal-stock" id="modalStock"></span>
+                        ${this.createFavoriteButton(product, 'modal-favorite')}
                         <h1 class="product-title">${product.title}</h1>
+                        ${this.reviews ? `<div class="modal-rating" id="modalRating">${this.renderRating(this.reviews.getSummary(product))}</div>` : ''}
                         ${product.subtitle ? `<p class="product-subtitle">${product.subtitle}</p>` : ''}
+                        ${product.tags.length > 0 ? `
+                            <ul class="product-tags">
+                                ${product.tags.map(tag => `<li class="product-tag">${tag}</li>`).join('')}
+                            </ul>
+                        ` : ''}
                     </div>
                     
                     <div class="price-section">
-                        ${formattedPromoPrice ? `
-                            <div class="modal-price-container">
-                                <span class="modal-original-price">R$ ${formattedPrice}</span>
-                                <span class="modal-promotional-price">R$ ${formattedPromoPrice}</span>
-                            </div>
-                        ` : `
-                            <span class="modal-current-price">R$ ${formattedPrice}</span>
-                        `}
+                        ${this.renderModalPrice(data)}
                     </div>
+
+                    ${this.renderVariantSelectors(original)}
                     
                     <div class="description-section">
-                        <h3>Descrição</h3>
+                        <h3>${this.t('product.description')}</h3>
                         <p class="description">${product.description}</p>
                     </div>
+
+                    ${this.reviews ? this.renderReviewsSection() : ''}
                     
                     <div class="action-section">
-                        <button class="buy-button" data-product-id="${product.id}" data-product-title="${product.title}" data-product-price="${displayPrice}">
+                        <button class="buy-button" data-product-id="${product.id}">
                             <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
                                 <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893A11.821 11.821 0 0020.885 3.785"/>
                             </svg>
-                            Tenho interesse
+                            ${this.t('product.interested')}
                         </button>
+                        <button class="notify-button hidden" data-product-id="${product.id}">
+                            ${this.t('product.notifyMe')}
+                        </button>
+                        ${this.cart ? `
+                            <button class="modal-add-cart" data-product-id="${product.id}">
+                                ${this.t('product.addToCart')}
+                            </button>
+                        ` : ''}
+                        ${this.hasFeature('share') ? `
+                            <button class="modal-share" data-product-id="${product.id}">
+                                ${this.t('product.share')}
+                            </button>
+                        ` : ''}
+                    </div>
+
+                    <form class="notify-form hidden" id="notifyForm" novalidate>
+                        <p class="notify-form-title">${this.t('notify.title')}</p>
+                        <label class="notify-field">
+                            <span>${this.t('notify.name')}</span>
+                            <input type="text" name="name" maxlength="80" autocomplete="name">
+                        </label>
+                        <label class="notify-field">
+                            <span>${this.t('notify.contact')}</span>
+                            <input type="text" name="contact" maxlength="120" autocomplete="email" required>
+                        </label>
+                        <!-- Campo invisível para barrar robôs -->
+                        <input type="text" name="website" class="notify-honeypot" tabindex="-1" autocomplete="off" aria-hidden="true">
+                        <button type="submit" class="notify-submit">${this.t('notify.submit')}</button>
+                        <p class="notify-status" id="notifyStatus" aria-live="polite"></p>
+                    </form>
+
+                    <details class="message-preview">
+                        <summary>${this.t('product.messagePreview')}</summary>
+                        <pre class="message-preview-text" id="messagePreview"></pre>
+                    </details>
+                </div>
+            </div>
+        `;
+
+        this.modalProduct = original;
+        this.updateCountdowns(this.elements.modalBody);
+        this.setupGallery();
+        this.updateModalState(original);
+        this.loadReviews(original);
+    }
+
+    /**
+     * HTML da seção de avaliações do modal (a lista chega depois, por loadReviews)
+     * @returns {string}
+     */
+    renderReviewsSection() {
+        const stars = [5, 4, 3, 2, 1].map(value => `
+            <input type="radio" class="review-star-input" id="reviewRating${value}" name="rating" value="${value}">
+            <label for="reviewRating${value}" class="review-star" title="${this.t('reviews.star', { count: value })}">
+                <span aria-hidden="true">★</span>
+                <span class="review-star-label">${this.t('reviews.star', { count: value })}</span>
+            </label>
+        `).join('');
+
+        return `
+            <section class="reviews-section" id="reviewsSection" aria-labelledby="reviewsTitle">
+                <div class="reviews-header">
+                    <h3 id="reviewsTitle">${this.t('reviews.title')}</h3>
+                    <button type="button" class="reviews-write" aria-expanded="false" aria-controls="reviewForm">${this.t('reviews.write')}</button>
+                </div>
+
+                <form class="review-form hidden" id="reviewForm" novalidate>
+                    <label class="review-field">
+                        <span>${this.t('reviews.author')}</span>
+                        <input type="text" name="author" maxlength="${this.reviews.maxAuthorLength}" autocomplete="name" required>
+                    </label>
+                    <fieldset class="review-field review-rating-input">
+                        <legend>${this.t('reviews.ratingLabel')}</legend>
+                        <div class="review-stars">${stars}</div>
+                    </fieldset>
+                    <label class="review-field">
+                        <span>${this.t('reviews.text')}</span>
+                        <textarea name="text" rows="4" minlength="${this.reviews.minTextLength}" maxlength="${this.reviews.maxTextLength}" required></textarea>
+                    </label>
+                    <label class="review-field">
+                        <span>${this.t('reviews.photos', { count: this.reviews.maxPhotos })}</span>
+                        <input type="file" name="photos" accept="${this.reviews.photoTypes.join(',')}" multiple>
+                    </label>
+                    <!-- Campo invisível para barrar robôs -->
+                    <input type="text" name="website" class="notify-honeypot" tabindex="-1" autocomplete="off" aria-hidden="true">
+                    <button type="submit" class="review-submit">${this.t('reviews.submit')}</button>
+                    <p class="review-status" id="reviewStatus" aria-live="polite"></p>
+                </form>
+
+                <p class="reviews-status" id="reviewsStatus" aria-live="polite">${this.t('reviews.loading')}</p>
+                <ul class="reviews-list" id="reviewsList"></ul>
+            </section>
+        `;
+    }
+
+    /**
+     * Carrega as avaliações do produto e as exibe se o modal ainda for dele
+     * @param {Object} product - Produto original exibido no modal
+     */
+    async loadReviews(product) {
+        if (!this.reviews) return;
+
+        const data = await this.reviews.load(product.id);
+        if (this.currentProductId !== product.id) return;
+
+        const section = document.getElementById('reviewsSection');
+        const status = document.getElementById('reviewsStatus');
+        const list = document.getElementById('reviewsList');
+        if (!section || !status || !list) return;
+
+        // Sem a tabela de avaliações no servidor, fica só a nota do produto
+        if (!data.available) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        const modalRating = document.getElementById('modalRating');
+        if (modalRating && !data.failed) {
+            modalRating.innerHTML = this.renderRating(this.reviews.getSummary(product, data));
+        }
+
+        this.reviewPhotos = data.reviews.map(review => review.photos);
+        list.innerHTML = data.reviews.map((review, index) => this.renderReview(review, index)).join('');
+
+        if (data.failed) {
+            status.textContent = this.t('reviews.error');
+        } else if (data.reviews.length === 0) {
+            status.textContent = this.t('reviews.empty');
+        } else {
+            status.textContent = '';
+        }
+    }
+
+    /**
+     * HTML de uma avaliação: autor, nota, data, texto e fotos
+     * @param {Object} review - { author, rating, text, photos, createdAt }
+     * @param {number} index - Posição na lista (usada pelas fotos na tela cheia)
+     * @returns {string}
+     */
+    renderReview(review, index) {
+        const author = this.escapeHtml(review.author);
+        const date = review.createdAt ? new Date(review.createdAt) : null;
+
+        return `
+            <li class="review-item">
+                <div class="review-meta">
+                    <span class="review-author">${author}</span>
+                    <span class="rating-stars" role="img" aria-label="${this.t('reviews.rating', { rating: review.rating })}" style="--rating: ${review.rating * 20}%">★★★★★</span>
+                    ${date && !isNaN(date.getTime()) ? `
+                        <time class="review-date" datetime="${date.toISOString()}">
+                            ${new Intl.DateTimeFormat(this.i18n.locale, { dateStyle: 'medium' }).format(date)}
+                        </time>
+                    ` : ''}
+                </div>
+                <p class="review-text">${this.escapeHtml(review.text)}</p>
+                ${review.photos.length > 0 ? `
+                    <div class="review-photos">
+                        ${review.photos.map((url, photoIndex) => `
+                            <button type="button" class="review-photo" data-review-index="${index}" data-photo-index="${photoIndex}">
+                                ${this.images.render(url, {
+                                    alt: this.t('reviews.photo', { index: photoIndex + 1, author }),
+                                    sizes: 'thumb'
+                                })}
+                            </button>
+                        `).join('')}
                     </div>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Valida e envia a avaliação; ela só aparece no catálogo depois de aprovada
+     * @param {Object} product - Produto original exibido no modal
+     * @param {HTMLFormElement} form - Formulário "Avaliar produto"
+     */
+    async handleReviewSubmit(product, form) {
+        const status = form.querySelector('.review-status');
+        const submit = form.querySelector('.review-submit');
+        const fields = {
+            author: form.elements.author.value,
+            rating: form.querySelector('input[name="rating"]:checked')?.value,
+            text: form.elements.text.value,
+            photos: form.elements.photos.files
+        };
+
+        const problem = this.reviews.validate(fields);
+        if (problem) {
+            status.textContent = this.t(problem.key, problem.values);
+            form.querySelector(`[name="${problem.field}"]`)?.focus();
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('productId', String(product.id));
+        formData.append('author', fields.author.trim());
+        formData.append('rating', fields.rating);
+        formData.append('text', fields.text.trim());
+        formData.append('website', form.elements.website.value);
+        Array.from(fields.photos || []).forEach(file => formData.append('photos', file));
+
+        submit.disabled = true;
+        status.textContent = this.t('reviews.sending');
+
+        const result = await window.ApiService.createReview(formData);
+
+        submit.disabled = false;
+
+        if (result.ok) {
+            form.reset();
+            status.textContent = this.t('reviews.success');
+            return;
+        }
+
+        if (result.status === 422 && result.fields) {
+            const rejected = this.reviews.fromServerErrors(result.fields);
+            status.textContent = this.i18n.has(rejected.key)
+                ? this.t(rejected.key, rejected.values)
+                : this.t('reviews.errors.invalid');
+            form.querySelector(`[name="${rejected.field}"]`)?.focus();
+            return;
+        }
+
+        status.textContent = this.t('reviews.failed');
+    }
+
+    /**
+     * HTML da galeria do modal: item exibido (foto ou vídeo), setas,
+     * contador, botão de tela cheia e miniaturas
+     * @param {Object} product - Produto original (título e detalhes das fotos)
+     * @param {Array<string>} gallery - Fotos e vídeos (MP4 ou YouTube) da variação exibida
+     * @returns {string}
+     */
+    renderModalGallery(product, gallery) {
+        this.galleryProduct = product;
+        this.galleryItems = gallery;
+        this.galleryIndex = 0;
+        this.galleryTitle = this.escapeHtml(product.title);
+
+        const total = gallery.length;
+        const mainItem = total > 0
+            ? this.renderGalleryItem(0)
+            : this.images.render(null, { alt: this.galleryTitle, className: 'gallery-media', id: 'mainProductImage', lazy: false });
+
+        const thumbnailsHTML = gallery.map((url, index) => {
+            const thumbnail = this.media.getThumbnail(url);
+            const isVideo = this.media.isVideo(url);
+
+            return `
+                <button type="button" class="gallery-thumb${index === 0 ? ' active' : ''}${isVideo ? ' is-video' : ''}" data-image-index="${index}" aria-label="${this.getGalleryLabel(index, true)}" aria-current="${index === 0}">
+                    ${thumbnail ? this.images.render(thumbnail, { details: this.getGalleryDetails(thumbnail), sizes: 'thumb' }) : ''}
+                    ${isVideo ? '<span class="gallery-thumb-play" aria-hidden="true">▶</span>' : ''}
+                </button>
+            `;
+        }).join('');
+
+        return `
+            <div class="main-image-container">
+                <div class="gallery-stage" id="galleryStage">
+                    ${mainItem}
                 </div>
+                ${total > 0 ? `
+                    <button type="button" class="gallery-expand" aria-label="${this.t('gallery.fullscreen')}">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                            <path d="M15 3h6v6M9 21H3v-6M21 3l-7 7M3 21l7-7"/>
+                        </svg>
+                    </button>
+                ` : ''}
+                ${total > 1 ? `
+                    <button type="button" class="gallery-nav gallery-prev" data-gallery-step="-1" aria-label="${this.t('gallery.previous')}">‹</button>
+                    <button type="button" class="gallery-nav gallery-next" data-gallery-step="1" aria-label="${this.t('gallery.next')}">›</button>
+                    <span class="gallery-counter" id="galleryCounter" aria-live="polite">1 / ${total}</span>
+                ` : ''}
+            </div>
+            
+            ${total > 1 ? `
+                <div class="image-thumbnails">
+                    ${thumbnailsHTML}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * HTML do item exibido na galeria do modal
+     * @param {number} index - Posição na galeria
+     * @returns {string}
+     */
+    renderGalleryItem(index) {
+        const url = this.galleryItems[index];
+
+        return this.media.render(url, {
+            alt: this.getGalleryLabel(index),
+            className: 'gallery-media',
+            id: 'mainProductImage',
+            details: this.getGalleryDetails(url),
+            sizes: 'modal',
+            lazy: false
+        });
+    }
+
+    /**
+     * @param {string} url - Foto da galeria do modal
+     * @returns {Object|null} - Detalhes da foto (ver ImageService.getDetails)
+     */
+    getGalleryDetails(url) {
+        return this.images.getDetails(this.galleryProduct, url);
+    }
+
+    /**
+     * @param {number} index - Posição na galeria
+     * @param {boolean} thumbnail - Texto da miniatura (a primeira foto é a "principal")
+     * @returns {string} - Texto alternativo do item
+     */
+    getGalleryLabel(index, thumbnail = false) {
+        const values = { title: this.galleryTitle, index: index + 1 };
+
+        if (this.media.isVideo(this.galleryItems[index])) {
+            return this.t('gallery.video', values);
+        }
+        if (index === 0) {
+            return thumbnail ? this.t('product.mainImage', values) : this.galleryTitle;
+        }
+        return this.t('product.image', values);
+    }
+
+    /**
+     * Exibe um item da galeria do modal (circular)
+     * @param {number} index - Posição na galeria
+     */
+    showGalleryItem(index) {
+        const total = this.galleryItems.length;
+        const stage = document.getElementById('galleryStage');
+        if (total === 0 || !stage) return;
+
+        this.galleryIndex = (index + total) % total;
+        stage.innerHTML = this.renderGalleryItem(this.galleryIndex);
+
+        document.querySelectorAll('.gallery-thumb').forEach(thumb => {
+            const active = parseInt(thumb.dataset.imageIndex) === this.galleryIndex;
+            thumb.classList.toggle('active', active);
+            thumb.setAttribute('aria-current', String(active));
+        });
+
+        const counter = document.getElementById('galleryCounter');
+        if (counter) {
+            counter.textContent = `${this.galleryIndex + 1} / ${total}`;
+        }
+
+        this.media.preloadAround(this.galleryItems, this.galleryIndex, {
+            getDetails: (url) => this.getGalleryDetails(url),
+            sizes: 'modal'
+        });
+    }
+
+    /**
+     * @param {number} delta - 1 para o próximo item, -1 para o anterior
+     */
+    stepGallery(delta) {
+        if (this.galleryItems.length > 1) {
+            this.showGalleryItem(this.galleryIndex + delta);
+        }
+    }
+
+    /**
+     * Abre a galeria em tela cheia no item exibido no modal
+     */
+    openLightbox() {
+        if (!this.lightbox || this.galleryItems.length === 0) return;
+
+        // Refazer o item do modal interrompe um vídeo em reprodução
+        this.showGalleryItem(this.galleryIndex);
+
+        this.lightbox.open(this.galleryItems, this.galleryIndex, {
+            title: this.galleryTitle,
+            getDetails: (url) => this.getGalleryDetails(url),
+            onChange: (index) => this.showGalleryItem(index)
+        });
+    }
+
+    /**
+     * HTML do preço do modal
+     * @param {Object} data - Preços do produto ou da variação (ver ProductVariants.resolve)
+     * @returns {string}
+     */
+    renderModalPrice(data) {
+        const formattedPrice = this.formatCurrency(data.price);
+        const promotionalPrice = this.promotions.getPromotionalPrice(data);
+
+        const price = promotionalPrice ? `
+            <div class="modal-price-container">
+                <span class="modal-original-price">${formattedPrice}</span>
+                <span class="modal-promotional-price">${this.formatCurrency(promotionalPrice)}</span>
+                ${this.renderDiscountBadge(data)}
+            </div>
+            ${this.renderCountdown(data)}
+        ` : `
+            <span class="modal-current-price">${formattedPrice}</span>
+        `;
+
+        return price + this.renderPaymentOptions(promotionalPrice || data.price);
+    }
+
+    /**
+     * Seletores das variações (um grupo de botões por opção)
+     * @param {Object} product - Produto original
+     * @returns {string} - HTML (vazio para produto sem variações)
+     */
+    renderVariantSelectors(product) {
+        const groups = this.variants.getOptionGroups(product);
+        if (groups.length === 0) return '';
+
+        return `
+            <div class="variant-section">
+                ${groups.map(group => {
+                    const name = this.escapeHtml(group.name);
+                    return `
+                        <div class="variant-group" role="radiogroup" aria-label="${name}">
+                            <p class="variant-group-label">
+                                ${name}: <strong data-variant-selected="${encodeURIComponent(group.name)}"></strong>
+                            </p>
+                            <div class="variant-options">
+                                ${group.values.map(value => `
+                                    <button type="button" class="variant-option" role="radio" aria-checked="false"
+                                        data-variant-option="${encodeURIComponent(group.name)}"
+                                        data-variant-value="${encodeURIComponent(value)}">${this.escapeHtml(value)}</button>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
             </div>
         `;
+    }
+
+    /**
+     * Troca a variação escolhida no modal
+     * @param {Object} product - Produto original
+     * @param {string} name - Grupo de opções
+     * @param {string} value - Valor escolhido
+     */
+    selectVariantOption(product, name, value) {
+        const selection = this.selectedVariant ? this.selectedVariant.options : {};
+        const variant = this.variants.select(product, selection, name, value);
+        if (!variant || variant === this.selectedVariant) return;
+
+        const previousGallery = this.variants.resolve(product, this.selectedVariant).gallery;
+        this.selectedVariant = variant;
+        const data = this.variants.resolve(product, variant);
+
+        const priceSection = this.elements.modalBody.querySelector('.price-section');
+        if (priceSection) {
+            priceSection.innerHTML = this.renderModalPrice(data);
+            this.updateCountdowns(priceSection);
+        }
+
+        // Só refaz a galeria quando a variação tem fotos diferentes
+        const gallerySection = this.elements.modalBody.querySelector('.product-gallery');
+        if (gallerySection && data.gallery.join() !== previousGallery.join()) {
+            gallerySection.innerHTML = this.renderModalGallery(product, data.gallery);
+            this.setupGallery();
+        }
+
+        this.updateModalState(product);
+    }
+
+    /**
+     * Atualiza botões de opção, estoque, ações e prévia da mensagem
+     * conforme a variação escolhida
+     * @param {Object} product - Produto original
+     */
+    updateModalState(product) {
+        const modal = this.elements.modalBody;
+        const variant = this.selectedVariant;
+        const selection = variant ? variant.options : {};
+
+        modal.querySelectorAll('.variant-option').forEach(button => {
+            const name = decodeURIComponent(button.dataset.variantOption);
+            const value = decodeURIComponent(button.dataset.variantValue);
+            const combination = this.variants.findBySelection(product, { ...selection, [name]: value });
+
+            button.setAttribute('aria-checked', String(selection[name] === value));
+            // Combinação inexistente ou esgotada continua clicável (troca as outras opções)
+            button.classList.toggle('unavailable', !combination || !this.variants.isAvailable(combination));
+        });
+
+        modal.querySelectorAll('[data-variant-selected]').forEach(label => {
+            label.textContent = selection[decodeURIComponent(label.dataset.variantSelected)] || '';
+        });
+
+        const status = this.stock.getStatus(product, variant);
+        const soldOut = status === 'soldOut';
+
+        const stock = document.getElementById('modalStock');
+        if (stock) {
+            stock.innerHTML = this.renderStockBadge(status);
+        }
+
+        // Esgotado: "Avise-me quando chegar" no lugar de "Tenho interesse"
+        const buyButton = modal.querySelector('.buy-button');
+        const notifyButton = modal.querySelector('.notify-button');
+        buyButton?.classList.toggle('hidden', soldOut);
+        notifyButton?.classList.toggle('hidden', !soldOut);
+
+        const notifyForm = document.getElementById('notifyForm');
+        if (notifyForm && !soldOut) {
+            notifyForm.classList.add('hidden');
+        }
+
+        const addCartButton = modal.querySelector('.modal-add-cart');
+        if (addCartButton) {
+            addCartButton.disabled = soldOut;
+        }
+
+        const preview = document.getElementById('messagePreview');
+        if (preview) {
+            preview.textContent = soldOut
+                ? this.buildNotifyMessage(product, variant)
+                : this.buildProductMessage(product, variant);
+        }
+    }
+
+    /**
+     * Exibe o modal
+     */
+    showModal() {
+        if (this.elements.modal) {
+            this.elements.modal.classList.remove('hidden');
+            document.body.style.overflow = 'hidden'; // Prevenir scroll do body
+            
+            // Focar no botão de fechar para acessibilidade
+            this.elements.modalClose?.focus();
+        }
+    }
+
+    /**
+     * Fecha o modal
+     */
+    closeModal(options = {}) {
+        if (this.elements.modal) {
+            this.elements.modal.classList.add('hidden');
+            document.body.style.overflow = ''; // Restaurar scroll do body
+        }
+
+        // O modal só fica oculto: remover o item exibido interrompe vídeos
+        this.lightbox?.close();
+        const galleryStage = document.getElementById('galleryStage');
+        if (galleryStage) {
+            galleryStage.innerHTML = '';
+        }
+
+        if (this.currentProductId === null) return;
+        this.currentProductId = null;
+        this.selectedVariant = null;
+        this.modalProduct = null;
+
+        if (options.updateUrl === false) return;
+
+        // Aberto por clique: voltar remove a entrada criada; aberto por link: só limpar o hash
+        if (this.modalHistoryEntry) {
+            this.modalHistoryEntry = false;
+            history.back();
+        } else {
+            this.syncUrl();
+        }
+    }
+
+    /**
+     * Exibe o estado de loading
+     */
+    showLoading() {
+        this.elements.loading?.classList.remove('hidden');
+        this.elements.error?.classList.add('hidden');
+        this.elements.productsGrid?.classList.add('hidden');
+        this.elements.loadMore?.classList.add('hidden');
+        this.elements.filtersPanel?.classList.add('hidden');
+        this.elements.filtersToggle?.classList.add('hidden');
+        this.elements.catalogToolbar?.classList.add('hidden');
+    }
+
+    /**
+     * Mensagem para o visitante conforme o tipo do erro (ApiErrors em api.js);
+     * outros erros mantêm a própria mensagem
+     * @param {Error|string} error - Erro ou mensagem pronta
+     * @returns {string}
+     */
+    describeError(error) {
+        if (!(error instanceof Error)) return String(error ?? '');
+
+        const key = `errors.api.${error.code}`;
+        if (!error.code || !this.i18n.has(key)) return error.message;
+
+        return this.t(key, { status: error.status, seconds: error.retryAfter });
+    }
+
+    /**
+     * Exibe o estado de erro
+     * @param {Error|string} customMessage - Erro (ver describeError) ou mensagem personalizada
+     */
+    showError(customMessage = null) {
+        this.elements.loading?.classList.add('hidden');
+        this.elements.error?.classList.remove('hidden');
+        this.elements.productsGrid?.classList.add('hidden');
+        this.elements.loadMore?.classList.add('hidden');
+        this.elements.filtersPanel?.classList.add('hidden');
+        this.elements.filtersToggle?.classList.add('hidden');
+        this.elements.catalogToolbar?.classList.add('hidden');
+        
+        if (customMessage && this.elements.error) {
+            const errorContent = this.elements.error.querySelector('.error-content p');
+            if (errorContent) {
+                errorContent.textContent = this.describeError(customMessage);
+            }
+        }
+    }
+
+    /**
+     * Mostra aviso sobre uso da API de fallback (ou, com local false, sobre
+     * uma consulta que falhou sem afetar o catálogo exibido)
+     * @param {Error|string} apiError - Erro da API principal (ver describeError)
+     * @param {Object} options - { local: true quando o catálogo veio do JSON local }
+     */
+    showApiWarning(apiError, options = {}) {
+        const local = options.local !== false;
+        const message = this.escapeHtml(this.describeError(apiError));
+        const warningElement = document.createElement('div');
+        warningElement.className = 'api-warning';
+        warningElement.innerHTML = `
+            <div class="warning-content">
+                <strong>${this.t(local ? 'errors.offlineTitle' : 'errors.requestTitle')}</strong>
+                <p>${local ? this.t('errors.offlineApi', { error: message }) : message}</p>
+                ${local ? `<p>${this.t('errors.offlineLocal')}</p>` : ''}
+                <button class="warning-close" onclick="this.parentElement.parentElement.remove()">×</button>
+            </div>
+        `;
+        
+        // Inserir no topo da página
+        const main = document.querySelector('.main');
+        if (main) {
+            main.insertBefore(warningElement, main.firstChild);
+        }
+        
+        // Auto-remover após 10 segundos
+        setTimeout(() => {
+            if (warningElement.parentNode) {
+                warningElement.remove();
+            }
+        }, 10000);
+    }
+
+    /**
+     * Exibe a grid de produtos
+     */
+    showProducts() {
+        this.elements.loading?.classList.add('hidden');
+        this.elements.error?.classList.add('hidden');
+        this.elements.productsGrid?.classList.remove('hidden');
+        this.elements.catalogToolbar?.classList.remove('hidden');
+    }
+
+    /**
+     * Atualiza o contador de produtos
+     */
+    updateResultsInfo() {
+        const total = this.totalProducts || this.products.length;
+        const filtered = this.filteredProducts.length;
+        
+        if (this.elements.resultsCount) {
+            if (this.isFiltering()) {
+                this.elements.resultsCount.textContent = this.t('results.found', { count: filtered, total });
+                        
+                this.elements.searchResultsInfo?.classList.remove('hidden');
+                this.elements.clearAllFilters?.classList.remove('hidden');
+            } else {
+                this.elements.searchResultsInfo?.classList.add('hidden');
+            }
+        }
+
+        this.updateFavoritesBar();
+    }
+
+    /**
+     * Configura event listeners para a busca
+     */
+    setupSearchListeners() {
+        // Input de busca com debounce
+        let searchTimeout;
+        this.elements.searchInput?.addEventListener('input', (event) => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                this.handleSearch(event.target.value);
+            }, 300);
+        });
+
+        // Botão de busca
+        this.elements.searchButton?.addEventListener('click', () => {
+            this.closeSuggestions();
+            this.rememberSearch(this.elements.searchInput.value);
+            this.handleSearch(this.elements.searchInput.value);
+        });
+
+        // Enter no campo de busca
+        this.elements.searchInput?.addEventListener('keypress', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.closeSuggestions();
+                this.rememberSearch(this.elements.searchInput.value);
+                this.handleSearch(this.elements.searchInput.value);
+            }
+        });
+
+        // Sugestões (autocomplete)
+        if (this.hasFeature('searchSuggestions')) {
+            this.setupSuggestionListeners();
+        }
+
+        // Botão limpar busca
+        this.elements.clearSearch?.addEventListener('click', () => {
+            this.clearSearch();
+        });
+
+        // Botão limpar todos os filtros
+        this.elements.clearAllFilters?.addEventListener('click', () => {
+            this.clearAllFilters();
+        });
+    }
+
+    /**
+     * Configura o autocomplete do campo de busca (combobox com listbox)
+     */
+    setupSuggestionListeners() {
+        const input = this.elements.searchInput;
+        if (!input || !this.elements.searchSuggestionsList) return;
+
+        let suggestionTimeout;
+        input.addEventListener('input', () => {
+            clearTimeout(suggestionTimeout);
+            suggestionTimeout = setTimeout(() => this.renderSuggestions(), 150);
+        });
+
+        input.addEventListener('focus', () => {
+            this.renderSuggestions();
+        });
+
+        input.addEventListener('blur', () => {
+            this.closeSuggestions();
+        });
+
+        // Navegação pelo teclado; Enter sem opção destacada segue para a busca normal
+        input.addEventListener('keydown', (event) => {
+            const isOpen = this.isSuggestionsOpen();
+
+            switch (event.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    event.preventDefault();
+                    if (!isOpen) {
+                        this.renderSuggestions();
+                    }
+                    this.moveSuggestion(event.key === 'ArrowDown' ? 1 : -1);
+                    break;
+                case 'Enter':
+                    if (isOpen && this.activeSuggestion >= 0) {
+                        event.preventDefault();
+                        this.chooseSuggestion(this.activeSuggestion);
+                    }
+                    break;
+                case 'Escape':
+                    if (isOpen) {
+                        // Não fechar o modal/carrinho junto com as sugestões
+                        event.stopPropagation();
+                        this.closeSuggestions();
+                    }
+                    break;
+                case 'Tab':
+                    this.closeSuggestions();
+                    break;
+            }
+        });
+
+        // Manter o foco no campo ao clicar nas sugestões
+        this.elements.searchSuggestions?.addEventListener('mousedown', (event) => {
+            event.preventDefault();
+        });
+
+        this.elements.searchSuggestionsList.addEventListener('click', (event) => {
+            const option = event.target.closest('[data-suggestion-index]');
+            if (option) {
+                this.chooseSuggestion(parseInt(option.dataset.suggestionIndex));
+            }
+        });
+
+        this.elements.searchHistoryClear?.addEventListener('click', () => {
+            this.searchHistory?.clear();
+            this.renderSuggestions();
+        });
+    }
+
+    /**
+     * Monta a lista de sugestões para o texto atual do campo de busca:
+     * buscas recentes com o campo vazio; buscas recentes e produtos ao digitar
+     */
+    renderSuggestions() {
+        const list = this.elements.searchSuggestionsList;
+        if (!list) return;
+
+        const query = this.elements.searchInput.value.trim();
+        const recent = this.searchHistory ? this.searchHistory.getAll() : [];
+        const normalize = (text) => this.searchEngine ? this.searchEngine.normalize(text) : text.toLowerCase();
+        let items;
+
+        if (!query) {
+            items = recent.map(term => ({ type: 'recent', term }));
+        } else {
+            const normalizedQuery = normalize(query);
+            const recentMatches = recent
+                .filter(term => normalize(term).startsWith(normalizedQuery) && normalize(term) !== normalizedQuery)
+                .slice(0, 3)
+                .map(term => ({ type: 'recent', term }));
+
+            items = recentMatches.concat(this.getProductSuggestions(query).map(product => ({ type: 'product', product })));
+        }
+
+        this.suggestions = items;
+        this.activeSuggestion = -1;
+        this.elements.searchInput.removeAttribute('aria-activedescendant');
+
+        if (items.length === 0) {
+            this.closeSuggestions();
+            return;
+        }
+
+        this.elements.searchSuggestionsHeader?.classList.toggle('hidden', Boolean(query));
+
+        list.innerHTML = items.map((item, index) => {
+            if (item.type === 'recent') {
+                return `
+                    <li class="search-suggestion search-suggestion-recent" id="searchSuggestion-${index}" role="option" aria-selected="false" data-suggestion-index="${index}">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                            <path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6a7 7 0 1 1 2.05 4.95l-1.42 1.42A9 9 0 1 0 13 3zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z"/>
+                        </svg>
+                        <span class="search-suggestion-text">${this.escapeHtml(item.term)}</span>
+                    </li>
+                `;
+            }
+
+            const product = item.product;
+            const cover = this.media.getCover(product.gallery);
+            const image = this.images.render(cover, {
+                details: this.images.getDetails(product, cover),
+                className: 'search-suggestion-image',
+                sizes: 'suggestion'
+            });
+
+            return `
+                <li class="search-suggestion" id="searchSuggestion-${index}" role="option" aria-selected="false" data-suggestion-index="${index}">
+                    ${image}
+                    <span class="search-suggestion-text">${this.highlightText(product.title, query)}</span>
+                    <span class="search-suggestion-price">${this.formatCurrency(this.getEffectivePrice(product))}</span>
+                </li>
+            `;
+        }).join('');
+
+        this.elements.searchSuggestions?.classList.remove('hidden');
+        this.elements.searchInput.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Produtos mais relevantes para o texto digitado
+     * @param {string} query - Texto digitado
+     * @returns {Array} - Produtos, do mais relevante ao menos relevante
+     */
+    getProductSuggestions(query) {
+        if (!this.searchEngine || query.length < 2) return [];
+
+        const scores = this.searchEngine.score(this.products, query);
+
+        return this.products
+            .filter(product => scores.has(product.id))
+            .sort((a, b) => scores.get(b.id) - scores.get(a.id) || (a.order || 0) - (b.order || 0))
+            .slice(0, this.maxProductSuggestions);
+    }
+
+    /**
+     * Destaca a sugestão anterior ou seguinte (circular)
+     * @param {number} delta - 1 para baixo, -1 para cima
+     */
+    moveSuggestion(delta) {
+        const total = this.suggestions.length;
+        if (total === 0) return;
+
+        this.activeSuggestion = this.activeSuggestion < 0 && delta < 0
+            ? total - 1
+            : (this.activeSuggestion + delta + total) % total;
+
+        this.elements.searchSuggestionsList.querySelectorAll('[data-suggestion-index]').forEach(option => {
+            const active = parseInt(option.dataset.suggestionIndex) === this.activeSuggestion;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                option.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+
+        this.elements.searchInput.setAttribute('aria-activedescendant', `searchSuggestion-${this.activeSuggestion}`);
+    }
+
+    /**
+     * Aplica a sugestão escolhida: busca recente refaz a busca; produto abre o modal
+     * @param {number} index - Posição da sugestão
+     */
+    chooseSuggestion(index) {
+        const item = this.suggestions[index];
+        if (!item) return;
+
+        this.closeSuggestions();
+
+        if (item.type === 'recent') {
+            this.applySearchSuggestion(item.term);
+            return;
+        }
+
+        this.rememberSearch(this.elements.searchInput.value);
+        this.openProductModal(item.product.id);
+    }
+
+    /**
+     * Preenche o campo e busca pelo termo sugerido
+     * @param {string} term - Termo escolhido
+     */
+    applySearchSuggestion(term) {
+        if (this.elements.searchInput) {
+            this.elements.searchInput.value = term;
+        }
+        this.rememberSearch(term);
+        this.handleSearch(term);
+    }
+
+    /**
+     * Fecha a lista de sugestões
+     */
+    closeSuggestions() {
+        this.elements.searchSuggestions?.classList.add('hidden');
+        this.elements.searchInput?.setAttribute('aria-expanded', 'false');
+        this.elements.searchInput?.removeAttribute('aria-activedescendant');
+        this.activeSuggestion = -1;
+    }
+
+    /**
+     * @returns {boolean} - True se a lista de sugestões está aberta
+     */
+    isSuggestionsOpen() {
+        return Boolean(this.elements.searchSuggestions && !this.elements.searchSuggestions.classList.contains('hidden'));
+    }
+
+    /**
+     * Guarda o termo nas buscas recentes
+     * @param {string} term - Termo buscado
+     */
+    rememberSearch(term) {
+        this.searchHistory?.add(term);
+    }
+
+    /**
+     * Realiza a busca nos produtos
+     * @param {string} searchTerm - Termo de busca
+     */
+    handleSearch(searchTerm) {
+        this.currentSearchTerm = searchTerm.trim().toLowerCase();
+        this.elements.clearSearch?.classList.toggle('hidden', !this.currentSearchTerm);
+        
+        this.applyFilters();
+    }
+
+    /**
+     * Aplica busca e filtros atuais e atualiza a grid, o contador e o painel
+     */
+    applyFilters() {
+        this.filteredProducts = this.filterProducts();
+
+        this.renderProducts();
+        this.updateResultsInfo();
+        this.updateFilterPanel();
+        
+        // Mostrar mensagem se não encontrou resultados
+        if (this.filteredProducts.length === 0 && this.isFiltering()) {
+            this.showNoResults();
+        }
+
+        this.syncUrl();
+    }
+
+    /**
+     * Filtra os produtos carregados pelo termo de busca atual
+     * @returns {Array} - Produtos que atendem à busca
+     */
+    filterProducts() {
+        return this.sortProducts(this.products.filter(product => 
+            this.matchesSearch(product) && this.matchesFilters(product)
+        ));
+    }
+
+    /**
+     * Ordena os produtos conforme a opção escolhida
+     * @param {Array} products - Produtos a ordenar
+     * @returns {Array} - Nova lista ordenada
+     */
+    sortProducts(products) {
+        // Ordem padrão (campo 'order'), usada também como critério de desempate
+        const byOrder = (a, b) => (a.order || 0) - (b.order || 0) || a.id - b.id;
+
+        const comparators = {
+            // Com busca ativa, os acertos mais relevantes vêm primeiro
+            'relevance': (a, b) => this.getSearchScore(b) - this.getSearchScore(a) || byOrder(a, b),
+            'price-asc': (a, b) => this.getEffectivePrice(a) - this.getEffectivePrice(b),
+            'price-desc': (a, b) => this.getEffectivePrice(b) - this.getEffectivePrice(a),
+            'discount': (a, b) => this.getDiscountRate(b) - this.getDiscountRate(a),
+            'rating': (a, b) => (b.rating || 0) - (a.rating || 0),
+            'newest': (a, b) => this.getCreatedTime(b) - this.getCreatedTime(a) || b.id - a.id,
+            'title': (a, b) => a.title.localeCompare(b.title, this.i18n.locale, { sensitivity: 'base' })
+        };
+
+        // Esgotados no fim da lista (stock.soldOut = 'last'), em qualquer ordenação
+        const soldOutLast = this.config.stock.soldOut === 'last';
+        const bySoldOut = (a, b) => soldOutLast ? this.stock.isSoldOut(a) - this.stock.isSoldOut(b) : 0;
+
+        const compare = comparators[this.sortBy] || byOrder;
+        return [...products].sort((a, b) => bySoldOut(a, b) || compare(a, b) || byOrder(a, b));
+    }
+
+    /**
+     * Percentual de desconto do produto (0 quando não está em promoção)
+     * @param {Object} product - Produto
+     * @returns {number} - Fração entre 0 e 1
+     */
+    getDiscountRate(product) {
+        return this.isOnSale(product) ? (product.price - product.promotionalPrice) / product.price : 0;
+    }
+
+    /**
+     * Data de cadastro do produto em milissegundos (0 quando desconhecida)
+     * @param {Object} product - Produto
+     * @returns {number}
+     */
+    getCreatedTime(product) {
+        const time = product.createdAt ? new Date(product.createdAt).getTime() : 0;
+        return isNaN(time) ? 0 : time;
+    }
+
+    /**
+     * Verifica se o produto atende ao termo de busca atual
+     * @param {Object} product - Produto
+     * @returns {boolean}
+     */
+    matchesSearch(product) {
+        if (!this.currentSearchTerm) return true;
+
+        if (this.searchEngine) {
+            return this.getSearchScores().has(product.id);
+        }
+
+        return (
+            product.title.toLowerCase().includes(this.currentSearchTerm) ||
+            (product.subtitle && product.subtitle.toLowerCase().includes(this.currentSearchTerm)) ||
+            product.description.toLowerCase().includes(this.currentSearchTerm)
+        );
+    }
+
+    /**
+     * Pontuações da busca atual para os produtos carregados
+     * @returns {Map<number, number>} - ID do produto → pontuação
+     */
+    getSearchScores() {
+        const cache = this.searchCache;
+
+        if (cache.term !== this.currentSearchTerm || cache.products !== this.products) {
+            cache.term = this.currentSearchTerm;
+            cache.products = this.products;
+            cache.scores = this.searchEngine && this.currentSearchTerm
+                ? this.searchEngine.score(this.products, this.currentSearchTerm)
+                : new Map();
+        }
+
+        return cache.scores;
+    }
+
+    /**
+     * @param {Object} product - Produto
+     * @returns {number} - Pontuação do produto na busca atual (0 sem busca)
+     */
+    getSearchScore(product) {
+        return this.getSearchScores().get(product.id) || 0;
+    }
+
+    /**
+     * Escapa o texto e destaca as palavras que combinam com a busca
+     * @param {string} text - Texto original
+     * @param {string} query - Termo a destacar (padrão: busca atual)
+     * @returns {string} - HTML seguro com <mark> nos trechos encontrados
+     */
+    highlightText(text, query = this.currentSearchTerm) {
+        const value = String(text || '');
+        if (!this.searchEngine || !query) return this.escapeHtml(value);
+
+        let html = '';
+        let position = 0;
+
+        this.searchEngine.getMatchRanges(value, query).forEach(([start, end]) => {
+            html += this.escapeHtml(value.slice(position, start));
+            html += `<mark class="search-highlight">${this.escapeHtml(value.slice(start, end))}</mark>`;
+            position = end;
+        });
+
+        return html + this.escapeHtml(value.slice(position));
+    }
+
+    /**
+     * Verifica se o produto atende aos filtros por faceta
+     * @param {Object} product - Produto
+     * @param {string} ignore - Faceta a desconsiderar (para calcular suas contagens)
+     * @returns {boolean}
+     */
+    matchesFilters(product, ignore = null) {
+        const { category, tags, minPrice, maxPrice, onSale, favorites, ids } = this.filters;
+        const price = this.getEffectivePrice(product);
+
+        if (ignore !== 'category' && category && product.category !== category) {
+            return false;
+        }
+
+        if (ignore !== 'tags' && tags.length > 0) {
+            const productTags = this.getProductTags(product);
+            if (!tags.every(tag => productTags.includes(tag))) {
+                return false;
+            }
+        }
+
+        if (ignore !== 'price') {
+            if (minPrice !== null && price < minPrice) return false;
+            if (maxPrice !== null && price > maxPrice) return false;
+        }
+
+        if (ignore !== 'onSale' && onSale && !this.isOnSale(product)) {
+            return false;
+        }
+
+        if (ignore !== 'favorites' && favorites && !this.favorites?.has(product.id)) {
+            return false;
+        }
+
+        // Lista compartilhada por link (?lista=1,2,3)
+        if (ids.length > 0 && !ids.includes(product.id)) {
+            return false;
+        }
+
+        // Esgotados ocultos (stock.soldOut = 'hide'), menos nos favoritos e em listas compartilhadas
+        const showSoldOut = favorites || ignore === 'favorites' || ids.length > 0;
+        if (this.config.stock.soldOut === 'hide' && !showSoldOut && this.stock.isSoldOut(product)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * @returns {Object} - Estado inicial dos filtros
+     */
+    createEmptyFilters() {
+        return {
+            category: null,
+            tags: [],
+            minPrice: null,
+            maxPrice: null,
+            onSale: false,
+            favorites: false,
+            ids: []
+        };
+    }
+
+    /**
+     * @returns {boolean} - True se há algum filtro por faceta ativo
+     */
+    hasActiveFilters() {
+        const { category, tags, minPrice, maxPrice, onSale, favorites, ids } = this.filters;
+        return Boolean(category || tags.length > 0 || minPrice !== null || maxPrice !== null || onSale ||
+            favorites || ids.length > 0);
+    }
+
+    /**
+     * @returns {boolean} - True se há busca ou filtros aplicados
+     */
+    isFiltering() {
+        return Boolean(this.currentSearchTerm) || this.hasActiveFilters();
+    }
+
+    /**
+     * Preço efetivo do produto (promocional, quando em vigor)
+     * @param {Object} product - Produto
+     * @returns {number}
+     */
+    getEffectivePrice(product) {
+        return this.promotions.getPrice(product);
+    }
+
+    /**
+     * @param {Object} product - Produto ou variação resolvida
+     * @returns {boolean} - True se o preço promocional vale agora (valor e período)
+     */
+    isOnSale(product) {
+        return this.promotions.isActive(product);
+    }
+
+    /**
+     * Atualiza as contagens regressivas a cada segundo e refaz os preços
+     * quando uma promoção começa ou termina com a página aberta
+     */
+    setupPromotionTimer() {
+        setInterval(() => this.tickPromotions(), 1000);
+    }
+
+    /**
+     * @param {Date} now - Momento considerado
+     */
+    tickPromotions(now = new Date()) {
+        this.updateCountdowns(document, now);
+
+        const products = [...this.products, ...this.detachedProducts.values()];
+        const change = this.promotions.getNextChange(products, this.promotionsCheckedAt);
+        this.promotionsCheckedAt = now;
+
+        if (change && change <= now) {
+            this.refreshPromotions();
+        }
+    }
+
+    /**
+     * Refaz grid, filtros, modal e carrinho com os preços do momento
+     */
+    refreshPromotions() {
+        if (this.products.length > 0) {
+            this.filteredProducts = this.filterProducts();
+            this.renderProducts({ keepRendered: true });
+            this.updateResultsInfo();
+            this.updateFilterPanel();
+        }
+
+        const product = this.currentProductId !== null ? this.findProduct(this.currentProductId) : null;
+        const priceSection = this.elements.modalBody?.querySelector('.price-section');
+        if (product && priceSection) {
+            priceSection.innerHTML = this.renderModalPrice(this.variants.resolve(product, this.selectedVariant));
+            this.updateCountdowns(priceSection);
+            this.updateModalState(product);
+        }
+
+        if (this.cart) {
+            this.renderCart();
+        }
+    }
+
+    /**
+     * @param {Object} product - Produto
+     * @returns {Array<string>} - Tags do produto
+     */
+    getProductTags(product) {
+        return Array.isArray(product.tags) ? product.tags.map(tag => String(tag)) : [];
+    }
+
+    /**
+     * Calcula as contagens de cada faceta considerando a busca e os demais filtros
+     * @returns {Object} - { categories: Map, tags: Map, onSale: number, favorites: number }
+     */
+    computeFacets() {
+        const searched = this.products.filter(product => this.matchesSearch(product));
+        const categories = new Map();
+        const tags = new Map();
+        let onSale = 0;
+        let favorites = 0;
+
+        searched.forEach(product => {
+            if (product.category && this.matchesFilters(product, 'category')) {
+                categories.set(product.category, (categories.get(product.category) || 0) + 1);
+            }
+
+            if (this.matchesFilters(product, 'tags')) {
+                this.getProductTags(product).forEach(tag => {
+                    tags.set(tag, (tags.get(tag) || 0) + 1);
+                });
+            }
+
+            if (this.isOnSale(product) && this.matchesFilters(product, 'onSale')) {
+                onSale++;
+            }
+
+            if (this.favorites?.has(product.id) && this.matchesFilters(product, 'favorites')) {
+                favorites++;
+            }
+        });
+
+        return {
+            categories,
+            tags,
+            onSale,
+            favorites,
+            categoriesTotal: searched.filter(product => this.matchesFilters(product, 'category')).length
+        };
+    }
+
+    /**
+     * Monta o painel de filtros a partir das categorias e tags carregadas
+     */
+    renderFilterPanel() {
+        if (!this.elements.filtersBody || this.products.length === 0) return;
+
+        const sortText = (a, b) => a.localeCompare(b, this.i18n.locale);
+        const categories = [...new Set(this.products.map(p => p.category).filter(Boolean))].sort(sortText);
+        const tags = [...new Set(this.products.flatMap(p => this.getProductTags(p)))].sort(sortText);
+        const prices = this.products.map(product => this.getEffectivePrice(product));
+
+        this.priceBounds = {
+            min: Math.floor(Math.min(...prices)),
+            max: Math.ceil(Math.max(...prices))
+        };
+
+        // Descartar filtros que deixaram de existir (só com o catálogo completo,
+        // para não perder filtros do link enquanto as páginas chegam)
+        if (!this.hasMorePages) {
+            if (this.filters.category && !categories.includes(this.filters.category)) {
+                this.filters.category = null;
+            }
+            this.filters.tags = this.filters.tags.filter(tag => tags.includes(tag));
+        }
+
+        const { min, max } = this.priceBounds;
+
+        this.elements.filtersBody.innerHTML = `
+            ${categories.length > 0 ? `
+                <section class="filter-group">
+                    <h3 class="filter-group-title">${this.t('filters.categories')}</h3>
+                    <div class="filter-chips">
+                        <button type="button" class="filter-chip" data-filter-category="">
+                            ${this.t('filters.all')} <span class="facet-count" data-facet-count="category:"></span>
+                        </button>
+                        ${categories.map(category => `
+                            <button type="button" class="filter-chip" data-filter-category="${this.escapeHtml(category)}">
+                                ${this.escapeHtml(category)} <span class="facet-count" data-facet-count="category:${this.escapeHtml(category)}"></span>
+                            </button>
+                        `).join('')}
+                    </div>
+                </section>
+            ` : ''}
+
+            ${tags.length > 0 ? `
+                <section class="filter-group">
+                    <h3 class="filter-group-title">${this.t('filters.tags')}</h3>
+                    <div class="filter-options">
+                        ${tags.map(tag => `
+                            <label class="filter-option">
+                                <input type="checkbox" data-filter-tag="${this.escapeHtml(tag)}">
+                                <span>${this.escapeHtml(tag)}</span>
+                                <span class="facet-count" data-facet-count="tag:${this.escapeHtml(tag)}"></span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </section>
+            ` : ''}
+
+            <section class="filter-group">
+                <h3 class="filter-group-title">${this.t('filters.price')}</h3>
+                <div class="price-range">
+                    <p class="price-range-values" id="priceRangeValues"></p>
+                    <label class="price-range-label">
+                        ${this.t('filters.min')}
+                        <input type="range" class="price-range-input" data-filter-price="min" min="${min}" max="${max}" step="1" value="${min}">
+                    </label>
+                    <label class="price-range-label">
+                        ${this.t('filters.max')}
+                        <input type="range" class="price-range-input" data-filter-price="max" min="${min}" max="${max}" step="1" value="${max}">
+                    </label>
+                </div>
+            </section>
+
+            <section class="filter-group">
+                <label class="filter-toggle">
+                    <input type="checkbox" data-filter-on-sale>
+                    <span>${this.t('filters.onSale')}</span>
+                    <span class="facet-count" data-facet-count="onSale"></span>
+                </label>
+                ${this.favorites ? `
+                    <label class="filter-toggle">
+                        <input type="checkbox" data-filter-favorites>
+                        <span>${this.t('filters.favorites')}</span>
+                        <span class="facet-count" data-facet-count="favorites"></span>
+                    </label>
+                ` : ''}
+            </section>
+        `;
+
+        this.elements.filtersPanel?.classList.remove('hidden');
+        this.elements.filtersToggle?.classList.remove('hidden');
+        this.updateFilterPanel();
+    }
+
+    /**
+     * Atualiza contagens e estados do painel sem recriá-lo
+     */
+    updateFilterPanel() {
+        const body = this.elements.filtersBody;
+        if (!body) return;
+
+        const facets = this.computeFacets();
+
+        body.querySelectorAll('[data-facet-count]').forEach(element => {
+            const [type, ...rest] = element.dataset.facetCount.split(':');
+            const value = rest.join(':');
+            let count = 0;
+
+            if (type === 'category') {
+                count = value ? (facets.categories.get(value) || 0) : facets.categoriesTotal;
+            } else if (type === 'tag') {
+                count = facets.tags.get(value) || 0;
+            } else if (type === 'onSale') {
+                count = facets.onSale;
+            } else if (type === 'favorites') {
+                count = facets.favorites;
+            }
+
+            element.textContent = `(${count})`;
+        });
+
+        body.querySelectorAll('[data-filter-category]').forEach(chip => {
+            const active = (chip.dataset.filterCategory || null) === this.filters.category;
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', String(active));
+        });
+
+        body.querySelectorAll('[data-filter-tag]').forEach(checkbox => {
+            checkbox.checked = this.filters.tags.includes(checkbox.dataset.filterTag);
+        });
+
+        const onSaleCheckbox = body.querySelector('[data-filter-on-sale]');
+        if (onSaleCheckbox) {
+            onSaleCheckbox.checked = this.filters.onSale;
+        }
+
+        const favoritesCheckbox = body.querySelector('[data-filter-favorites]');
+        if (favoritesCheckbox) {
+            favoritesCheckbox.checked = this.filters.favorites;
+        }
+
+        const { min, max } = this.priceBounds;
+        const minPrice = this.filters.minPrice ?? min;
+        const maxPrice = this.filters.maxPrice ?? max;
+        const minInput = body.querySelector('[data-filter-price="min"]');
+        const maxInput = body.querySelector('[data-filter-price="max"]');
+
+        if (minInput) minInput.value = minPrice;
+        if (maxInput) maxInput.value = maxPrice;
+
+        const rangeValues = body.querySelector('#priceRangeValues');
+        if (rangeValues) {
+            rangeValues.textContent = `${this.formatCurrency(minPrice)} – ${this.formatCurrency(maxPrice)}`;
+        }
+
+        this.elements.filtersClear?.classList.toggle('hidden', !this.hasActiveFilters());
+    }
+
+    /**
+     * Configura event listeners do painel de filtros
+     */
+    setupFilterListeners() {
+        const body = this.elements.filtersBody;
+        if (!body) return;
+
+        body.addEventListener('click', (event) => {
+            const chip = event.target.closest('[data-filter-category]');
+            if (!chip) return;
+
+            this.filters.category = chip.dataset.filterCategory || null;
+            this.applyFilters();
+        });
+
+        body.addEventListener('change', (event) => {
+            const target = event.target;
+
+            if (target.matches('[data-filter-tag]')) {
+                const tag = target.dataset.filterTag;
+                this.filters.tags = target.checked
+                    ? [...this.filters.tags, tag]
+                    : this.filters.tags.filter(item => item !== tag);
+                this.applyFilters();
+            } else if (target.matches('[data-filter-on-sale]')) {
+                this.filters.onSale = target.checked;
+                this.applyFilters();
+            } else if (target.matches('[data-filter-favorites]')) {
+                this.filters.favorites = target.checked;
+                this.applyFilters();
+            }
+        });
+
+        // Faixa de preço com debounce para não recalcular a cada pixel arrastado
+        let priceTimeout;
+        body.addEventListener('input', (event) => {
+            const target = event.target;
+            if (!target.matches('[data-filter-price]')) return;
+
+            const { min, max } = this.priceBounds;
+            let value = parseFloat(target.value);
+
+            if (target.dataset.filterPrice === 'min') {
+                value = Math.min(value, this.filters.maxPrice ?? max);
+                this.filters.minPrice = value <= min ? null : value;
+            } else {
+                value = Math.max(value, this.filters.minPrice ?? min);
+                this.filters.maxPrice = value >= max ? null : value;
+            }
+
+            this.updateFilterPanel();
+
+            clearTimeout(priceTimeout);
+            priceTimeout = setTimeout(() => this.applyFilters(), 200);
+        });
+
+        this.elements.filtersClear?.addEventListener('click', () => {
+            this.clearAllFilters();
+        });
+
+        // Painel recolhível em telas pequenas
+        this.elements.filtersToggle?.addEventListener('click', () => {
+            const isOpen = this.elements.filtersPanel?.classList.toggle('is-open');
+            this.elements.filtersToggle.setAttribute('aria-expanded', String(Boolean(isOpen)));
+        });
+    }
+
+    /**
+     * Limpa a busca atual
+     */
+    clearSearch() {
+        if (this.elements.searchInput) {
+            this.elements.searchInput.value = '';
+        }
+        this.currentSearchTerm = '';
+        this.elements.clearSearch?.classList.add('hidden');
+        this.applyFilters();
+        this.elements.searchInput?.focus();
+    }
+
+    /**
+     * Limpa todos os filtros aplicados
+     */
+    clearAllFilters() {
+        this.filters = this.createEmptyFilters();
+        this.clearSearch();
+    }
+
+    /**
+     * Mostra mensagem quando não há resultados
+     */
+    showNoResults() {
+        if (!this.elements.productsGrid) return;
+
+        // "Você quis dizer…": alternativas que trazem resultados com os filtros atuais
+        const query = this.elements.searchInput ? this.elements.searchInput.value.trim() : this.currentSearchTerm;
+        const didYouMean = this.currentSearchTerm && this.searchEngine
+            ? this.searchEngine.suggest(this.products.filter(product => this.matchesFilters(product)), query)
+            : [];
+        
+        const emptyFavorites = this.filters.favorites && (this.favorites?.getCount() || 0) === 0;
+        const title = this.t(emptyFavorites ? 'results.emptyFavoritesTitle' : 'results.emptyTitle');
+        const hint = this.t(emptyFavorites ? 'results.emptyFavoritesHint' : 'results.emptyHint');
+
+        this.renderedCards = new Map();
+        this.elements.productsGrid.innerHTML = `
+            <div class="no-results">
+                <div class="no-results-content">
+                    <svg width="80" height="80" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                        <circle cx="11" cy="11" r="8"/>
+                        <path d="M21 21l-4.35-4.35"/>
+                        <line x1="11" y1="8" x2="11" y2="14"/>
+                        <line x1="8" y1="11" x2="14" y2="11"/>
+                    </svg>
+                    <h3>${title}</h3>
+                    ${didYouMean.length > 0 ? `
+                        <p class="did-you-mean">
+                            ${this.t('results.didYouMean')}
+                            ${didYouMean.map(term => `<button type="button" class="did-you-mean-option" data-search-suggestion="${this.escapeHtml(term)}">${this.escapeHtml(term)}</button>`).join(', ')}?
+                        </p>
+                    ` : ''}
+                    <p>${hint}</p>
+                    <button class="try-again-btn" onclick="document.getElementById('clearAllFilters').click()">
+                        ${this.t('results.showAll')}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Manipula o clique no botão "Eu quero"
+     * @param {number} productId - ID do produto
+     * @param {Object} variant - Variação escolhida no modal (opcional)
+     */
+    handleEuQuero(productId, variant = null) {
+        const product = this.findProduct(productId);
+        if (!product) return;
+
+        this.openWhatsApp(this.buildProductMessage(product, variant), [product]);
+    }
+
+    /**
+     * Monta a mensagem de interesse em um produto, com o modelo da categoria
+     * (messages.product.categories) ou o modelo geral da loja
+     * @param {Object} product - Produto
+     * @param {Object} variant - Variação escolhida (opcional)
+     * @returns {string} - Mensagem para o WhatsApp
+     */
+    buildProductMessage(product, variant = null) {
+        const texts = this.messages.product;
+        const template = (product.category && texts.categories[product.category]) || texts.template;
+        const data = this.variants.resolve(product, variant);
+
+        return window.MessageTemplate.render(template, this.getMessageValues({
+            id: product.id,
+            title: product.title,
+            sku: data.sku,
+            price: data.price,
+            promotionalPrice: this.isOnSale(data) ? data.promotionalPrice : null,
+            quantity: 1,
+            variant: this.variants.getLabel(variant)
+        }));
+    }
+
+    /**
+     * Monta a mensagem de "Avise-me quando chegar" (messages.notify)
+     * @param {Object} product - Produto
+     * @param {Object} variant - Variação escolhida (opcional)
+     * @returns {string} - Mensagem para o WhatsApp
+     */
+    buildNotifyMessage(product, variant = null) {
+        const data = this.variants.resolve(product, variant);
+
+        return window.MessageTemplate.render(this.messages.notify.template, this.getMessageValues({
+            id: product.id,
+            title: product.title,
+            sku: data.sku,
+            price: data.price,
+            promotionalPrice: this.isOnSale(data) ? data.promotionalPrice : null,
+            quantity: 1,
+            variant: this.variants.getLabel(variant)
+        }));
+    }
+
+    /**
+     * Manipula o clique em "Avise-me quando chegar": abre o formulário no
+     * modal ou, com stock.notify = 'whatsapp', a conversa com a loja
+     * @param {number} productId - ID do produto
+     * @param {Object} variant - Variação escolhida no modal (opcional)
+     */
+    handleNotifyMe(productId, variant = null) {
+        const product = this.findProduct(productId);
+        if (!product) return;
+
+        if (this.config.stock.notify === 'whatsapp') {
+            this.openWhatsApp(this.buildNotifyMessage(product, variant), [product]);
+            return;
+        }
+
+        if (this.currentProductId !== product.id) {
+            this.openProductModal(product.id);
+        }
+
+        const form = document.getElementById('notifyForm');
+        if (form) {
+            form.classList.remove('hidden');
+            form.querySelector('input[name="contact"]')?.focus();
+        }
+    }
+
+    /**
+     * Envia o pedido de aviso ao servidor. Sem avisos configurados (503) ou
+     * sem conexão, o pedido segue pelo WhatsApp.
+     * @param {Object} product - Produto original exibido no modal
+     * @param {HTMLFormElement} form - Formulário de aviso
+     */
+    async handleNotifySubmit(product, form) {
+        const status = form.querySelector('.notify-status');
+        const submit = form.querySelector('.notify-submit');
+        const contact = form.elements.contact.value.trim();
+        const variant = this.selectedVariant;
+
+        if (!contact) {
+            status.textContent = this.t('notify.missingContact');
+            form.elements.contact.focus();
+            return;
+        }
+
+        submit.disabled = true;
+        status.textContent = this.t('notify.sending');
+
+        const result = await window.ApiService.createStockAlert({
+            productId: product.id,
+            variantId: variant ? variant.id : null,
+            variant: this.variants.getLabel(variant),
+            name: form.elements.name.value.trim(),
+            contact,
+            website: form.elements.website.value
+        });
+
+        submit.disabled = false;
+
+        if (result.ok) {
+            form.reset();
+            status.textContent = this.t('notify.success');
+            return;
+        }
+
+        if (result.status === 422 && result.fields) {
+            // O servidor envia um código por campo (notify.errors.*)
+            const key = `notify.errors.${Object.values(result.fields)[0]}`;
+            status.textContent = this.i18n.has(key)
+                ? this.t(key, { max: form.elements.name.maxLength })
+                : this.t('notify.errors.invalid');
+            return;
+        }
+
+        status.textContent = this.t('notify.fallback');
+        this.openWhatsApp(this.buildNotifyMessage(product, variant), [product]);
+    }
+
+    /**
+     * Valores das variáveis dos modelos de mensagem
+     * @param {Object} item - { id, title, sku, price, promotionalPrice, quantity, variant }
+     * @returns {Object} - Valores já formatados
+     */
+    getMessageValues(item) {
+        const unitPrice = item.promotionalPrice || item.price;
+
+        return {
+            store: this.config.store.name,
+            title: item.title,
+            price: this.formatCurrency(item.price),
+            promotionalPrice: item.promotionalPrice ? this.formatCurrency(item.promotionalPrice) : '',
+            url: this.urlState ? this.urlState.getProductUrl(item.id) : '',
+            sku: item.sku || '',
+            quantity: item.quantity,
+            variant: item.variant || '',
+            installments: this.pricing.formatInstallments(unitPrice),
+            paymentDiscounts: this.pricing.formatPaymentDiscounts(unitPrice).join(this.t('pricing.or')),
+            total: this.formatCurrency(unitPrice * item.quantity)
+        };
+    }
+
+    /**
+     * Abre uma conversa no WhatsApp com a mensagem informada
+     * @param {string} message - Texto da mensagem (sem codificação)
+     * @param {Array} products - Produtos da mensagem, usados na escolha do vendedor
+     */
+    openWhatsApp(message, products = []) {
+        window.open(this.getWhatsAppUrl(message, products, true), '_blank', 'noopener,noreferrer');
+    }
+
+    /**
+     * Link de conversa com o vendedor que atende os produtos
+     * @param {string} message - Texto da mensagem (sem codificação)
+     * @param {Array} products - Produtos da mensagem (vazio para contato geral)
+     * @param {boolean} advance - Avança o rodízio de vendedores
+     * @returns {string}
+     */
+    getWhatsAppUrl(message, products = [], advance = false) {
+        const number = this.whatsappRouter.getNumber(products, { advance });
+        return `https://wa.me/${number}?text=${encodeURIComponent(message)}`;
+    }
+
+    /**
+     * Listeners delegados do conteúdo do modal, registrados uma única vez:
+     * valem para qualquer produto aberto (this.modalProduct) e para as
+     * partes refeitas depois (galeria da variação, avaliações)
+     */
+    setupModalListeners() {
+        const body = this.elements.modalBody;
+        if (!body) return;
+
+        // Ação de cada elemento clicável, na ordem em que são procurados
+        const actions = [
+            ['.variant-option', (button, product) => this.selectVariantOption(
+                product,
+                decodeURIComponent(button.dataset.variantOption),
+                decodeURIComponent(button.dataset.variantValue)
+            )],
+            ['.gallery-thumb', (thumb) => this.showGalleryItem(parseInt(thumb.dataset.imageIndex) || 0)],
+            ['[data-gallery-step]', (button) => this.stepGallery(parseInt(button.dataset.galleryStep))],
+            ['.gallery-expand', () => this.openLightbox()],
+            // Clique na foto abre a tela cheia (nos vídeos, o clique é do player)
+            ['#galleryStage', (stage) => {
+                if (this.media.wasSwiped(stage) || this.media.isVideo(this.galleryItems[this.galleryIndex])) return;
+                this.openLightbox();
+            }],
+            ['.buy-button', (button, product) => this.handleEuQuero(product.id, this.selectedVariant)],
+            ['.notify-button', (button, product) => this.handleNotifyMe(product.id, this.selectedVariant)],
+            ['.reviews-write', (button) => this.toggleReviewForm(button)],
+            ['.review-photo', (photo, product) => {
+                if (!this.lightbox) return;
+
+                const photos = this.reviewPhotos[parseInt(photo.dataset.reviewIndex)] || [];
+                this.lightbox.open(photos, parseInt(photo.dataset.photoIndex) || 0, {
+                    title: this.escapeHtml(product.title)
+                });
+            }],
+            ['.modal-add-cart', (button, product) => this.handleAddToCart(product.id, button, this.selectedVariant)],
+            ['.modal-favorite', (button) => this.toggleFavorite(parseInt(button.dataset.favoriteId))],
+            ['.modal-share', (button) => this.handleShare(parseInt(button.dataset.productId), button)]
+        ];
+
+        body.addEventListener('click', (event) => {
+            const product = this.modalProduct;
+            if (!product) return;
+
+            for (const [selector, action] of actions) {
+                const element = event.target.closest(selector);
+                if (element && body.contains(element)) {
+                    action(element, product);
+                    return;
+                }
+            }
+        });
+
+        body.addEventListener('submit', (event) => {
+            const product = this.modalProduct;
+            const form = event.target;
+            if (!product) return;
+
+            if (form.id === 'notifyForm') {
+                event.preventDefault();
+                this.handleNotifySubmit(product, form);
+            } else if (form.id === 'reviewForm') {
+                event.preventDefault();
+                this.handleReviewSubmit(product, form);
+            }
+        });
+    }
+
+    /**
+     * Abre ou fecha o formulário "Avaliar produto"
+     * @param {HTMLElement} button - Botão "Avaliar produto"
+     */
+    toggleReviewForm(button) {
+        const reviewForm = document.getElementById('reviewForm');
+        if (!reviewForm) return;
+
+        const open = reviewForm.classList.toggle('hidden') === false;
+        button.setAttribute('aria-expanded', String(open));
+        if (open) {
+            reviewForm.elements.author.focus();
+        }
+    }
+
+    /**
+     * Prepara a galeria recém-renderizada: deslize entre as fotos e
+     * pré-carregamento das vizinhas (os cliques são delegados)
+     */
+    setupGallery() {
+        const stage = document.getElementById('galleryStage');
+        if (!stage || this.galleryItems.length <= 1) return;
+
+        this.media.attachSwipe(stage, (delta) => this.stepGallery(delta));
+        this.media.preloadAround(this.galleryItems, this.galleryIndex, {
+            getDetails: (url) => this.getGalleryDetails(url),
+            sizes: 'modal'
+        });
+    }
+
+    /**
+     * Compartilha o link do produto (Web Share API ou cópia do link)
+     * @param {number} productId - ID do produto
+     * @param {HTMLElement} button - Botão que disparou a ação (para feedback)
+     */
+    async handleShare(productId, button = null) {
+        const product = this.findProduct(productId);
+        if (!product) return;
+
+        const url = this.urlState ? this.urlState.getProductUrl(product.id) : window.location.href;
+        await this.shareLink({ title: product.title, text: product.subtitle || product.title, url }, button);
+    }
 
-        // Configurar event listeners
-        this.setupCleanModalListeners();
+    /**
+     * Compartilha um link pela Web Share API ou, sem ela, copia o link
+     * @param {Object} data - { title, text, url }
+     * @param {HTMLElement} button - Botão que disparou a ação (para feedback)
+     */
+    async shareLink(data, button = null) {
+        if (navigator.share) {
+            try {
+                await navigator.share(data);
+                return;
+            } catch (error) {
+                // Usuário cancelou o compartilhamento
+                if (error.name === 'AbortError') return;
+            }
+        }
+
+        if (!(await this.copyToClipboard(data.url))) {
+            window.prompt(this.t('share.copyPrompt'), data.url);
+            return;
+        }
+
+        if (button) {
+            const originalText = button.textContent;
+            button.textContent = this.t('share.copied');
+            button.disabled = true;
+            setTimeout(() => {
+                button.textContent = originalText;
+                button.disabled = false;
+            }, 1200);
+        }
     }
 
     /**
-     * Exibe o modal
+     * Copia um texto para a área de transferência
+     * @param {string} text - Texto a copiar
+     * @returns {Promise<boolean>} - True se copiou
      */
-    showModal() {
-        if (this.elements.modal) {
-            this.elements.modal.classList.remove('hidden');
-            document.body.style.overflow = 'hidden'; // Prevenir scroll do body
-            
-            // Focar no botão de fechar para acessibilidade
-            this.elements.modalClose?.focus();
+    async copyToClipboard(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            console.warn('Não foi possível copiar o link:', error);
+            return false;
         }
     }
 
     /**
-     * Fecha o modal
+     * HTML do botão de favorito (coração) de um produto
+     * @param {Object} product - Produto sanitizado
+     * @param {string} className - Classe do botão (card ou modal)
+     * @returns {string}
      */
-    closeModal() {
-        if (this.elements.modal) {
-            this.elements.modal.classList.add('hidden');
-            document.body.style.overflow = ''; // Restaurar scroll do body
+    createFavoriteButton(product, className) {
+        if (!this.favorites) return '';
+
+        const active = this.favorites.has(product.id);
+
+        return `
+            <button type="button" class="${className}${active ? ' active' : ''}" data-favorite-id="${product.id}" aria-pressed="${active}" aria-label="${this.t(active ? 'favorites.remove' : 'favorites.add')}: ${product.title}">
+                <svg width="20" height="20" viewBox="0 0 24 24" aria-hidden="true">
+                    <path d="M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z"/>
+                </svg>
+            </button>
+        `;
+    }
+
+    /**
+     * Configura o botão de favoritos do cabeçalho e a barra da lista
+     */
+    setupFavoritesListeners() {
+        if (!this.favorites) {
+            this.elements.favoritesButton?.classList.add('hidden');
+            return;
         }
+
+        this.elements.favoritesShare?.classList.toggle('hidden', !this.hasFeature('share'));
+
+        this.elements.favoritesButton?.addEventListener('click', () => {
+            this.toggleFavoritesView();
+        });
+
+        this.elements.favoritesShare?.addEventListener('click', () => {
+            this.handleShareFavorites(this.elements.favoritesShare);
+        });
+
+        this.elements.favoritesWhatsApp?.addEventListener('click', () => {
+            this.handleFavoritesWhatsApp();
+        });
+
+        this.elements.favoritesSave?.addEventListener('click', () => {
+            this.handleSaveSharedList(this.elements.favoritesSave);
+        });
+
+        this.favorites.subscribe(() => this.renderFavoritesState());
+        this.renderFavoritesState();
     }
 
     /**
-     * Exibe o estado de loading
+     * Adiciona ou remove um produto dos favoritos
+     * @param {number} productId - ID do produto
      */
-    showLoading() {
-        this.elements.loading?.classList.remove('hidden');
-        this.elements.error?.classList.add('hidden');
-        this.elements.productsGrid?.classList.add('hidden');
+    toggleFavorite(productId) {
+        this.favorites?.toggle(productId);
     }
 
     /**
-     * Exibe o estado de erro
-     * @param {string} customMessage - Mensagem personalizada de erro
+     * Atualiza contador, corações e a lista exibida após mudanças nos favoritos
      */
-    showError(customMessage = null) {
-        this.elements.loading?.classList.add('hidden');
-        this.elements.error?.classList.remove('hidden');
-        this.elements.productsGrid?.classList.add('hidden');
-        
-        if (customMessage && this.elements.error) {
-            const errorContent = this.elements.error.querySelector('.error-content p');
-            if (errorContent) {
-                errorContent.textContent = customMessage;
-            }
+    renderFavoritesState() {
+        const favorites = this.favorites;
+        const count = favorites.getCount();
+
+        if (this.elements.favoritesBadge) {
+            this.elements.favoritesBadge.textContent = count > 99 ? '99+' : String(count);
+            this.elements.favoritesBadge.classList.toggle('hidden', count === 0);
+        }
+        this.elements.favoritesButton?.setAttribute('aria-label', this.t('header.favorites', { count }));
+
+        document.querySelectorAll('[data-favorite-id]').forEach(button => {
+            const active = favorites.has(button.dataset.favoriteId);
+            const label = button.getAttribute('aria-label').replace(/^[^:]+/, this.t(active ? 'favorites.remove' : 'favorites.add'));
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+            button.setAttribute('aria-label', label);
+        });
+
+        // Na visão de favoritos, um produto desmarcado sai da grid
+        if (this.filters.favorites && this.products.length > 0) {
+            this.applyFilters();
+        } else {
+            this.updateFilterPanel();
+            this.updateFavoritesBar();
         }
     }
 
     /**
-     * Mostra aviso sobre uso da API de fallback
-     * @param {string} apiError - Erro da API principal
+     * Alterna a grid entre todos os produtos e os favoritos
      */
-    showApiWarning(apiError) {
-        const warningElement = document.createElement('div');
-        warningElement.className = 'api-warning';
-        warningElement.innerHTML = `
-            <div class="warning-content">
-                <strong>⚠️ Modo Offline</strong>
-                <p>Conectando com a API: ${apiError}</p>
-                <p>Usando dados locais temporariamente.</p>
-                <button class="warning-close" onclick="this.parentElement.parentElement.remove()">×</button>
-            </div>
-        `;
-        
-        // Inserir no topo da página
-        const main = document.querySelector('.main');
-        if (main) {
-            main.insertBefore(warningElement, main.firstChild);
+    toggleFavoritesView() {
+        this.filters.favorites = !this.filters.favorites;
+        this.filters.ids = [];
+        this.applyFilters();
+    }
+
+    /**
+     * IDs da lista exibida: a lista compartilhada (link) ou os favoritos do visitante
+     * @returns {Array<number>}
+     */
+    getFavoritesListIds() {
+        if (this.filters.ids.length > 0) return [...this.filters.ids];
+        return this.favorites ? this.favorites.getIds() : [];
+    }
+
+    /**
+     * Mostra a barra da lista de favoritos (própria ou compartilhada)
+     */
+    updateFavoritesBar() {
+        const bar = this.elements.favoritesBar;
+        const sharedList = this.filters.ids.length > 0;
+        const visible = Boolean(this.favorites) && (this.filters.favorites || sharedList);
+
+        this.elements.favoritesButton?.setAttribute('aria-pressed', String(this.filters.favorites));
+        this.elements.favoritesButton?.classList.toggle('active', this.filters.favorites);
+
+        if (!bar) return;
+
+        bar.classList.toggle('hidden', !visible);
+        if (!visible) return;
+
+        const products = this.getFavoritesListIds().map(id => this.findProduct(id)).filter(Boolean);
+        const count = products.length;
+
+        if (this.elements.favoritesBarTitle) {
+            this.elements.favoritesBarTitle.textContent = this.t(sharedList ? 'favorites.sharedList' : 'favorites.yourList', { count });
         }
-        
-        // Auto-remover após 10 segundos
-        setTimeout(() => {
-            if (warningElement.parentNode) {
-                warningElement.remove();
-            }
-        }, 10000);
+
+        this.elements.favoritesSave?.classList.toggle('hidden', !sharedList);
+        [this.elements.favoritesShare, this.elements.favoritesWhatsApp].forEach(button => {
+            if (button) button.disabled = count === 0;
+        });
     }
 
     /**
-     * Exibe a grid de produtos
+     * Compartilha a lista atual como link (?lista=1,2,3)
+     * @param {HTMLElement} button - Botão que disparou a ação (para feedback)
      */
-    showProducts() {
-        this.elements.loading?.classList.add('hidden');
-        this.elements.error?.classList.add('hidden');
-        this.elements.productsGrid?.classList.remove('hidden');
+    async handleShareFavorites(button = null) {
+        const ids = this.getFavoritesListIds().filter(id => this.findProduct(id));
+        if (ids.length === 0 || !this.urlState) return;
+
+        await this.shareLink({
+            title: this.t('favorites.shareTitle', { store: this.config.store.name }),
+            text: this.t('favorites.shareText', { count: ids.length, store: this.config.store.name }),
+            url: this.urlState.getListUrl(ids)
+        }, button);
     }
 
     /**
-     * Atualiza o contador de produtos
+     * Monta a mensagem com todos os produtos da lista
+     * @param {Array} products - Produtos da lista
+     * @returns {string} - Mensagem para o WhatsApp
      */
-    updateResultsInfo() {
-        const total = this.products.length;
-        const filtered = this.filteredProducts.length;
-        
-        if (this.elements.resultsCount) {
-            if (this.currentSearchTerm) {
-                this.elements.resultsCount.textContent = 
-                    filtered === 1 
-                        ? `1 resultado encontrado de ${total} produtos`
-                        : `${filtered} resultados encontrados de ${total} produtos`;
-                        
-                this.elements.searchResultsInfo?.classList.remove('hidden');
-                this.elements.clearAllFilters?.classList.toggle('hidden', !this.currentSearchTerm);
-            } else {
-                this.elements.searchResultsInfo?.classList.add('hidden');
-            }
+    buildFavoritesMessage(products) {
+        const lines = products.map((product, index) =>
+            `${index + 1}. *${product.title}* - ${this.formatCurrency(this.getEffectivePrice(product))}`
+        );
+        const link = this.urlState ? `\n\n🔗 ${this.urlState.getListUrl(products.map(product => product.id))}` : '';
+
+        const texts = this.messages.favorites;
+
+        return `${this.fillText(texts.intro)}\n\n` +
+            `${lines.join('\n')}` +
+            `${link}\n\n` +
+            `${this.fillText(texts.closing)}`;
+    }
+
+    /**
+     * Envia a lista atual em uma única mensagem de WhatsApp
+     */
+    handleFavoritesWhatsApp() {
+        const products = this.getFavoritesListIds().map(id => this.findProduct(id)).filter(Boolean);
+        if (products.length === 0) return;
+
+        this.openWhatsApp(this.buildFavoritesMessage(products), products);
+    }
+
+    /**
+     * Copia a lista compartilhada para os favoritos do visitante
+     * @param {HTMLElement} button - Botão que disparou a ação (para feedback)
+     */
+    handleSaveSharedList(button = null) {
+        const ids = this.filters.ids.filter(id => this.findProduct(id));
+        if (ids.length === 0 || !this.favorites) return;
+
+        this.favorites.addMany(ids);
+
+        if (button) {
+            const originalText = button.textContent;
+            button.textContent = this.t('favorites.saved');
+            button.disabled = true;
+            setTimeout(() => {
+                button.textContent = originalText;
+                button.disabled = false;
+            }, 1200);
         }
     }
 
     /**
-     * Configura event listeners para a busca
+     * Configura event listeners do carrinho
      */
-    setupSearchListeners() {
-        // Input de busca com debounce
-        let searchTimeout;
-        this.elements.searchInput?.addEventListener('input', (event) => {
-            clearTimeout(searchTimeout);
-            searchTimeout = setTimeout(() => {
-                this.handleSearch(event.target.value);
-            }, 300);
+    setupCartListeners() {
+        if (!this.cart) {
+            this.elements.cartButton?.classList.add('hidden');
+            return;
+        }
+
+        this.elements.cartButton?.addEventListener('click', () => {
+            this.openCart();
         });
 
-        // Botão de busca
-        this.elements.searchButton?.addEventListener('click', () => {
-            this.handleSearch(this.elements.searchInput.value);
+        this.elements.cartOverlay?.addEventListener('click', () => {
+            this.closeCart();
         });
 
-        // Enter no campo de busca
-        this.elements.searchInput?.addEventListener('keypress', (event) => {
-            if (event.key === 'Enter') {
-                event.preventDefault();
-                this.handleSearch(this.elements.searchInput.value);
-            }
+        this.elements.cartClose?.addEventListener('click', () => {
+            this.closeCart();
         });
 
-        // Botão limpar busca
-        this.elements.clearSearch?.addEventListener('click', () => {
-            this.clearSearch();
+        this.elements.cartCheckout?.addEventListener('click', () => {
+            this.handleCartCheckout();
         });
 
-        // Botão limpar todos os filtros
-        this.elements.clearAllFilters?.addEventListener('click', () => {
-            this.clearAllFilters();
+        this.elements.cartClear?.addEventListener('click', () => {
+            this.cart.clear();
+        });
+
+        // Ações dos itens (quantidade e remoção) via delegação
+        this.elements.cartItems?.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-cart-action]');
+            if (!button) return;
+
+            const key = button.dataset.cartKey;
+            const item = this.cart.getItems().find(entry => this.cart.getKey(entry) === key);
+            if (!item) return;
+
+            switch (button.dataset.cartAction) {
+                case 'increase':
+                    this.cart.setQuantity(key, item.quantity + 1);
+                    break;
+                case 'decrease':
+                    this.cart.setQuantity(key, item.quantity - 1);
+                    break;
+                case 'remove':
+                    this.cart.remove(key);
+                    break;
+            }
         });
+
+        this.elements.cartItems?.addEventListener('change', (event) => {
+            if (event.target.classList.contains('cart-item-quantity')) {
+                this.cart.setQuantity(event.target.dataset.cartKey, event.target.value);
+            }
+        });
+
+        this.cart.subscribe(() => this.renderCart());
+        this.renderCart();
     }
 
     /**
-     * Realiza a busca nos produtos
-     * @param {string} searchTerm - Termo de busca
+     * Adiciona um produto ao carrinho
+     * @param {number} productId - ID do produto
+     * @param {HTMLElement} button - Botão que disparou a ação (para feedback)
+     * @param {Object} variant - Variação escolhida (obrigatória em produtos com variações)
      */
-    handleSearch(searchTerm) {
-        this.currentSearchTerm = searchTerm.trim().toLowerCase();
-        
-        if (!this.currentSearchTerm) {
-            this.filteredProducts = [...this.products];
-            this.elements.clearSearch?.classList.add('hidden');
-        } else {
-            this.filteredProducts = this.products.filter(product => {
-                return (
-                    product.title.toLowerCase().includes(this.currentSearchTerm) ||
-                    (product.subtitle && product.subtitle.toLowerCase().includes(this.currentSearchTerm)) ||
-                    product.description.toLowerCase().includes(this.currentSearchTerm)
-                );
-            });
-            this.elements.clearSearch?.classList.remove('hidden');
+    handleAddToCart(productId, button = null, variant = null) {
+        const product = this.findProduct(productId);
+
+        if (!product || !this.cart) {
+            console.error('Produto não encontrado para o carrinho:', productId);
+            return;
         }
-        
-        this.renderProducts();
-        this.updateResultsInfo();
-        
-        // Mostrar mensagem se não encontrou resultados
-        if (this.filteredProducts.length === 0 && this.currentSearchTerm) {
-            this.showNoResults();
+
+        // Sem variação escolhida, abre o modal para escolher as opções
+        if (!variant && this.variants.hasVariants(product)) {
+            this.openProductModal(product.id);
+            return;
+        }
+
+        if (this.stock.isSoldOut(product, variant)) {
+            return;
+        }
+
+        this.cart.add(product, 1, variant);
+
+        if (button) {
+            const originalText = button.textContent;
+            button.textContent = this.t('product.added');
+            button.disabled = true;
+            setTimeout(() => {
+                button.textContent = originalText;
+                button.disabled = false;
+            }, 1200);
         }
     }
 
     /**
-     * Limpa a busca atual
+     * Renderiza os itens, o total e o contador do carrinho
      */
-    clearSearch() {
-        if (this.elements.searchInput) {
-            this.elements.searchInput.value = '';
+    renderCart() {
+        const cart = this.cart;
+        const items = cart.getItems();
+        const count = cart.getCount();
+
+        if (this.elements.cartBadge) {
+            this.elements.cartBadge.textContent = count > 99 ? '99+' : String(count);
+            this.elements.cartBadge.classList.toggle('hidden', count === 0);
+        }
+        this.elements.cartButton?.setAttribute('aria-label', this.t('header.cart', { count }));
+
+        if (!this.elements.cartItems) return;
+
+        this.elements.cartFooter?.classList.toggle('hidden', items.length === 0);
+
+        if (items.length === 0) {
+            this.elements.cartItems.innerHTML = `
+                <div class="cart-empty">
+                    <p>${this.t('cart.empty')}</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.cartItems.innerHTML = items.map(item => {
+            const title = this.escapeHtml(item.title);
+            const key = this.escapeHtml(cart.getKey(item));
+            const image = this.images.render(item.image, { alt: title, className: 'cart-item-image', sizes: 'cart' });
+            const unitPrice = cart.getUnitPrice(item);
+            const hasPromo = unitPrice < item.price;
+
+            return `
+                <div class="cart-item">
+                    ${image}
+                    <div class="cart-item-info">
+                        <p class="cart-item-title">${title}</p>
+                        ${item.variant ? `<p class="cart-item-variant">${this.escapeHtml(item.variant)}</p>` : ''}
+                        <p class="cart-item-price">
+                            ${hasPromo ? `<span class="cart-item-original">${this.formatCurrency(item.price)}</span>` : ''}
+                            ${this.formatCurrency(unitPrice)}
+                        </p>
+                        <div class="cart-item-controls">
+                            <button type="button" class="cart-qty-btn" data-cart-action="decrease" data-cart-key="${key}" aria-label="${this.t('cart.decrease', { title })}">−</button>
+                            <input type="number" class="cart-item-quantity" data-cart-key="${key}" value="${item.quantity}" min="0" max="${cart.maxQuantity}" aria-label="${this.t('cart.quantity', { title })}">
+                            <button type="button" class="cart-qty-btn" data-cart-action="increase" data-cart-key="${key}" aria-label="${this.t('cart.increase', { title })}">+</button>
+                            <button type="button" class="cart-item-remove" data-cart-action="remove" data-cart-key="${key}" aria-label="${this.t('cart.removeItem', { title })}">${this.t('cart.remove')}</button>
+                        </div>
+                    </div>
+                    <strong class="cart-item-total">${this.formatCurrency(cart.getLineTotal(item))}</strong>
+                </div>
+            `;
+        }).join('');
+
+        if (this.elements.cartTotal) {
+            this.elements.cartTotal.textContent = this.formatCurrency(cart.getTotal());
         }
-        this.currentSearchTerm = '';
-        this.filteredProducts = [...this.products];
-        this.elements.clearSearch?.classList.add('hidden');
-        this.renderProducts();
-        this.updateResultsInfo();
-        this.elements.searchInput?.focus();
     }
 
     /**
-     * Limpa todos os filtros aplicados
+     * @returns {boolean} - True se o carrinho está aberto
      */
-    clearAllFilters() {
-        this.clearSearch();
+    isCartOpen() {
+        return Boolean(this.elements.cartDrawer && !this.elements.cartDrawer.classList.contains('hidden'));
     }
 
     /**
-     * Mostra mensagem quando não há resultados
+     * Abre o carrinho
      */
-    showNoResults() {
-        if (!this.elements.productsGrid) return;
-        
-        this.elements.productsGrid.innerHTML = `
-            <div class="no-results">
-                <div class="no-results-content">
-                    <svg width="80" height="80" viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                        <circle cx="11" cy="11" r="8"/>
-                        <path d="M21 21l-4.35-4.35"/>
-                        <line x1="11" y1="8" x2="11" y2="14"/>
-                        <line x1="8" y1="11" x2="14" y2="11"/>
-                    </svg>
-                    <h3>Nenhum produto encontrado</h3>
-                    <p>Tente buscar com palavras-chave diferentes ou navegue por todas as categorias.</p>
-                    <button class="try-again-btn" onclick="document.getElementById('clearAllFilters').click()">
-                        Ver todos os produtos
-                    </button>
-                </div>
-            </div>
-        `;
+    openCart() {
+        if (!this.elements.cartDrawer) return;
+
+        this.closeModal();
+        this.elements.cartDrawer.classList.remove('hidden');
+        this.elements.cartButton?.setAttribute('aria-expanded', 'true');
+        document.body.style.overflow = 'hidden';
+        this.elements.cartClose?.focus();
     }
 
     /**
-     * Manipula o clique no botão "Eu quero"
-     * @param {string} productId - ID do produto
-     * @param {string} productTitle - Título do produto
-     * @param {string} productPrice - Preço formatado do produto
-     */
-    handleEuQuero(productId, productTitle, productPrice) {
-        // Criar mensagem para WhatsApp
-        const message = encodeURIComponent(
-            `Olá! Tenho interesse neste produto do catálogo Neo Shop:\n\n` +
-            `📱 *${productTitle}*\n` +
-            `💰 Preço: R$ ${productPrice}\n\n` +
-            `Gostaria de mais informações sobre disponibilidade, formas de pagamento e entrega.`
-        );
-        
-        // Abrir WhatsApp (substitua pelo número real)
-        const whatsappUrl = `https://wa.me/5521965088163?text=${message}`;
-        window.open(whatsappUrl, '_blank', 'noopener,noreferrer');
+     * Fecha o carrinho
+     */
+    closeCart() {
+        if (!this.elements.cartDrawer) return;
+
+        this.elements.cartDrawer.classList.add('hidden');
+        this.elements.cartButton?.setAttribute('aria-expanded', 'false');
+        document.body.style.overflow = '';
+        this.elements.cartButton?.focus();
     }
 
     /**
-     * Configura event listeners para o modal clean
+     * Monta a mensagem do pedido com todos os itens do carrinho
+     * @param {Array} items - Itens do carrinho
+     * @returns {string} - Mensagem para o WhatsApp
      */
-    setupCleanModalListeners() {
-        // Event listeners para troca de imagens na galeria
-        const thumbnails = document.querySelectorAll('.gallery-thumb');
-        const mainImage = document.getElementById('mainProductImage');
-        
-        if (mainImage && thumbnails.length > 0) {
-            thumbnails.forEach((thumb, index) => {
-                thumb.addEventListener('click', () => {
-                    const img = thumb.querySelector('img');
-                    if (img && img.src) {
-                        mainImage.src = img.src;
-                        
-                        // Atualizar estado ativo
-                        thumbnails.forEach(t => t.classList.remove('active'));
-                        thumb.classList.add('active');
-                    }
-                });
-            });
-        }
+    buildCartMessage(items) {
+        const cart = this.cart;
+        const texts = this.messages.cart;
+
+        const lines = items.map((item, index) => {
+            const text = window.MessageTemplate.render(texts.item, this.getMessageValues({
+                ...item,
+                promotionalPrice: cart.getUnitPrice(item) < item.price ? item.promotionalPrice : null
+            }));
+            return `${index + 1}. ${text.split('\n').join('\n   ')}`;
+        });
 
-        // Event listener para o botão de interesse
-        const buyButton = document.querySelector('.buy-button');
-        if (buyButton) {
-            buyButton.addEventListener('click', () => {
-                const productId = buyButton.dataset.productId;
-                const productTitle = buyButton.dataset.productTitle;
-                const productPrice = buyButton.dataset.productPrice;
-                this.handleEuQuero(productId, productTitle, productPrice);
-            });
-        }
+        return `${this.fillText(texts.intro)}\n\n` +
+            `${lines.join('\n')}\n\n` +
+            `${this.t('cart.messageTotal', { total: this.formatCurrency(cart.getTotal()) })}\n\n` +
+            `${this.fillText(texts.closing)}`;
+    }
+
+    /**
+     * Envia o pedido do carrinho pelo WhatsApp
+     */
+    handleCartCheckout() {
+        const items = this.cart?.getItems() || [];
+        if (items.length === 0) return;
+
+        const products = items.map(item => this.findProduct(item.id) || item);
+        this.openWhatsApp(this.buildCartMessage(items), products);
     }
 }
 
@@ -754,19 +3615,26 @@ class ProductCatalog {
  * Inicialização da aplicação
  * Aguarda o DOM estar completamente carregado antes de inicializar
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     try {
+        // Carregar a configuração da loja e os textos do idioma antes de montar o catálogo
+        const config = await window.AppConfig.load();
+        await window.I18n.load(config.i18n);
+
         // Inicializar o catálogo de produtos
-        new ProductCatalog();
+        const catalog = new ProductCatalog(config);
         
-        // Log de inicialização (apenas em desenvolvimento)
+        // Log de inicialização e instância no console (apenas em desenvolvimento,
+        // para scripts/grid-benchmark.js)
         if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-            console.log('Neo Shop - Catálogo de produtos inicializado com sucesso!');
+            window.catalog = catalog;
+            console.log(`${config.store.name} - Catálogo de produtos inicializado com sucesso!`);
         }
     } catch (error) {
         console.error('Erro ao inicializar aplicação:', error);
         
-        // Fallback para erro crítico de inicialização
+        // Fallback para erro crítico de inicialização (em português se os textos não carregaram)
+        const text = (key, fallback) => window.I18n && window.I18n.has(key) ? window.I18n.t(key) : fallback;
         const errorMessage = document.createElement('div');
         errorMessage.innerHTML = `
             <div style="
@@ -781,8 +3649,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 text-align: center;
                 z-index: 9999;
             ">
-                <h2 style="color: #dc3545; margin-bottom: 1rem;">Erro Crítico</h2>
-                <p style="margin-bottom: 1rem;">Não foi possível inicializar a aplicação.</p>
+                <h2 style="color: #dc3545; margin-bottom: 1rem;">${text('errors.criticalTitle', 'Erro Crítico')}</h2>
+                <p style="margin-bottom: 1rem;">${text('errors.criticalText', 'Não foi possível inicializar a aplicação.')}</p>
                 <button onclick="window.location.reload()" style="
                     background: #007bff;
                     color: white;
@@ -790,27 +3658,27 @@ document.addEventListener('DOMContentLoaded', () => {
                     padding: 0.75rem 1.5rem;
                     border-radius: 0.25rem;
                     cursor: pointer;
-                ">Recarregar Página</button>
+                ">${text('errors.reload', 'Recarregar Página')}</button>
             </div>
         `;
+
+        // Erros de configuração: listar cada campo inválido acima do botão
+        if (error instanceof window.ConfigError) {
+            const details = errorMessage.querySelector('p');
+            details.textContent = error.message;
+
+            if (error.errors.length > 0) {
+                const list = document.createElement('ul');
+                list.style.cssText = 'text-align: left; margin: 0 0 1rem; padding-left: 1.25rem; font-size: 0.875rem;';
+                error.errors.forEach(item => {
+                    const entry = document.createElement('li');
+                    entry.textContent = item;
+                    list.appendChild(entry);
+                });
+                details.after(list);
+            }
+        }
+
         document.body.appendChild(errorMessage);
     }
-});
-
-/**
- * Service Worker registration para cache futuro (opcional)
- * Descomente quando implementar PWA
- */
-/*
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
-            .then((registration) => {
-                console.log('SW registrado com sucesso:', registration);
-            })
-            .catch((registrationError) => {
-                console.log('Falha no registro do SW:', registrationError);
-            });
-    });
-}
-*/
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,237 @@
+/**
+ * Neo Shop - Cart Service
+ *
+ * Serviço responsável pelo estado do carrinho de compras, persistido
+ * no localStorage para sobreviver a recarregamentos da página.
+ */
+
+class CartService {
+    constructor() {
+        this.storageKey = 'neoShop.cart';
+        this.maxQuantity = 99;
+        this.items = this.load();
+        this.listeners = [];
+
+        // Sincronizar carrinho entre abas abertas
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.storageKey) {
+                this.items = this.load();
+                this.notify();
+            }
+        });
+    }
+
+    /**
+     * Carrega os itens salvos no localStorage
+     * @returns {Array} - Itens do carrinho
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved)
+                ? saved.filter(item => item && item.id && item.quantity > 0)
+                : [];
+        } catch (error) {
+            console.warn('Carrinho salvo inválido, iniciando vazio:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persiste os itens e avisa os interessados
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('Não foi possível salvar o carrinho:', error);
+        }
+        this.notify();
+    }
+
+    /**
+     * Registra uma função chamada sempre que o carrinho mudar
+     * @param {Function} listener - Recebe a lista de itens
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notifica os interessados sobre mudanças no carrinho
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this.getItems()));
+    }
+
+    /**
+     * Cria o registro do item a partir do produto
+     * @param {Object} product - Produto do catálogo
+     * @param {Object} variant - Variação escolhida (opcional)
+     * @returns {Object} - Dados do produto guardados no carrinho
+     */
+    createSnapshot(product, variant = null) {
+        const variants = window.ProductVariants;
+        const data = variants ? variants.resolve(product, variant) : product;
+        const gallery = Array.isArray(data.gallery) ? data.gallery : [];
+        const cover = window.GalleryMedia ? window.GalleryMedia.getCover(gallery) : gallery[0];
+        // A miniatura do carrinho não precisa da foto em tamanho original
+        const images = window.ImageService;
+        const image = cover && images ? images.pick(cover, images.getDetails(product, cover), 128) : cover;
+
+        return {
+            id: parseInt(product.id),
+            variantId: variant ? String(variant.id) : null,
+            variant: variant && variants ? variants.getLabel(variant) : null,
+            title: String(product.title || ''),
+            sku: data.sku ? String(data.sku) : null,
+            price: parseFloat(data.price) || 0,
+            promotionalPrice: data.promotionalPrice ? parseFloat(data.promotionalPrice) : null,
+            promotionStart: data.promotionStart || null,
+            promotionEnd: data.promotionEnd || null,
+            image: image ? String(image) : null
+        };
+    }
+
+    /**
+     * Identificador do item: o mesmo produto em variações diferentes ocupa linhas separadas
+     * @param {Object} item - Item do carrinho (ou { id, variantId })
+     * @returns {string} - "12" ou "12:preto-128"
+     */
+    getKey(item) {
+        return item.variantId ? `${item.id}:${item.variantId}` : String(item.id);
+    }
+
+    /**
+     * Adiciona um produto ao carrinho
+     * @param {Object} product - Produto do catálogo
+     * @param {number} quantity - Quantidade a adicionar
+     * @param {Object} variant - Variação escolhida (opcional)
+     */
+    add(product, quantity = 1, variant = null) {
+        const snapshot = this.createSnapshot(product, variant);
+        const existing = this.items.find(item => this.getKey(item) === this.getKey(snapshot));
+
+        if (existing) {
+            Object.assign(existing, snapshot);
+            existing.quantity = Math.min(existing.quantity + quantity, this.maxQuantity);
+        } else {
+            this.items.push({ ...snapshot, quantity: Math.min(quantity, this.maxQuantity) });
+        }
+
+        this.save();
+    }
+
+    /**
+     * Remove um item do carrinho
+     * @param {string} key - Identificador do item (ver getKey)
+     */
+    remove(key) {
+        this.items = this.items.filter(item => this.getKey(item) !== String(key));
+        this.save();
+    }
+
+    /**
+     * Define a quantidade de um item (0 remove o item)
+     * @param {string} key - Identificador do item (ver getKey)
+     * @param {number} quantity - Nova quantidade
+     */
+    setQuantity(key, quantity) {
+        const item = this.items.find(entry => this.getKey(entry) === String(key));
+        if (!item) return;
+
+        const value = parseInt(quantity) || 0;
+        if (value <= 0) {
+            this.remove(key);
+            return;
+        }
+
+        item.quantity = Math.min(value, this.maxQuantity);
+        this.save();
+    }
+
+    /**
+     * Esvazia o carrinho
+     */
+    clear() {
+        this.items = [];
+        this.save();
+    }
+
+    /**
+     * Atualiza título e preços dos itens com os dados mais recentes do
+     * catálogo e remove os itens cujo produto saiu dele (como nos favoritos)
+     * @param {Array} products - Produtos carregados
+     */
+    syncWithProducts(products) {
+        const byId = new Map(products.map(product => [product.id, product]));
+        const items = this.items.filter(item => byId.has(item.id));
+        let changed = items.length !== this.items.length;
+        this.items = items;
+
+        this.items.forEach(item => {
+            const product = byId.get(item.id);
+
+            // Variação removida do catálogo: o item mantém os últimos dados conhecidos
+            const variant = item.variantId && window.ProductVariants
+                ? window.ProductVariants.findById(product, item.variantId)
+                : null;
+            if (item.variantId && !variant) return;
+
+            Object.assign(item, this.createSnapshot(product, variant));
+            changed = true;
+        });
+
+        if (changed) {
+            this.save();
+        }
+    }
+
+    /**
+     * @returns {Array} - Cópia dos itens do carrinho
+     */
+    getItems() {
+        return this.items.map(item => ({ ...item }));
+    }
+
+    /**
+     * @returns {number} - Quantidade total de unidades
+     */
+    getCount() {
+        return this.items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    /**
+     * Preço unitário do item, com o preço promocional aplicado enquanto a
+     * promoção estiver em vigor
+     * @param {Object} item - Item do carrinho
+     * @returns {number}
+     */
+    getUnitPrice(item) {
+        if (window.PromotionService) {
+            return window.PromotionService.getPrice(item);
+        }
+
+        return item.promotionalPrice && item.promotionalPrice < item.price
+            ? item.promotionalPrice
+            : item.price;
+    }
+
+    /**
+     * @param {Object} item - Item do carrinho
+     * @returns {number} - Total da linha
+     */
+    getLineTotal(item) {
+        return this.getUnitPrice(item) * item.quantity;
+    }
+
+    /**
+     * @returns {number} - Valor total do carrinho
+     */
+    getTotal() {
+        return this.items.reduce((sum, item) => sum + this.getLineTotal(item), 0);
+    }
+}
+
+// Exportar instância única do serviço
+window.CartService = new CartService();
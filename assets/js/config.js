@@ -0,0 +1,545 @@
+/**
+ * Neo Shop - Config Service
+ *
+ * Carrega a configuração da loja (config.json) antes do catálogo: nome,
+ * logo, WhatsApp e vendedores, modelos das mensagens, moeda, idiomas,
+ * parcelamento e descontos, origem dos produtos, endpoints da API, estoque,
+ * promoções, imagens padrão e recursos ligados/desligados. Os valores ausentes vêm do padrão
+ * abaixo; valores inválidos interrompem a inicialização com a lista de erros.
+ */
+
+class ConfigError extends Error {
+    /**
+     * @param {string} message - Resumo do problema
+     * @param {Array<string>} errors - Um erro por campo inválido
+     */
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+class ConfigService {
+    constructor() {
+        this.url = 'config.json';
+        this.config = null;
+        this.ready = null;
+
+        // Configuração padrão (a mesma do config.json distribuído)
+        this.defaults = {
+            store: {
+                name: 'Neo Shop',
+                logo: 'https://images.unsplash.com/photo-1556742049-0cfed4f6a45d?w=40&h=40&fit=crop&crop=center',
+                description: 'Catálogo de produtos premium com as melhores ofertas'
+            },
+            whatsapp: {
+                number: '5521965088163',
+                greeting: 'Olá! Vim do catálogo {store} e gostaria de mais informações.',
+                // Vendedores: { id, name, number, categories, hours: { days, start, end } }
+                sellers: [],
+                roundRobin: true,
+                timezone: ''
+            },
+            messages: {
+                product: {
+                    template: 'Olá! Tenho interesse neste produto do catálogo {store}:\n\n' +
+                        '*{title}*\n' +
+                        '{variant}\n' +
+                        '💰 Preço: {price}\n' +
+                        '🔥 Promoção: {promotionalPrice}\n' +
+                        '💳 {installments}\n' +
+                        '⚡ {paymentDiscounts}\n' +
+                        '🔖 SKU: {sku}\n' +
+                        '🔗 {url}\n\n' +
+                        'Gostaria de mais informações sobre disponibilidade, formas de pagamento e entrega.',
+                    // Modelos por categoria (nome da categoria → modelo)
+                    categories: {}
+                },
+                cart: {
+                    intro: 'Olá! Gostaria de fazer este pedido pelo catálogo {store}:',
+                    item: '*{title}*\n{variant}\n{quantity} x {price}\n🔥 Promoção: {promotionalPrice}\nSubtotal: {total}',
+                    closing: 'Gostaria de combinar disponibilidade, formas de pagamento e entrega.'
+                },
+                favorites: {
+                    intro: 'Olá! Esta é a minha lista de favoritos do catálogo {store}:',
+                    closing: 'Gostaria de mais informações sobre disponibilidade, formas de pagamento e entrega.'
+                },
+                notify: {
+                    template: 'Olá! Vi no catálogo {store} que este produto está esgotado. ' +
+                        'Pode me avisar quando chegar?\n\n' +
+                        '*{title}*\n' +
+                        '{variant}\n' +
+                        '🔖 SKU: {sku}\n' +
+                        '🔗 {url}'
+                }
+            },
+            currency: {
+                code: 'BRL',
+                locale: 'pt-BR'
+            },
+            i18n: {
+                // Idioma da loja: textos de config.json (mensagens, nome) estão nele
+                defaultLocale: 'pt-BR',
+                // Idiomas oferecidos no seletor (um arquivo em locales/ para cada)
+                locales: ['pt-BR', 'en', 'es'],
+                // Moeda por idioma: { "en": { "code": "USD", "rate": 0.18 } }
+                currencies: {},
+                // Mensagens do WhatsApp por idioma, sobre as de locales/<idioma>.json
+                messages: {}
+            },
+            pricing: {
+                // Parcelamento: até "max" vezes, parcela mínima "minValue" e, com
+                // "monthlyRate" (% ao mês), juros depois de "interestFree" parcelas
+                installments: {
+                    max: 12,
+                    interestFree: 12,
+                    monthlyRate: 0,
+                    minValue: 10
+                },
+                // Descontos por forma de pagamento (percentual sobre o preço à vista)
+                paymentDiscounts: [
+                    { method: 'Pix', percent: 10 }
+                ]
+            },
+            dataSource: {
+                // Origem dos produtos: 'baserow' (proxy /api/products), 'json', 'sheets' (CSV publicado) ou 'rest'
+                provider: 'baserow',
+                // Endereço do JSON, do CSV ou da API REST (no Baserow vale api.productsUrl)
+                url: '',
+                // REST: caminho da lista na resposta (ex.: "data.items"; vazio procura sozinho)
+                resultsPath: '',
+                // Coluna (ou chave) da origem para cada campo do produto, quando os nomes diferem
+                fields: {}
+            },
+            api: {
+                productsUrl: '/api/products',
+                pageSize: 100,
+                fallbackUrl: './data/products.json',
+                stockAlertsUrl: '/api/stock-alerts',
+                reviewsUrl: '/api/reviews',
+                // Segundos que os produtos guardados no navegador valem sem confirmação do servidor (0 desliga o cache)
+                cacheTtl: 86400,
+                // Segundos de espera por resposta em cada tentativa
+                timeout: 10,
+                // Novas tentativas em 429 e erros 5xx, com espera crescente (respeita Retry-After)
+                retries: 2
+            },
+            stock: {
+                // Até quantas unidades aparece "Últimas unidades"
+                lowStockThreshold: 3,
+                // Esgotados: 'last' (no fim da lista), 'hide' (ocultos) ou 'keep' (ordem normal)
+                soldOut: 'last',
+                // "Avise-me quando chegar": 'api' (formulário, com WhatsApp de reserva) ou 'whatsapp'
+                notify: 'api'
+            },
+            promotions: {
+                // Contagem regressiva nas promoções que terminam em até N horas (0 desliga)
+                countdownHours: 72,
+                // Selo com o percentual de desconto
+                showDiscount: true
+            },
+            images: {
+                // Imagens locais: funcionam offline e sem serviços externos
+                placeholder: 'assets/images/placeholder.svg',
+                error: 'assets/images/image-error.svg'
+            },
+            features: {
+                cart: true,
+                favorites: true,
+                share: true,
+                searchSuggestions: true,
+                pwa: true,
+                reviews: true
+            }
+        };
+
+        // Regra de validação de cada campo (ver validators)
+        this.schema = {
+            'store.name': 'text',
+            'store.logo': 'optionalUrl',
+            'store.description': 'string',
+            'whatsapp.number': 'phone',
+            'whatsapp.greeting': 'template',
+            'whatsapp.sellers': 'sellers',
+            'whatsapp.roundRobin': 'boolean',
+            'whatsapp.timezone': 'timezone',
+            'messages.product.template': 'template',
+            'messages.product.categories': 'templates',
+            'messages.cart.intro': 'template',
+            'messages.cart.item': 'template',
+            'messages.cart.closing': 'template',
+            'messages.favorites.intro': 'template',
+            'messages.favorites.closing': 'template',
+            'messages.notify.template': 'template',
+            'currency.code': 'currencyCode',
+            'currency.locale': 'locale',
+            'i18n.defaultLocale': 'locale',
+            'i18n.locales': 'locales',
+            'i18n.currencies': 'localeCurrencies',
+            'i18n.messages': 'localeMessages',
+            'pricing.installments.max': 'installmentCount',
+            'pricing.installments.interestFree': 'installmentCount',
+            'pricing.installments.monthlyRate': 'percent',
+            'pricing.installments.minValue': 'amount',
+            'pricing.paymentDiscounts': 'paymentDiscounts',
+            'dataSource.provider': 'dataSourceProvider',
+            'dataSource.url': 'optionalUrl',
+            'dataSource.resultsPath': 'string',
+            'dataSource.fields': 'productFields',
+            'api.productsUrl': 'url',
+            'api.pageSize': 'pageSize',
+            'api.fallbackUrl': 'url',
+            'api.stockAlertsUrl': 'url',
+            'api.reviewsUrl': 'url',
+            'api.cacheTtl': 'cacheTtl',
+            'api.timeout': 'timeout',
+            'api.retries': 'retries',
+            'stock.lowStockThreshold': 'lowStockThreshold',
+            'stock.soldOut': 'soldOut',
+            'stock.notify': 'notify',
+            'promotions.countdownHours': 'countdownHours',
+            'promotions.showDiscount': 'boolean',
+            'images.placeholder': 'url',
+            'images.error': 'url',
+            'features.cart': 'boolean',
+            'features.favorites': 'boolean',
+            'features.share': 'boolean',
+            'features.searchSuggestions': 'boolean',
+            'features.pwa': 'boolean',
+            'features.reviews': 'boolean'
+        };
+
+        // Cada validador devolve a mensagem de erro ou null quando o valor é válido
+        const isUrl = (value) => typeof value === 'string' && value.trim() !== '' && !/[\s"'<>]/.test(value);
+        const isPhone = (value) => typeof value === 'string' && /^\d{10,15}$/.test(value);
+        const isTime = (value) => value === undefined || (typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/.test(value));
+        const checkTemplate = (value) => {
+            if (typeof value !== 'string') return 'deve ser um texto';
+
+            const unknown = window.MessageTemplate ? window.MessageTemplate.getUnknownPlaceholders(value) : [];
+            return unknown.length > 0
+                ? `usa variáveis desconhecidas: ${unknown.map(name => `{${name}}`).join(', ')}`
+                : null;
+        };
+        const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const checkLocale = (value) => {
+            try {
+                return typeof value === 'string' && Intl.NumberFormat.supportedLocalesOf(value).length > 0
+                    ? null
+                    : 'deve ser um idioma suportado pelo navegador (ex.: "pt-BR")';
+            } catch (error) {
+                return `não é um idioma válido (${error.message})`;
+            }
+        };
+        // Modelos aninhados ({ product: { template, categories: {...} } }) com o caminho de cada um
+        const checkTemplateTree = (value, path) => {
+            if (!isObject(value)) return [`${path} deve ser um objeto`];
+
+            return Object.entries(value).flatMap(([key, item]) => {
+                const itemPath = `${path}.${key}`;
+                if (isObject(item)) return checkTemplateTree(item, itemPath);
+
+                const error = checkTemplate(item);
+                return error ? [`${itemPath} ${error}`] : [];
+            });
+        };
+        this.validators = {
+            string: (value) => typeof value === 'string' ? null : 'deve ser um texto',
+            template: checkTemplate,
+            templates: (value) => {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    return 'deve ser um objeto { "Categoria": "modelo" }';
+                }
+                const problems = Object.entries(value)
+                    .map(([key, template]) => {
+                        const error = checkTemplate(template);
+                        return error ? `"${key}" ${error}` : null;
+                    })
+                    .filter(Boolean);
+                return problems.length > 0 ? problems.join('; ') : null;
+            },
+            text: (value) => typeof value === 'string' && value.trim() ? null : 'deve ser um texto não vazio',
+            boolean: (value) => typeof value === 'boolean' ? null : 'deve ser true ou false',
+            url: (value) => isUrl(value) ? null : 'deve ser um endereço sem espaços, aspas ou < >',
+            optionalUrl: (value) => value === '' || isUrl(value) ? null : 'deve ser vazio ou um endereço sem espaços, aspas ou < >',
+            phone: (value) => isPhone(value)
+                ? null
+                : 'deve conter só dígitos, com DDI e DDD (ex.: "5521999999999")',
+            currencyCode: (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value)
+                ? null
+                : 'deve ser um código ISO 4217 em maiúsculas (ex.: "BRL")',
+            locale: checkLocale,
+            locales: (value) => {
+                if (!Array.isArray(value) || value.length === 0) return 'deve ser uma lista com ao menos um idioma';
+
+                const problems = value
+                    .map(locale => {
+                        const error = checkLocale(locale);
+                        return error ? `${JSON.stringify(locale)} ${error}` : null;
+                    })
+                    .filter(Boolean);
+                return problems.length > 0 ? problems.join('; ') : null;
+            },
+            localeCurrencies: (value) => {
+                if (!isObject(value)) return 'deve ser um objeto { "idioma": { "code", "rate" } }';
+
+                const problems = Object.entries(value)
+                    .map(([locale, currency]) => {
+                        if (!isObject(currency)) return `"${locale}" deve ser um objeto { "code", "rate" }`;
+                        if (currency.code !== undefined && !/^[A-Z]{3}$/.test(currency.code)) {
+                            return `"${locale}" code deve ser um código ISO 4217 (ex.: "USD")`;
+                        }
+                        if (currency.rate !== undefined && !(typeof currency.rate === 'number' && currency.rate > 0)) {
+                            return `"${locale}" rate deve ser um número maior que zero`;
+                        }
+                        return null;
+                    })
+                    .filter(Boolean);
+                return problems.length > 0 ? problems.join('; ') : null;
+            },
+            localeMessages: (value) => {
+                if (!isObject(value)) return 'deve ser um objeto { "idioma": { "product": { "template" } } }';
+
+                const problems = Object.entries(value).flatMap(([locale, messages]) => checkTemplateTree(messages, locale));
+                return problems.length > 0 ? problems.join('; ') : null;
+            },
+            timezone: (value) => {
+                if (value === '') return null;
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: value });
+                    return null;
+                } catch (error) {
+                    return 'deve ser vazio (fuso do navegador) ou um fuso IANA (ex.: "America/Sao_Paulo")';
+                }
+            },
+            sellers: (value) => {
+                if (!Array.isArray(value)) return 'deve ser uma lista de vendedores';
+
+                const problems = [];
+                value.forEach((seller, index) => {
+                    const label = `#${index + 1}`;
+                    if (!seller || typeof seller !== 'object') {
+                        problems.push(`${label} deve ser um objeto`);
+                        return;
+                    }
+                    if (!isPhone(seller.number)) {
+                        problems.push(`${label} number deve conter só dígitos, com DDI e DDD`);
+                    }
+                    if (seller.categories !== undefined &&
+                        !(Array.isArray(seller.categories) && seller.categories.every(name => typeof name === 'string'))) {
+                        problems.push(`${label} categories deve ser uma lista de nomes`);
+                    }
+                    if (seller.hours !== undefined) {
+                        const hours = seller.hours || {};
+                        if (hours.days !== undefined &&
+                            !(Array.isArray(hours.days) && hours.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+                            problems.push(`${label} hours.days deve listar dias de 0 (domingo) a 6 (sábado)`);
+                        }
+                        if (!isTime(hours.start) || !isTime(hours.end)) {
+                            problems.push(`${label} hours.start e hours.end devem estar no formato "HH:MM"`);
+                        }
+                    }
+                });
+                return problems.length > 0 ? problems.join('; ') : null;
+            },
+            lowStockThreshold: (value) => Number.isInteger(value) && value >= 0 && value <= 1000
+                ? null
+                : 'deve ser um número inteiro entre 0 e 1000',
+            installmentCount: (value) => Number.isInteger(value) && value >= 0 && value <= 48
+                ? null
+                : 'deve ser um número inteiro entre 0 e 48',
+            percent: (value) => typeof value === 'number' && value >= 0 && value < 100
+                ? null
+                : 'deve ser um número entre 0 e 99,99',
+            amount: (value) => typeof value === 'number' && value >= 0
+                ? null
+                : 'deve ser um número maior ou igual a zero',
+            paymentDiscounts: (value) => {
+                if (!Array.isArray(value)) return 'deve ser uma lista de { "method", "percent" }';
+
+                const problems = value
+                    .map((discount, index) => {
+                        if (!discount || typeof discount.method !== 'string' || !discount.method.trim()) {
+                            return `item ${index + 1} precisa de "method" (ex.: "Pix")`;
+                        }
+                        if (typeof discount.percent !== 'number' || discount.percent < 0 || discount.percent >= 100) {
+                            return `"${discount.method}" precisa de "percent" entre 0 e 99,99`;
+                        }
+                        return null;
+                    })
+                    .filter(Boolean);
+                return problems.length > 0 ? problems.join('; ') : null;
+            },
+            countdownHours: (value) => Number.isInteger(value) && value >= 0 && value <= 8760
+                ? null
+                : 'deve ser um número inteiro de horas entre 0 e 8760',
+            soldOut: (value) => ['last', 'hide', 'keep'].includes(value)
+                ? null
+                : 'deve ser "last", "hide" ou "keep"',
+            notify: (value) => ['api', 'whatsapp'].includes(value)
+                ? null
+                : 'deve ser "api" ou "whatsapp"',
+            pageSize: (value) => Number.isInteger(value) && value >= 1 && value <= 200
+                ? null
+                : 'deve ser um número inteiro entre 1 e 200',
+            cacheTtl: (value) => Number.isInteger(value) && value >= 0 && value <= 2592000
+                ? null
+                : 'deve ser um número inteiro de segundos entre 0 e 2592000 (30 dias)',
+            timeout: (value) => typeof value === 'number' && value >= 1 && value <= 120
+                ? null
+                : 'deve ser um número de segundos entre 1 e 120',
+            retries: (value) => Number.isInteger(value) && value >= 0 && value <= 5
+                ? null
+                : 'deve ser um número inteiro entre 0 e 5',
+            dataSourceProvider: (value) => {
+                const names = window.CatalogSource ? window.CatalogSource.getProviderNames() : ['baserow', 'json', 'sheets', 'rest'];
+                return names.includes(value)
+                    ? null
+                    : `deve ser ${names.map(name => `"${name}"`).join(', ')}`;
+            },
+            productFields: (value) => {
+                if (!isObject(value)) return 'deve ser um objeto { "campo": "coluna" }';
+
+                const fields = window.ProductSchema ? Object.keys(window.ProductSchema.fields) : Object.keys(value);
+                const problems = Object.entries(value)
+                    .map(([field, column]) => {
+                        if (!fields.includes(field)) return `"${field}" não é um campo do produto`;
+                        if (typeof column !== 'string' || !column.trim()) return `"${field}" deve indicar o nome da coluna`;
+                        return null;
+                    })
+                    .filter(Boolean);
+                return problems.length > 0 ? problems.join('; ') : null;
+            }
+        };
+    }
+
+    /**
+     * Carrega a configuração uma única vez; chamadas seguintes reaproveitam o resultado
+     * @returns {Promise<Object>} - Configuração validada
+     */
+    load() {
+        if (!this.ready) {
+            this.ready = this.fetchConfig();
+        }
+        return this.ready;
+    }
+
+    /**
+     * Busca o config.json, completa com os valores padrão e valida
+     * @returns {Promise<Object>} - Configuração validada
+     */
+    async fetchConfig() {
+        let custom = {};
+
+        try {
+            const response = await fetch(this.url, { headers: { 'Accept': 'application/json' } });
+
+            if (response.ok) {
+                const text = await response.text();
+                try {
+                    custom = JSON.parse(text);
+                } catch (error) {
+                    throw new ConfigError(`${this.url} não é um JSON válido`, [error.message]);
+                }
+            } else {
+                console.warn(`${this.url} indisponível (HTTP ${response.status}); usando a configuração padrão`);
+            }
+        } catch (error) {
+            if (error instanceof ConfigError) throw error;
+            console.warn(`Não foi possível carregar ${this.url}; usando a configuração padrão:`, error);
+        }
+
+        if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+            throw new ConfigError(`${this.url} deve conter um objeto JSON`, []);
+        }
+
+        this.warnUnknownKeys(custom, this.defaults);
+
+        const config = this.merge(this.defaults, custom);
+        const errors = this.validate(config);
+
+        if (errors.length > 0) {
+            throw new ConfigError(`Configuração inválida em ${this.url}`, errors);
+        }
+
+        this.config = config;
+        return config;
+    }
+
+    /**
+     * Combina a configuração personalizada sobre a padrão (objetos são mesclados)
+     * @param {Object} base - Valores padrão
+     * @param {Object} override - Valores personalizados
+     * @returns {Object} - Nova configuração
+     */
+    merge(base, override) {
+        const result = { ...base };
+
+        Object.keys(override).forEach(key => {
+            const value = override[key];
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            const baseIsObject = base[key] && typeof base[key] === 'object' && !Array.isArray(base[key]);
+
+            result[key] = isObject && baseIsObject ? this.merge(base[key], value) : value;
+        });
+
+        return result;
+    }
+
+    /**
+     * Valida todos os campos conhecidos
+     * @param {Object} config - Configuração completa
+     * @returns {Array<string>} - Erros no formato "campo: problema"
+     */
+    validate(config) {
+        const errors = [];
+
+        Object.entries(this.schema).forEach(([path, rule]) => {
+            const value = this.get(path, config);
+            const error = this.validators[rule](value);
+
+            if (error) {
+                errors.push(`${path}: ${error} (recebido: ${JSON.stringify(value)})`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Avisa sobre chaves que não existem na configuração (provável erro de digitação).
+     * Objetos vazios no padrão (ex.: modelos por categoria) aceitam qualquer chave.
+     * @param {Object} custom - Configuração personalizada
+     * @param {Object} reference - Configuração padrão
+     * @param {string} prefix - Caminho atual
+     */
+    warnUnknownKeys(custom, reference, prefix = '') {
+        if (Object.keys(reference).length === 0) return;
+
+        Object.keys(custom).forEach(key => {
+            const path = prefix ? `${prefix}.${key}` : key;
+
+            if (!(key in reference)) {
+                console.warn(`Chave desconhecida em ${this.url}: ${path}`);
+            } else if (custom[key] && typeof custom[key] === 'object' && !Array.isArray(custom[key]) &&
+                reference[key] && typeof reference[key] === 'object') {
+                this.warnUnknownKeys(custom[key], reference[key], path);
+            }
+        });
+    }
+
+    /**
+     * Lê um valor pelo caminho com pontos (ex.: "whatsapp.number")
+     * @param {string} path - Caminho do valor
+     * @param {Object} source - Configuração (padrão: a carregada)
+     * @returns {*}
+     */
+    get(path, source = this.config) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+    }
+}
+
+// Exportar instância única do serviço
+window.ConfigError = ConfigError;
+window.AppConfig = new ConfigService();
@@ -0,0 +1,376 @@
+/**
+ * Neo Shop - Catalog Sources
+ *
+ * Origens dos produtos, escolhidas em config.json ("dataSource.provider"):
+ * o proxy do Baserow (/api/products), um arquivo JSON, uma planilha do
+ * Google Sheets publicada como CSV ou uma API REST qualquer. Cada origem só
+ * busca os itens; todos passam pelo mesmo ProductSchema, então o catálogo
+ * recebe produtos idênticos de qualquer origem, inclusive do JSON local de
+ * reserva (api.fallbackUrl). Falhas chegam como ApiErrors (ver api.js):
+ * conteúdo sem o formato esperado vira InvalidDataError.
+ */
+
+class CatalogProvider {
+    /**
+     * @param {Object} options - { url, resultsPath, fields }
+     */
+    constructor(options = {}) {
+        this.url = options.url || '';
+        this.resultsPath = options.resultsPath || '';
+        // Campo da aplicação → coluna (ou chave) da origem, quando os nomes diferem
+        this.fields = options.fields || {};
+    }
+
+    /**
+     * Busca uma página de itens (origens sem paginação entregam tudo na primeira)
+     * @param {number} page - Número da página (a partir de 1)
+     * @param {number} pageSize - Itens por página
+     * @param {Object} options - { signal } (cancela a busca)
+     * @returns {Promise<Object>} - { items, count, next } (count null: total de produtos válidos)
+     */
+    async fetchPage(page, pageSize, options = {}) {
+        const items = (await this.fetchAll(options)).map(item => this.mapFields(item));
+        return { items, count: null, next: null };
+    }
+
+    /**
+     * Busca um item pelo ID (padrão: procura na lista completa)
+     * @param {number} productId - ID do produto
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object|null>} - Item como veio da origem ou null
+     */
+    async fetchById(productId, options = {}) {
+        const { items } = await this.fetchPage(1, undefined, options);
+        // Só o ID é lido aqui; o item encontrado é validado em CatalogSource.fetchById
+        return items.find(item => window.ProductSchema.readId(item) === productId) || null;
+    }
+
+    /**
+     * @param {Object} options - { signal }
+     * @returns {Promise<Array<Object>>} - Todos os itens da origem
+     */
+    async fetchAll(options = {}) {
+        throw new Error('fetchAll não implementado');
+    }
+
+    /**
+     * Copia as colunas indicadas em "fields" para os nomes da aplicação
+     * @param {Object} item - Item da origem
+     * @returns {Object}
+     */
+    mapFields(item) {
+        if (!item || typeof item !== 'object') return item;
+
+        const mapped = { ...item };
+        Object.entries(this.fields).forEach(([field, column]) => {
+            if (item[column] !== undefined) mapped[field] = item[column];
+        });
+        return mapped;
+    }
+
+    /**
+     * Busca o conteúdo da origem (com o cache do navegador, ver ApiService.getCached)
+     * @param {string} description - Nome da origem nas mensagens de erro
+     * @param {Object} options - { type: 'json'|'text', signal }
+     * @returns {Promise<*>} - Objeto JSON ou texto
+     */
+    async request(description, options = {}) {
+        if (!this.url) {
+            throw new Error(`dataSource.url não configurado para ${description}`);
+        }
+
+        return window.ApiService.getCached(this.url, {
+            type: options.type || 'json',
+            accept: 'application/json, text/csv',
+            label: description,
+            signal: options.signal
+        });
+    }
+}
+
+/**
+ * Proxy do Baserow (Pages Functions): paginação e busca por ID no servidor
+ */
+class BaserowProvider extends CatalogProvider {
+    async fetchPage(page, pageSize, options = {}) {
+        const data = await window.ApiService.fetchProductsPage(page, pageSize, {}, { signal: options.signal });
+        return { items: data.products.map(item => this.mapFields(item)), count: data.count, next: data.next };
+    }
+
+    async fetchById(productId, options = {}) {
+        const item = await window.ApiService.fetchProductById(productId, { signal: options.signal });
+        return item ? this.mapFields(item) : null;
+    }
+}
+
+/**
+ * Arquivo JSON no formato de data/products.json ({ "products": [...] })
+ */
+class JsonProvider extends CatalogProvider {
+    async fetchAll(options = {}) {
+        const data = await this.request('arquivo JSON', { signal: options.signal });
+        const items = Array.isArray(data) ? data : data && data.products;
+
+        if (!Array.isArray(items)) {
+            throw new window.ApiErrors.InvalidDataError(`${this.url} deve conter { "products": [...] }`);
+        }
+        return items;
+    }
+}
+
+/**
+ * Planilha do Google Sheets publicada como CSV (Arquivo > Compartilhar >
+ * Publicar na Web > CSV); a primeira linha tem os nomes das colunas
+ */
+class SheetsProvider extends CatalogProvider {
+    async fetchAll(options = {}) {
+        const text = await this.request('planilha CSV', { type: 'text', signal: options.signal });
+        const [header, ...rows] = this.parseCsv(text);
+
+        if (!header || header.length === 0) {
+            throw new window.ApiErrors.InvalidDataError(`${this.url} não tem a linha de cabeçalho`);
+        }
+
+        const columns = header.map(name => name.trim());
+        return rows
+            .filter(row => row.some(cell => cell.trim() !== ''))
+            .map(row => Object.fromEntries(columns.map((name, index) => [name, row[index] ?? ''])));
+    }
+
+    /**
+     * Lê um CSV (RFC 4180): aspas duplas, "" dentro de aspas e quebras de linha nas células
+     * @param {string} text - Conteúdo do arquivo
+     * @returns {Array<Array<string>>} - Linhas e células
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+
+            if (quoted) {
+                if (char === '"' && text[index + 1] === '"') {
+                    cell += '"';
+                    index++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[index + 1] === '\n') index++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+}
+
+/**
+ * API REST que devolve a lista de produtos em JSON: a própria lista, um dos
+ * campos "results", "products", "items" ou "data", ou o caminho em resultsPath
+ */
+class RestProvider extends CatalogProvider {
+    async fetchAll(options = {}) {
+        const data = await this.request('API REST', { signal: options.signal });
+        const items = this.resultsPath
+            ? this.resultsPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data)
+            : [data, data && data.results, data && data.products, data && data.items, data && data.data].find(Array.isArray);
+
+        if (!Array.isArray(items)) {
+            throw new window.ApiErrors.InvalidDataError(`A resposta de ${this.url} não contém a lista de produtos${this.resultsPath ? ` em "${this.resultsPath}"` : ''}`);
+        }
+        return items;
+    }
+}
+
+class CatalogSource {
+    constructor() {
+        // Origens disponíveis em "dataSource.provider" (register acrescenta outras)
+        this.providers = {
+            baserow: BaserowProvider,
+            json: JsonProvider,
+            sheets: SheetsProvider,
+            rest: RestProvider
+        };
+
+        this.primary = null;
+        this.fallback = null;
+        this.pageSize = 100;
+    }
+
+    /**
+     * Acrescenta uma origem (ex.: CatalogSource.register('shopify', ShopifyProvider))
+     * @param {string} name - Valor usado em dataSource.provider
+     * @param {Function} Provider - Classe derivada de CatalogProvider
+     */
+    register(name, Provider) {
+        this.providers[name] = Provider;
+    }
+
+    /**
+     * @returns {Array<string>} - Nomes das origens disponíveis
+     */
+    getProviderNames() {
+        return Object.keys(this.providers);
+    }
+
+    /**
+     * Cria a origem principal e a de reserva a partir da configuração
+     * @param {Object} config - Configuração validada (seções "dataSource" e "api")
+     */
+    configure(config) {
+        const source = config.dataSource;
+        const Provider = this.providers[source.provider];
+        const fallbackUrl = config.api.fallbackUrl;
+
+        this.pageSize = config.api.pageSize || this.pageSize;
+        this.primary = new Provider({
+            ...source,
+            url: source.url || (source.provider === 'json' ? fallbackUrl : '')
+        });
+
+        // Sem reserva quando a principal já é o próprio JSON local
+        this.fallback = source.provider === 'json' && this.primary.url === fallbackUrl
+            ? null
+            : new JsonProvider({ url: fallbackUrl });
+    }
+
+    /**
+     * Carrega os produtos da origem principal, página a página
+     * @param {Object} options
+     * @param {Function} options.onPage - Chamada a cada página com { products, count, hasMore }
+     *                                     (products: todos os carregados até agora, já ordenados)
+     * @param {AbortSignal} options.signal - Cancela o carregamento (rejeita com AbortError)
+     * @returns {Promise<Array<Object>>} - Produtos normalizados
+     */
+    async load(options = {}) {
+        return this.loadFrom(this.primary, options);
+    }
+
+    /**
+     * Carrega os produtos do JSON local de reserva
+     * @returns {Promise<Array<Object>>} - Produtos normalizados
+     */
+    async loadFallback() {
+        if (!this.fallback) {
+            throw new Error('Nenhuma origem de reserva configurada');
+        }
+        return this.loadFrom(this.fallback);
+    }
+
+    /**
+     * Busca um produto pelo ID na origem principal
+     * @param {number} productId - ID do produto
+     * @param {Object} options - { signal } (cancela a busca, que rejeita com AbortError)
+     * @returns {Promise<Object|null>} - Produto normalizado e público, ou null se não existir
+     * @throws {ApiError} - Falhas ao consultar a origem
+     */
+    async fetchById(productId, options = {}) {
+        const item = await this.primary.fetchById(productId, options);
+        if (!item) return null;
+
+        const { product, errors } = window.ProductSchema.validate(item);
+
+        if (errors.length > 0) {
+            this.reportIssues([{ position: null, id: productId, errors, rejected: !product }]);
+        }
+        return product && product.public ? product : null;
+    }
+
+    /**
+     * Junta as páginas da origem: descarta IDs repetidos (vale o primeiro,
+     * mesmo que esteja em outra página) e ordena pelo campo "order"
+     * @param {CatalogProvider} provider - Origem
+     * @param {Object} options - { onPage, signal }
+     * @returns {Promise<Array<Object>>} - Produtos normalizados de todas as páginas
+     */
+    async loadFrom(provider, options = {}) {
+        const products = [];
+        const seen = new Set();
+        let page = 1;
+        let offset = 0;
+
+        while (page) {
+            const data = await provider.fetchPage(page, this.pageSize, { signal: options.signal });
+
+            // Páginas do cache chegam mesmo depois do cancelamento
+            if (options.signal && options.signal.aborted) {
+                throw options.signal.reason;
+            }
+
+            const normalized = window.ProductSchema.normalizeList(data.items, offset);
+
+            normalized.products.forEach(product => {
+                if (seen.has(product.id)) {
+                    normalized.issues.push({
+                        position: null,
+                        id: product.id,
+                        errors: [{ field: 'id', message: 'repetido (vale o primeiro produto com este ID)', value: product.id }],
+                        rejected: true
+                    });
+                    return;
+                }
+                seen.add(product.id);
+                products.push(product);
+            });
+
+            // Ordenação estável: produtos com a mesma ordem mantêm a posição da origem
+            products.sort((a, b) => a.order - b.order);
+
+            this.reportIssues(normalized.issues);
+            offset += data.items.length;
+
+            if (typeof options.onPage === 'function') {
+                options.onPage({
+                    products: [...products],
+                    count: data.count ?? products.length,
+                    hasMore: Boolean(data.next)
+                });
+            }
+
+            // Evita laço infinito caso a origem repita a página atual
+            page = data.next && data.next > page ? data.next : null;
+        }
+
+        return products;
+    }
+
+    /**
+     * Informa no console os campos inválidos de cada produto
+     * @param {Array<Object>} issues - Itens de ProductSchema.normalizeList().issues
+     */
+    reportIssues(issues) {
+        issues.forEach(issue => {
+            const label = [
+                issue.id ? `produto ${issue.id}` : 'produto sem ID válido',
+                issue.position ? `item ${issue.position}` : ''
+            ].filter(Boolean).join(', ');
+            const action = issue.rejected ? 'descartado' : 'campos ignorados';
+
+            console.warn(`${label} (${action}):\n- ${window.ProductSchema.formatIssue(issue).join('\n- ')}`);
+        });
+    }
+}
+
+// Exportar instância única do serviço
+window.CatalogSource = new CatalogSource();
@@ -0,0 +1,134 @@
+/**
+ * Neo Shop - Favorites Service
+ *
+ * Lista de favoritos do visitante (IDs de produtos), persistida no
+ * localStorage e sincronizada entre abas.
+ */
+
+class FavoritesService {
+    constructor() {
+        this.storageKey = 'neoShop.favorites';
+        this.ids = this.load();
+        this.listeners = [];
+
+        // Sincronizar favoritos entre abas abertas
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.storageKey) {
+                this.ids = this.load();
+                this.notify();
+            }
+        });
+    }
+
+    /**
+     * Carrega os IDs salvos no localStorage
+     * @returns {Array<number>} - IDs dos produtos favoritos
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved)
+                ? [...new Set(saved.map(id => parseInt(id)).filter(id => id > 0))]
+                : [];
+        } catch (error) {
+            console.warn('Favoritos salvos inválidos, iniciando vazio:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persiste os IDs e avisa os interessados
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.ids));
+        } catch (error) {
+            console.warn('Não foi possível salvar os favoritos:', error);
+        }
+        this.notify();
+    }
+
+    /**
+     * Registra uma função chamada sempre que os favoritos mudarem
+     * @param {Function} listener - Recebe a lista de IDs
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notifica os interessados sobre mudanças nos favoritos
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this.getIds()));
+    }
+
+    /**
+     * @param {number} productId - ID do produto
+     * @returns {boolean} - True se o produto está nos favoritos
+     */
+    has(productId) {
+        return this.ids.includes(parseInt(productId));
+    }
+
+    /**
+     * Adiciona ou remove o produto dos favoritos
+     * @param {number} productId - ID do produto
+     * @returns {boolean} - True se o produto ficou nos favoritos
+     */
+    toggle(productId) {
+        const id = parseInt(productId);
+
+        if (this.has(id)) {
+            this.ids = this.ids.filter(item => item !== id);
+        } else {
+            this.ids.push(id);
+        }
+
+        this.save();
+        return this.has(id);
+    }
+
+    /**
+     * Adiciona vários produtos de uma vez (ex.: lista compartilhada)
+     * @param {Array<number>} productIds - IDs dos produtos
+     */
+    addMany(productIds) {
+        const ids = productIds.map(id => parseInt(id)).filter(id => id > 0 && !this.has(id));
+        if (ids.length === 0) return;
+
+        this.ids = [...this.ids, ...new Set(ids)];
+        this.save();
+    }
+
+    /**
+     * Remove os favoritos que não existem mais no catálogo
+     * @param {Array} products - Produtos carregados
+     */
+    syncWithProducts(products) {
+        const available = new Set(products.map(product => product.id));
+        const ids = this.ids.filter(id => available.has(id));
+
+        if (ids.length !== this.ids.length) {
+            this.ids = ids;
+            this.save();
+        }
+    }
+
+    /**
+     * @returns {Array<number>} - Cópia dos IDs favoritos, na ordem em que foram adicionados
+     */
+    getIds() {
+        return [...this.ids];
+    }
+
+    /**
+     * @returns {number} - Quantidade de favoritos
+     */
+    getCount() {
+        return this.ids.length;
+    }
+}
+
+// Exportar instância única do serviço
+window.FavoritesService = new FavoritesService();
@@ -0,0 +1,187 @@
+/**
+ * Neo Shop - Gallery Media
+ *
+ * Itens da galeria dos produtos: além de fotos, a lista "gallery" aceita
+ * vídeos MP4/WebM e links do YouTube. Este serviço identifica o tipo de cada
+ * item, monta o HTML de exibição (fotos via ImageService), escolhe a capa dos
+ * cards, pré-carrega as fotos vizinhas e reconhece o gesto de deslizar.
+ */
+
+class GalleryMedia {
+    constructor() {
+        this.videoPattern = /\.(mp4|webm|ogv|mov)(?:[?#]|$)/i;
+        this.youTubePattern = /(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|live\/)|youtu\.be\/)([\w-]{11})/i;
+
+        // Distância mínima (px) para um arrasto horizontal contar como deslize
+        this.swipeThreshold = 50;
+
+        // Fotos já pedidas ao navegador, por largura de exibição (não repetir o pré-carregamento)
+        this.preloaded = new Set();
+    }
+
+    /**
+     * @param {string} url - Item da galeria
+     * @returns {string} - 'image', 'video' (arquivo) ou 'youtube'
+     */
+    getType(url) {
+        const value = String(url || '');
+        if (this.getYouTubeId(value)) return 'youtube';
+        return this.videoPattern.test(value) ? 'video' : 'image';
+    }
+
+    /**
+     * @param {string} url - Item da galeria
+     * @returns {boolean} - True para vídeos (arquivo ou YouTube)
+     */
+    isVideo(url) {
+        return this.getType(url) !== 'image';
+    }
+
+    /**
+     * @param {string} url - Link do YouTube (watch, youtu.be, embed, shorts)
+     * @returns {string|null} - ID do vídeo
+     */
+    getYouTubeId(url) {
+        const match = this.youTubePattern.exec(String(url || ''));
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Imagem que representa o item (a própria foto ou a capa do YouTube)
+     * @param {string} url - Item da galeria
+     * @returns {string|null} - null para vídeos em arquivo
+     */
+    getThumbnail(url) {
+        const type = this.getType(url);
+        if (type === 'image') return url;
+        if (type === 'youtube') return `https://i.ytimg.com/vi/${this.getYouTubeId(url)}/hqdefault.jpg`;
+        return null;
+    }
+
+    /**
+     * Capa do produto nos cards, no carrinho e nas sugestões: a primeira foto
+     * ou, numa galeria só de vídeos, a primeira capa disponível
+     * @param {Array<string>} gallery - Itens da galeria
+     * @returns {string|null}
+     */
+    getCover(gallery) {
+        const items = Array.isArray(gallery) ? gallery : [];
+        const photo = items.find(url => this.getType(url) === 'image');
+        if (photo) return photo;
+
+        const thumbnail = items.map(url => this.getThumbnail(url)).find(Boolean);
+        return thumbnail || null;
+    }
+
+    /**
+     * HTML de exibição do item
+     * @param {string} url - Item da galeria
+     * @param {Object} options
+     * @param {string} options.alt - Texto alternativo / título do vídeo (já escapado)
+     * @param {string} options.className - Classe do elemento
+     * @param {string} options.id - ID do elemento (opcional)
+     * @param {Object} options.details - Detalhes da foto (srcset e fundo provisório, ver ImageService)
+     * @param {string} options.sizes - Largura de exibição da foto (ver ImageService.sizes)
+     * @param {boolean} options.lazy - Carregamento adiado
+     * @returns {string}
+     */
+    render(url, options = {}) {
+        const { alt = '', className = '', id = '' } = options;
+        const type = this.getType(url);
+        const attributes = `${id ? `id="${this.escape(id)}" ` : ''}class="${this.escape(className)}"`;
+
+        if (type === 'youtube') {
+            const src = `https://www.youtube-nocookie.com/embed/${this.getYouTubeId(url)}?rel=0&playsinline=1`;
+            return `<iframe ${attributes} src="${src}" title="${alt}" loading="lazy" ` +
+                'allow="accelerometer; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe>';
+        }
+
+        if (type === 'video') {
+            return `<video ${attributes} src="${this.escape(url)}" controls playsinline preload="metadata" aria-label="${alt}"></video>`;
+        }
+
+        return window.ImageService.render(url, options);
+    }
+
+    /**
+     * Pré-carrega as fotos antes e depois do item exibido
+     * @param {Array<string>} gallery - Itens da galeria
+     * @param {number} index - Item exibido
+     * @param {Object} options
+     * @param {Function} options.getDetails - Recebe a URL e devolve os detalhes da foto
+     * @param {string} options.sizes - Largura de exibição (ver ImageService.sizes)
+     */
+    preloadAround(gallery, index, options = {}) {
+        if (!Array.isArray(gallery) || gallery.length < 2) return;
+        const { getDetails = () => null, sizes = '' } = options;
+
+        [index - 1, index + 1].forEach(position => {
+            const url = gallery[(position + gallery.length) % gallery.length];
+            // A versão escolhida pelo srcset depende da largura de exibição
+            const key = `${sizes} ${url}`;
+            if (!url || this.preloaded.has(key) || this.getType(url) !== 'image') return;
+
+            this.preloaded.add(key);
+            window.ImageService.preload(url, getDetails(url), sizes);
+        });
+    }
+
+    /**
+     * Reconhece o deslize horizontal (toque ou mouse) sobre o elemento
+     * @param {HTMLElement} element - Área que recebe o gesto
+     * @param {Function} onSwipe - Recebe 1 (próximo, deslize para a esquerda) ou -1
+     */
+    attachSwipe(element, onSwipe) {
+        let start = null;
+
+        // O arrasto nativo da imagem cancelaria o gesto
+        element.addEventListener('dragstart', (event) => event.preventDefault());
+
+        element.addEventListener('pointerdown', (event) => {
+            if (!event.isPrimary) return;
+            start = { x: event.clientX, y: event.clientY };
+        });
+
+        element.addEventListener('pointercancel', () => {
+            start = null;
+        });
+
+        element.addEventListener('pointerup', (event) => {
+            if (!start || !event.isPrimary) return;
+
+            const dx = event.clientX - start.x;
+            const dy = event.clientY - start.y;
+            start = null;
+
+            if (Math.abs(dx) >= this.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+                // O clique que o navegador dispara em seguida não deve abrir nada
+                element.dataset.swipedAt = String(Date.now());
+                onSwipe(dx < 0 ? 1 : -1);
+            }
+        });
+    }
+
+    /**
+     * @param {HTMLElement} element - Área com attachSwipe
+     * @returns {boolean} - True se o clique atual é o fim de um deslize
+     */
+    wasSwiped(element) {
+        return Date.now() - (parseInt(element.dataset.swipedAt) || 0) < 400;
+    }
+
+    /**
+     * @param {string} value - Texto para atributo HTML
+     * @returns {string}
+     */
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+// Exportar instância única do serviço
+window.GalleryMedia = new GalleryMedia();
@@ -0,0 +1,270 @@
+/**
+ * Neo Shop - I18n Service
+ *
+ * Textos da interface por idioma (arquivos em locales/), escolha do idioma
+ * (preferência salva, idioma do navegador ou o padrão da loja), plurais via
+ * Intl.PluralRules e textos traduzidos dos produtos ("title_en" no Baserow).
+ * Chaves ausentes em um idioma usam o texto do idioma padrão.
+ */
+
+class I18nService {
+    constructor() {
+        this.storageKey = 'neoShop.locale';
+        this.basePath = 'locales/';
+
+        this.defaultLocale = 'pt-BR';
+        this.locales = ['pt-BR'];
+        this.locale = 'pt-BR';
+
+        // Moeda por idioma: { "en": { "code": "USD", "rate": 0.18 } }
+        this.currencies = {};
+
+        // Mensagens do WhatsApp por idioma (sobre as do arquivo do idioma)
+        this.messages = {};
+
+        this.strings = {};
+        this.fallback = {};
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.pattern = /\{(\w+)\}/g;
+    }
+
+    /**
+     * Escolhe o idioma e carrega os textos dele e do idioma padrão
+     * @param {Object} options - Seção "i18n" de config.json
+     *                           ({ defaultLocale, locales, currencies, messages })
+     */
+    async load(options = {}) {
+        this.defaultLocale = options.defaultLocale || this.defaultLocale;
+        this.locales = Array.isArray(options.locales) && options.locales.length > 0
+            ? [...new Set([this.defaultLocale, ...options.locales])]
+            : [this.defaultLocale];
+        this.currencies = options.currencies || {};
+        this.messages = options.messages || {};
+
+        this.locale = this.detectLocale();
+        this.pluralRules = new Intl.PluralRules(this.locale);
+
+        const [fallback, strings] = await Promise.all([
+            this.fetchLocale(this.defaultLocale),
+            this.locale === this.defaultLocale ? null : this.fetchLocale(this.locale)
+        ]);
+
+        this.fallback = fallback || {};
+        this.strings = strings || this.fallback;
+    }
+
+    /**
+     * Idioma salvo pelo usuário ou o primeiro do navegador que a loja oferece
+     * ("en-US" usa "en"; "pt" usa "pt-BR")
+     * @returns {string}
+     */
+    detectLocale() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            console.warn('Não foi possível ler o idioma salvo:', error);
+        }
+        if (saved && this.locales.includes(saved)) return saved;
+
+        const preferred = navigator.languages && navigator.languages.length > 0
+            ? navigator.languages
+            : [navigator.language];
+
+        for (const language of preferred.filter(Boolean)) {
+            const match = this.matchLocale(language);
+            if (match) return match;
+        }
+
+        return this.defaultLocale;
+    }
+
+    /**
+     * @param {string} language - Idioma pedido (ex.: "en-US")
+     * @returns {string|null} - Idioma oferecido pela loja que atende o pedido
+     */
+    matchLocale(language) {
+        const wanted = language.toLowerCase();
+        const base = wanted.split('-')[0];
+
+        return this.locales.find(locale => locale.toLowerCase() === wanted) ||
+            this.locales.find(locale => locale.toLowerCase() === base) ||
+            this.locales.find(locale => locale.toLowerCase().split('-')[0] === base) ||
+            null;
+    }
+
+    /**
+     * @param {string} locale - Idioma
+     * @returns {Promise<Object|null>} - Textos do idioma ou null se o arquivo falhar
+     */
+    async fetchLocale(locale) {
+        const url = `${this.basePath}${locale}.json`;
+
+        try {
+            const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn(`Não foi possível carregar ${url}; usando o idioma padrão:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Texto traduzido com as variáveis preenchidas. Textos com plural são
+     * objetos { one, other } escolhidos pelo valor de {count}; uma chave
+     * exata ("=0") tem preferência sobre a regra do idioma.
+     * @param {string} key - Chave com pontos (ex.: "product.wantIt")
+     * @param {Object} values - Valor de cada variável
+     * @returns {string} - Texto (a própria chave quando não existe)
+     */
+    t(key, values = {}) {
+        let text = this.lookup(key, this.strings);
+        if (text === undefined) text = this.lookup(key, this.fallback);
+        if (text === undefined) return key;
+
+        if (text && typeof text === 'object') {
+            const count = Number(values.count) || 0;
+            text = text[`=${count}`] ?? text[this.pluralRules.select(count)] ?? text.other;
+        }
+
+        return String(text ?? '').replace(this.pattern, (match, name) =>
+            values[name] === undefined || values[name] === null ? match : String(values[name])
+        );
+    }
+
+    /**
+     * @param {string} key - Chave com pontos
+     * @returns {boolean} - True se a chave tem texto no idioma atual ou no padrão
+     */
+    has(key) {
+        return this.lookup(key, this.strings) !== undefined || this.lookup(key, this.fallback) !== undefined;
+    }
+
+    /**
+     * @param {string} key - Chave com pontos
+     * @param {Object} source - Textos de um idioma
+     * @returns {*}
+     */
+    lookup(key, source) {
+        return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), source);
+    }
+
+    /**
+     * Salva o idioma escolhido e recarrega a página com ele
+     * @param {string} locale - Idioma oferecido pela loja
+     */
+    setLocale(locale) {
+        if (!this.locales.includes(locale) || locale === this.locale) return;
+
+        try {
+            localStorage.setItem(this.storageKey, locale);
+        } catch (error) {
+            console.warn('Não foi possível salvar o idioma:', error);
+        }
+        window.location.reload();
+    }
+
+    /**
+     * Traduz o HTML estático: data-i18n (texto) e
+     * data-i18n-attr="placeholder:header.searchPlaceholder,aria-label:..."
+     * @param {ParentNode} root - Onde procurar os elementos
+     */
+    translatePage(root = document) {
+        document.documentElement.lang = this.locale;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    }
+
+    /**
+     * @param {string} locale - Idioma
+     * @returns {string} - Nome do idioma nele mesmo ("English", "Español")
+     */
+    getLanguageName(locale) {
+        try {
+            const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+            return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+        } catch (error) {
+            return locale;
+        }
+    }
+
+    /**
+     * Produto com título, subtítulo e descrição no idioma atual, quando
+     * traduzidos (a categoria não muda: ela identifica filtros e vendedores)
+     * @param {Object} product - Produto com "translations" opcional
+     * @returns {Object} - O próprio produto ou uma cópia traduzida
+     */
+    localizeProduct(product) {
+        const translations = product && product.translations;
+        if (!translations || typeof translations !== 'object') return product;
+
+        // "title_en" atende "en" e "en-US"; o idioma exato tem preferência
+        const current = this.locale.toLowerCase();
+        const keys = Object.keys(translations);
+        const key = keys.find(locale => locale.toLowerCase() === current) ||
+            keys.find(locale => locale.toLowerCase() === current.split('-')[0]);
+        const texts = key ? translations[key] : null;
+        if (!texts) return product;
+
+        const localized = { ...product };
+        ['title', 'subtitle', 'description'].forEach(field => {
+            if (typeof texts[field] === 'string' && texts[field].trim()) {
+                localized[field] = texts[field].trim();
+            }
+        });
+        return localized;
+    }
+
+    /**
+     * Modelos das mensagens do WhatsApp no idioma atual: no idioma padrão
+     * valem os de config.json; nos demais, os do arquivo do idioma com as
+     * personalizações de config.i18n.messages
+     * @param {Object} config - Configuração da loja
+     * @returns {Object} - { greeting, product, cart, favorites, notify }
+     */
+    getMessages(config) {
+        if (this.locale === this.defaultLocale) {
+            return { greeting: config.whatsapp.greeting, ...config.messages };
+        }
+
+        const base = this.lookup('messages', this.strings) || {};
+        const custom = this.messages[this.locale] || {};
+
+        return window.AppConfig ? window.AppConfig.merge(base, custom) : { ...base, ...custom };
+    }
+
+    /**
+     * Moeda exibida no idioma atual
+     * @param {Object} currency - Seção "currency" de config.json ({ code, locale })
+     * @returns {Object} - { code, locale, rate } (rate converte a partir da moeda da loja)
+     */
+    getCurrency(currency) {
+        if (this.locale === this.defaultLocale) {
+            return { ...currency, rate: 1 };
+        }
+
+        const custom = this.currencies[this.locale] || {};
+        return {
+            code: custom.code || currency.code,
+            locale: this.locale,
+            rate: typeof custom.rate === 'number' && custom.rate > 0 ? custom.rate : 1
+        };
+    }
+}
+
+// Exportar instância única do serviço
+window.I18n = new I18nService();
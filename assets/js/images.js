@@ -0,0 +1,204 @@
+/**
+ * Neo Shop - Image Service
+ *
+ * HTML das fotos dos produtos com srcset/sizes (a partir das miniaturas que
+ * o Baserow gera), fundo provisório enquanto a foto carrega (a miniatura
+ * "tiny" desfocada ou a cor predominante) e troca pela imagem local de erro
+ * quando a foto falha. Os detalhes de cada foto ficam em product.images,
+ * indexados pela URL: { "url": { width, height, sources, preview, color } }.
+ */
+
+class ImageService {
+    constructor() {
+        // Imagens locais (assets/images), disponíveis também offline
+        this.placeholder = 'assets/images/placeholder.svg';
+        this.errorImage = 'assets/images/image-error.svg';
+
+        // Larguras de exibição (atributo sizes) de cada lugar do catálogo
+        this.sizes = {
+            card: '(max-width: 768px) 100vw, 400px',
+            modal: '(max-width: 768px) 100vw, 400px',
+            thumb: '60px',
+            lightbox: '100vw',
+            suggestion: '40px',
+            cart: '64px'
+        };
+
+        this.colorPattern = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+        // Endereços usados em atributos e em url('...') do CSS
+        this.unsafeUrlPattern = /[\s"'\\<>]/;
+        this.watching = false;
+    }
+
+    /**
+     * @param {Object} images - Seção "images" de config.json ({ placeholder, error })
+     */
+    configure(images = {}) {
+        this.placeholder = images.placeholder || this.placeholder;
+        this.errorImage = images.error || this.errorImage;
+    }
+
+    /**
+     * Detalhes de uma foto do produto, validados
+     * @param {Object} product - Produto com "images" opcional
+     * @param {string} url - Foto da galeria
+     * @returns {Object|null} - { width, height, sources, preview, color }
+     */
+    getDetails(product, url) {
+        const images = product && product.images;
+        if (!url || !images || typeof images !== 'object') return null;
+
+        return this.normalize(images[url]);
+    }
+
+    /**
+     * Descarta campos inválidos (os dados podem vir editados à mão em products.json)
+     * @param {Object} details - { width, height, sources: [{ url, width }], preview, color }
+     * @returns {Object|null}
+     */
+    normalize(details) {
+        if (!details || typeof details !== 'object') return null;
+
+        const toSize = (value) => Number.isInteger(value) && value > 0 ? value : null;
+        const isSafeUrl = (value) => typeof value === 'string' && value !== '' && !this.unsafeUrlPattern.test(value);
+
+        const sources = (Array.isArray(details.sources) ? details.sources : [])
+            .filter(source => source && isSafeUrl(source.url) && toSize(source.width))
+            .map(source => ({ url: source.url, width: source.width }))
+            .sort((a, b) => a.width - b.width);
+
+        return {
+            width: toSize(details.width),
+            height: toSize(details.height),
+            sources,
+            preview: isSafeUrl(details.preview) ? details.preview : null,
+            color: typeof details.color === 'string' && this.colorPattern.test(details.color) ? details.color : null
+        };
+    }
+
+    /**
+     * @param {Object} details - Detalhes normalizados
+     * @returns {string} - Valor do atributo srcset ('' sem versões alternativas)
+     */
+    getSrcset(details) {
+        if (!details || details.sources.length < 2) return '';
+        return details.sources.map(source => `${source.url} ${source.width}w`).join(', ');
+    }
+
+    /**
+     * Menor versão da foto com ao menos a largura pedida (para miniaturas
+     * guardadas sem srcset, como as do carrinho)
+     * @param {string} url - Foto original
+     * @param {Object} details - Detalhes normalizados
+     * @param {number} width - Largura mínima em pixels
+     * @returns {string}
+     */
+    pick(url, details, width) {
+        if (!details || details.sources.length === 0) return url;
+
+        const source = details.sources.find(item => item.width >= width);
+        return source ? source.url : url;
+    }
+
+    /**
+     * HTML da foto com srcset, fundo provisório e carregamento adiado
+     * @param {string} url - Foto (sem URL, usa a imagem "sem foto")
+     * @param {Object} options
+     * @param {Object} options.details - Detalhes normalizados (ver getDetails)
+     * @param {string} options.alt - Texto alternativo (já escapado)
+     * @param {string} options.className - Classe do elemento
+     * @param {string} options.id - ID do elemento (opcional)
+     * @param {string} options.sizes - Chave de this.sizes ou valor do atributo sizes
+     * @param {boolean} options.lazy - Carregamento adiado
+     * @returns {string}
+     */
+    render(url, options = {}) {
+        const { details = null, alt = '', className = '', id = '', sizes = '', lazy = true } = options;
+        const src = url || this.placeholder;
+        const srcset = url ? this.getSrcset(details) : '';
+
+        const classes = ['responsive-image', className];
+        const style = [];
+        if (details && details.color) {
+            style.push(`--image-color: ${details.color}`);
+        }
+        if (details && details.preview) {
+            classes.push('has-preview');
+            style.push(`--image-preview: url('${details.preview}')`);
+        }
+
+        const attributes = [
+            id ? `id="${this.escape(id)}"` : '',
+            `class="${this.escape(classes.filter(Boolean).join(' '))}"`,
+            `src="${this.escape(src)}"`,
+            srcset ? `srcset="${this.escape(srcset)}" sizes="${this.escape(this.sizes[sizes] || sizes || '100vw')}"` : '',
+            `alt="${alt}"`,
+            lazy ? 'loading="lazy"' : '',
+            'decoding="async"',
+            style.length > 0 ? `style="${this.escape(style.join('; '))}"` : ''
+        ];
+
+        return `<img ${attributes.filter(Boolean).join(' ')}>`;
+    }
+
+    /**
+     * Pré-carrega a foto na versão que o navegador escolheria
+     * @param {string} url - Foto
+     * @param {Object} details - Detalhes normalizados
+     * @param {string} sizes - Chave de this.sizes ou valor do atributo sizes
+     */
+    preload(url, details, sizes = '') {
+        const image = new Image();
+        const srcset = this.getSrcset(details);
+        if (srcset) {
+            image.sizes = this.sizes[sizes] || sizes || '100vw';
+            image.srcset = srcset;
+        }
+        image.src = url;
+    }
+
+    /**
+     * Acompanha o carregamento das fotos renderizadas por este serviço:
+     * tira o fundo provisório quando a foto chega e usa a imagem de erro
+     * quando ela falha (uma única vez, para não repetir em laço)
+     * @param {Document|HTMLElement} root - Onde escutar (eventos de imagem não sobem: fase de captura)
+     */
+    watch(root = document) {
+        if (this.watching) return;
+        this.watching = true;
+
+        root.addEventListener('load', (event) => {
+            const image = event.target;
+            if (image instanceof HTMLImageElement && image.classList.contains('responsive-image')) {
+                image.classList.add('is-loaded');
+            }
+        }, true);
+
+        root.addEventListener('error', (event) => {
+            const image = event.target;
+            if (!(image instanceof HTMLImageElement) || !image.classList.contains('responsive-image')) return;
+            if (image.dataset.failed) return;
+
+            image.dataset.failed = 'true';
+            image.removeAttribute('srcset');
+            image.removeAttribute('sizes');
+            image.src = this.errorImage;
+        }, true);
+    }
+
+    /**
+     * @param {string} value - Texto para atributo HTML
+     * @returns {string}
+     */
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+// Exportar instância única do serviço
+window.ImageService = new ImageService();
@@ -0,0 +1,399 @@
+/**
+ * Neo Shop - Lightbox
+ *
+ * Galeria em tela cheia aberta pelo modal do produto: setas, teclado
+ * (← → Esc + −), deslize para trocar de item, zoom com a roda do mouse,
+ * pinça ou duplo clique e arrasto da foto ampliada. Vídeos (MP4 e YouTube)
+ * usam os próprios controles. A marcação fica em index.html (#lightbox).
+ */
+
+class Lightbox {
+    constructor() {
+        this.items = [];
+        this.index = 0;
+        this.title = '';
+        this.getDetails = () => null;
+        this.onChange = null;
+
+        // Zoom: 1 é a foto inteira na tela
+        this.scale = 1;
+        this.maxScale = 4;
+        this.zoomStep = 1.25;
+        this.offset = { x: 0, y: 0 };
+
+        // Dedos/mouse sobre a foto e o gesto em andamento (swipe, pan ou pinch)
+        this.pointers = new Map();
+        this.gesture = null;
+        this.gestureMoved = false;
+
+        this.elements = null;
+        this.returnFocus = null;
+    }
+
+    /**
+     * Localiza a marcação e registra os eventos (uma única vez)
+     * @returns {boolean} - False se a página não tem o lightbox
+     */
+    setup() {
+        if (this.elements) return Boolean(this.elements.root);
+
+        const root = document.getElementById('lightbox');
+        this.elements = {
+            root,
+            stage: document.getElementById('lightboxStage'),
+            counter: document.getElementById('lightboxCounter'),
+            prev: document.getElementById('lightboxPrev'),
+            next: document.getElementById('lightboxNext'),
+            close: document.getElementById('lightboxClose'),
+            zoomIn: document.getElementById('lightboxZoomIn'),
+            zoomOut: document.getElementById('lightboxZoomOut')
+        };
+        if (!root) return false;
+
+        const { stage } = this.elements;
+
+        this.elements.close?.addEventListener('click', () => this.close());
+        this.elements.prev?.addEventListener('click', () => this.step(-1));
+        this.elements.next?.addEventListener('click', () => this.step(1));
+        this.elements.zoomIn?.addEventListener('click', () => this.zoomTo(this.scale * this.zoomStep));
+        this.elements.zoomOut?.addEventListener('click', () => this.zoomTo(this.scale / this.zoomStep));
+
+        // Fase de captura: as teclas chegam aqui antes dos atalhos do modal
+        document.addEventListener('keydown', (event) => this.handleKeydown(event), true);
+
+        stage.addEventListener('dragstart', (event) => event.preventDefault());
+
+        stage.addEventListener('wheel', (event) => {
+            if (!this.getPhoto()) return;
+            event.preventDefault();
+            const factor = event.deltaY < 0 ? this.zoomStep : 1 / this.zoomStep;
+            this.zoomTo(this.scale * factor, { x: event.clientX, y: event.clientY });
+        }, { passive: false });
+
+        stage.addEventListener('dblclick', (event) => {
+            if (!this.getPhoto()) return;
+            this.zoomTo(this.scale > 1 ? 1 : 2, { x: event.clientX, y: event.clientY });
+        });
+
+        stage.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        stage.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        stage.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+        stage.addEventListener('pointercancel', (event) => this.handlePointerUp(event, true));
+
+        // Clique fora da foto fecha (menos ao fim de um arrasto)
+        stage.addEventListener('click', (event) => {
+            if (event.target === stage && !this.gestureMoved) {
+                this.close();
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Abre o lightbox
+     * @param {Array<string>} items - Itens da galeria (fotos e vídeos)
+     * @param {number} index - Item inicial
+     * @param {Object} options
+     * @param {string} options.title - Título do produto (já escapado), usado no texto alternativo
+     * @param {Function} options.getDetails - Recebe a URL e devolve os detalhes da foto (srcset, ver ImageService)
+     * @param {Function} options.onChange - Recebe o índice a cada troca de item
+     */
+    open(items, index = 0, options = {}) {
+        if (!Array.isArray(items) || items.length === 0 || !this.setup()) return;
+
+        this.items = items;
+        this.title = options.title || '';
+        this.getDetails = options.getDetails || (() => null);
+        this.onChange = options.onChange || null;
+        this.returnFocus = document.activeElement;
+
+        this.elements.root.classList.remove('hidden');
+        this.show(index);
+        this.elements.close?.focus();
+    }
+
+    /**
+     * Fecha o lightbox e devolve o foco a quem o abriu
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.elements.root.classList.add('hidden');
+        // Remover o item interrompe vídeos em reprodução
+        this.elements.stage.innerHTML = '';
+        this.pointers.clear();
+        this.gesture = null;
+
+        this.returnFocus?.focus?.();
+        this.returnFocus = null;
+    }
+
+    /**
+     * @returns {boolean} - True se o lightbox está aberto
+     */
+    isOpen() {
+        return Boolean(this.elements && this.elements.root && !this.elements.root.classList.contains('hidden'));
+    }
+
+    /**
+     * Exibe um item (circular: depois do último vem o primeiro)
+     * @param {number} index - Posição do item
+     */
+    show(index) {
+        const media = window.GalleryMedia;
+        const total = this.items.length;
+        this.index = (index + total) % total;
+
+        const url = this.items[this.index];
+        const isPhoto = media.getType(url) === 'image';
+        const { stage, counter, prev, next, zoomIn, zoomOut } = this.elements;
+
+        stage.innerHTML = media.render(url, {
+            alt: this.getLabel(this.index),
+            className: 'lightbox-media',
+            details: this.getDetails(url),
+            sizes: 'lightbox',
+            lazy: false
+        });
+
+        if (counter) {
+            counter.textContent = `${this.index + 1} / ${total}`;
+        }
+        [prev, next].forEach(button => button?.classList.toggle('hidden', total < 2));
+        [zoomIn, zoomOut].forEach(button => button?.classList.toggle('hidden', !isPhoto));
+
+        this.resetZoom();
+        media.preloadAround(this.items, this.index, { getDetails: this.getDetails, sizes: 'lightbox' });
+
+        if (this.onChange) {
+            this.onChange(this.index);
+        }
+    }
+
+    /**
+     * @param {number} delta - 1 para o próximo item, -1 para o anterior
+     */
+    step(delta) {
+        if (this.items.length > 1) {
+            this.show(this.index + delta);
+        }
+    }
+
+    /**
+     * @param {number} index - Posição do item
+     * @returns {string} - Texto alternativo do item
+     */
+    getLabel(index) {
+        const values = { title: this.title, index: index + 1 };
+        const key = window.GalleryMedia.isVideo(this.items[index]) ? 'gallery.video' : 'product.image';
+
+        return window.I18n ? window.I18n.t(key, values) : `${values.title} - ${values.index}`;
+    }
+
+    /**
+     * @returns {HTMLImageElement|null} - A foto exibida (vídeos não têm zoom)
+     */
+    getPhoto() {
+        return this.elements.stage.querySelector('img.lightbox-media');
+    }
+
+    /**
+     * Amplia ou reduz a foto mantendo o ponto indicado no lugar
+     * @param {number} scale - Novo zoom (limitado entre 1 e maxScale)
+     * @param {Object} point - { x, y } na tela (padrão: centro da foto)
+     */
+    zoomTo(scale, point = null) {
+        if (!this.getPhoto()) return;
+
+        const next = Math.min(Math.max(scale, 1), this.maxScale);
+        const ratio = next / this.scale;
+        let x = 0;
+        let y = 0;
+
+        if (point) {
+            const rect = this.elements.stage.getBoundingClientRect();
+            x = point.x - (rect.left + rect.width / 2);
+            y = point.y - (rect.top + rect.height / 2);
+        }
+
+        this.offset = {
+            x: x - (x - this.offset.x) * ratio,
+            y: y - (y - this.offset.y) * ratio
+        };
+        this.scale = next;
+        this.applyTransform();
+    }
+
+    /**
+     * Volta a foto ao tamanho da tela
+     */
+    resetZoom() {
+        this.scale = 1;
+        this.offset = { x: 0, y: 0 };
+        this.applyTransform();
+    }
+
+    /**
+     * Aplica zoom e deslocamento, sem deixar a foto ampliada sair da tela
+     */
+    applyTransform() {
+        const photo = this.getPhoto();
+        this.elements.stage.classList.toggle('is-zoomed', this.scale > 1);
+        if (!photo) return;
+
+        const limitX = photo.offsetWidth * (this.scale - 1) / 2;
+        const limitY = photo.offsetHeight * (this.scale - 1) / 2;
+        const clamp = (value, limit) => Math.min(Math.max(value, -limit), limit);
+        this.offset = { x: clamp(this.offset.x, limitX), y: clamp(this.offset.y, limitY) };
+
+        photo.style.transform = this.scale > 1
+            ? `translate(${this.offset.x}px, ${this.offset.y}px) scale(${this.scale})`
+            : '';
+    }
+
+    /**
+     * Teclado com o lightbox aberto
+     * @param {KeyboardEvent} event
+     */
+    handleKeydown(event) {
+        if (!this.isOpen()) return;
+
+        const actions = {
+            'Escape': () => this.close(),
+            'ArrowLeft': () => this.step(-1),
+            'ArrowRight': () => this.step(1),
+            '+': () => this.zoomTo(this.scale * this.zoomStep),
+            '=': () => this.zoomTo(this.scale * this.zoomStep),
+            '-': () => this.zoomTo(this.scale / this.zoomStep),
+            '0': () => this.resetZoom(),
+            'Tab': () => this.trapFocus(event)
+        };
+
+        const action = actions[event.key];
+        if (!action) return;
+
+        if (event.key !== 'Tab') {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+        action();
+    }
+
+    /**
+     * Mantém o foco do Tab dentro do lightbox
+     * @param {KeyboardEvent} event
+     */
+    trapFocus(event) {
+        const focusable = [...this.elements.root.querySelectorAll('button, iframe, video')]
+            .filter(element => !element.classList.contains('hidden'));
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Início de um gesto: um ponteiro arrasta (foto ampliada) ou desliza;
+     * dois ponteiros fazem pinça
+     * @param {PointerEvent} event
+     */
+    handlePointerDown(event) {
+        if (!this.getPhoto()) return;
+
+        this.elements.stage.setPointerCapture?.(event.pointerId);
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        this.gestureMoved = false;
+
+        if (this.pointers.size === 2) {
+            this.gesture = { type: 'pinch', distance: this.getPointerDistance(), scale: this.scale };
+        } else if (this.pointers.size === 1) {
+            this.startSingleGesture(event.clientX, event.clientY);
+        }
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    handlePointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer || !this.gesture) return;
+
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+
+        const gesture = this.gesture;
+        if (gesture.type === 'pinch' && this.pointers.size === 2) {
+            const [a, b] = [...this.pointers.values()];
+            const distance = this.getPointerDistance();
+            this.gestureMoved = true;
+            if (gesture.distance > 0) {
+                this.zoomTo(gesture.scale * distance / gesture.distance, { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+            }
+        } else if (gesture.type === 'pan') {
+            this.offset.x += event.clientX - gesture.last.x;
+            this.offset.y += event.clientY - gesture.last.y;
+            gesture.last = { x: event.clientX, y: event.clientY };
+            this.applyTransform();
+        }
+
+        if (gesture.start && (Math.abs(event.clientX - gesture.start.x) > 5 || Math.abs(event.clientY - gesture.start.y) > 5)) {
+            this.gestureMoved = true;
+        }
+    }
+
+    /**
+     * Fim do gesto: o deslize troca de item
+     * @param {PointerEvent} event
+     * @param {boolean} cancelled - Gesto interrompido pelo navegador
+     */
+    handlePointerUp(event, cancelled = false) {
+        if (!this.pointers.has(event.pointerId)) return;
+        this.pointers.delete(event.pointerId);
+
+        const gesture = this.gesture;
+        if (gesture && gesture.type === 'swipe' && !cancelled) {
+            const dx = event.clientX - gesture.start.x;
+            const dy = event.clientY - gesture.start.y;
+
+            if (Math.abs(dx) >= window.GalleryMedia.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+                this.step(dx < 0 ? 1 : -1);
+            }
+        }
+
+        // Pinça terminada com um dedo na tela: continua como arrasto
+        const remaining = [...this.pointers.values()][0];
+        if (remaining) {
+            this.startSingleGesture(remaining.x, remaining.y);
+        } else {
+            this.gesture = null;
+        }
+    }
+
+    /**
+     * @param {number} x - Posição inicial na tela
+     * @param {number} y - Posição inicial na tela
+     */
+    startSingleGesture(x, y) {
+        this.gesture = { type: this.scale > 1 ? 'pan' : 'swipe', start: { x, y }, last: { x, y } };
+    }
+
+    /**
+     * @returns {number} - Distância entre os dois ponteiros da pinça
+     */
+    getPointerDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return a && b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+    }
+}
+
+// Exportar instância única do componente
+window.Lightbox = new Lightbox();
@@ -0,0 +1,77 @@
+/**
+ * Neo Shop - Message Template
+ *
+ * Preenche os modelos de mensagem do WhatsApp (config.json) com os dados
+ * do produto: {title}, {price}, {promotionalPrice}, {installments},
+ * {paymentDiscounts}, {url}, {sku}, {quantity}, {variant}, {total} e {store}.
+ */
+
+class MessageTemplate {
+    constructor() {
+        // Variáveis aceitas nos modelos
+        this.placeholders = [
+            'store', 'title', 'price', 'promotionalPrice', 'installments', 'paymentDiscounts',
+            'url', 'sku', 'quantity', 'variant', 'total'
+        ];
+        this.pattern = /\{(\w+)\}/g;
+    }
+
+    /**
+     * Preenche o modelo em uma única passada: um valor que contenha "{title}"
+     * não é expandido de novo. Linhas cujas variáveis ficaram todas vazias
+     * (ex.: "SKU: {sku}" em produto sem SKU) são removidas.
+     * @param {string} template - Modelo com variáveis entre chaves
+     * @param {Object} values - Valor de cada variável
+     * @returns {string} - Mensagem pronta (sem codificação de URL)
+     */
+    render(template, values = {}) {
+        const lines = String(template || '').split('\n').map(line => {
+            let used = 0;
+            let filled = 0;
+
+            const text = line.replace(this.pattern, (match, name) => {
+                if (!this.placeholders.includes(name)) return match;
+
+                const value = this.sanitize(values[name]);
+                used++;
+                if (value) filled++;
+                return value;
+            });
+
+            return used > 0 && filled === 0 ? null : text.replace(/[ \t]+$/, '');
+        });
+
+        return lines
+            .filter(line => line !== null)
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Converte um valor em texto de uma linha só, sem caracteres de controle
+     * @param {*} value - Valor da variável
+     * @returns {string}
+     */
+    sanitize(value) {
+        if (value === null || value === undefined) return '';
+
+        return String(value)
+            .replace(/[\r\n\t]+/g, ' ')
+            .replace(/[\u0000-\u001f\u007f]/g, '')
+            .trim();
+    }
+
+    /**
+     * Variáveis usadas no modelo que não existem (provável erro de digitação)
+     * @param {string} template - Modelo
+     * @returns {Array<string>} - Nomes desconhecidos, sem repetição
+     */
+    getUnknownPlaceholders(template) {
+        const names = [...String(template || '').matchAll(this.pattern)].map(match => match[1]);
+        return [...new Set(names.filter(name => !this.placeholders.includes(name)))];
+    }
+}
+
+// Exportar instância única do serviço
+window.MessageTemplate = new MessageTemplate();
@@ -0,0 +1,127 @@
+/**
+ * Neo Shop - Pricing Service
+ *
+ * Formatação de valores na moeda da loja (Intl.NumberFormat) e condições
+ * de pagamento: parcelamento ("12x de R$ 108,33 sem juros") e descontos
+ * por forma de pagamento ("R$ 1.169,99 no Pix"). Com uma moeda por idioma,
+ * os preços (sempre cadastrados na moeda da loja) são convertidos só na exibição.
+ */
+
+class PricingService {
+    constructor() {
+        this.locale = 'pt-BR';
+        this.currency = 'BRL';
+        // Cotação aplicada na exibição (1 = moeda da loja)
+        this.rate = 1;
+        this.formatter = new Intl.NumberFormat(this.locale, { style: 'currency', currency: this.currency });
+
+        // Parcelamento: até "max" vezes, parcela mínima "minValue" e, com
+        // "monthlyRate" (% ao mês), juros a partir da parcela interestFree + 1
+        this.installments = { max: 12, interestFree: 12, monthlyRate: 0, minValue: 0 };
+
+        // Descontos por forma de pagamento: [{ method: 'Pix', percent: 5 }]
+        this.paymentDiscounts = [];
+    }
+
+    /**
+     * Aplica as seções "currency" e "pricing" de config.json
+     * @param {Object} currency - { code, locale, rate } (ver I18nService.getCurrency)
+     * @param {Object} pricing - { installments, paymentDiscounts }
+     */
+    configure(currency = {}, pricing = {}) {
+        this.locale = currency.locale || this.locale;
+        this.currency = currency.code || this.currency;
+        this.rate = currency.rate > 0 ? currency.rate : 1;
+        this.formatter = new Intl.NumberFormat(this.locale, { style: 'currency', currency: this.currency });
+
+        if (pricing.installments) {
+            this.installments = { ...this.installments, ...pricing.installments };
+        }
+        if (Array.isArray(pricing.paymentDiscounts)) {
+            this.paymentDiscounts = pricing.paymentDiscounts;
+        }
+    }
+
+    /**
+     * @param {number} value - Valor na moeda da loja
+     * @returns {string} - Valor na moeda exibida (ex.: "R$ 1.299,99")
+     */
+    format(value) {
+        return this.formatter.format(value * this.rate);
+    }
+
+    /**
+     * Melhor parcelamento para exibir: o maior sem juros (a partir de 2x)
+     * ou, se não houver, o maior com juros
+     * @param {number} price - Preço à vista
+     * @returns {Object|null} - { count, value, total, interestFree } ou null se não parcela
+     */
+    getInstallmentPlan(price) {
+        const { max, interestFree, monthlyRate, minValue } = this.installments;
+        if (!(price > 0)) return null;
+
+        const byMinimum = minValue > 0 ? Math.floor(price / minValue) : max;
+        const count = Math.min(max, byMinimum);
+        if (count < 2) return null;
+
+        // Sem taxa de juros configurada, todas as parcelas são sem juros
+        const freeCount = monthlyRate > 0 ? Math.min(count, interestFree) : count;
+        if (freeCount >= 2) {
+            return { count: freeCount, value: price / freeCount, total: price, interestFree: true };
+        }
+
+        // Tabela Price: parcelas iguais com juros compostos
+        const rate = monthlyRate / 100;
+        const value = price * rate / (1 - Math.pow(1 + rate, -count));
+        return { count, value, total: value * count, interestFree: false };
+    }
+
+    /**
+     * @param {number} price - Preço à vista
+     * @returns {string} - "12x de R$ 108,33 sem juros" (vazio se não parcela)
+     */
+    formatInstallments(price) {
+        const plan = this.getInstallmentPlan(price);
+        if (!plan) return '';
+
+        const values = { count: plan.count, value: this.format(plan.value) };
+        if (window.I18n) {
+            return window.I18n.t(plan.interestFree ? 'pricing.installments' : 'pricing.installmentsWithInterest', values);
+        }
+
+        return `${values.count}x de ${values.value} ${plan.interestFree ? 'sem juros' : 'com juros'}`;
+    }
+
+    /**
+     * Preço em cada forma de pagamento com desconto
+     * @param {number} price - Preço à vista
+     * @returns {Array<Object>} - [{ method, percent, price }]
+     */
+    getPaymentDiscounts(price) {
+        if (!(price > 0)) return [];
+
+        return this.paymentDiscounts
+            .filter(discount => discount.percent > 0)
+            .map(discount => ({
+                method: discount.method,
+                percent: discount.percent,
+                price: Math.round(price * (100 - discount.percent)) / 100
+            }));
+    }
+
+    /**
+     * @param {number} price - Preço à vista
+     * @returns {Array<string>} - ["R$ 1.169,99 no Pix"]
+     */
+    formatPaymentDiscounts(price) {
+        return this.getPaymentDiscounts(price).map(discount => {
+            const value = this.format(discount.price);
+            return window.I18n
+                ? window.I18n.t('pricing.paymentDiscount', { price: value, method: discount.method })
+                : `${value} no ${discount.method}`;
+        });
+    }
+}
+
+// Exportar instância única do serviço
+window.PricingService = new PricingService();
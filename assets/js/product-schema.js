@@ -0,0 +1,487 @@
+/**
+ * Neo Shop - Product Schema
+ *
+ * Validação e normalização única dos produtos, qualquer que seja a origem
+ * (proxy do Baserow, JSON local, planilha CSV ou API REST): converte preços
+ * em texto ("1.299,90"), listas separadas por vírgula, datas e opções do
+ * Baserow para o formato da aplicação e informa o problema de cada campo.
+ * Produtos com campo obrigatório inválido são descartados; nos opcionais,
+ * o valor inválido é trocado pelo padrão e o erro apenas informado.
+ */
+
+class ProductSchema {
+    constructor() {
+        // Regra de cada campo do produto (ver parsers)
+        this.fields = {
+            id: 'id',
+            title: 'text',
+            description: 'text',
+            price: 'price',
+            subtitle: 'optionalText',
+            sku: 'option',
+            gallery: 'gallery',
+            images: 'images',
+            promotionalPrice: 'optionalPrice',
+            promotionStart: 'date',
+            promotionEnd: 'date',
+            category: 'option',
+            tags: 'options',
+            seller: 'option',
+            variants: 'variants',
+            stock: 'stock',
+            available: 'availability',
+            public: 'public',
+            rating: 'rating',
+            reviewCount: 'count',
+            order: 'order',
+            createdAt: 'date',
+            translations: 'translations'
+        };
+
+        // Sem estes campos o produto não é exibido
+        this.required = ['id', 'title', 'description', 'price'];
+
+        // Outros nomes aceitos (além das variações de maiúsculas, espaços, "_" e "-":
+        // "Promotion Start", "promotion_start" e "promotionStart" são o mesmo campo)
+        this.aliases = {
+            createdAt: ['Created', 'created_on']
+        };
+
+        // Textos traduzíveis em campos com sufixo de idioma ("title_en", "description_es")
+        this.translationPattern = /^(title|subtitle|description)_([a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)$/i;
+
+        const ok = (value) => ({ value, error: null });
+        const invalid = (value, error) => ({ value, error });
+        const isEmpty = (value) => value === null || value === undefined ||
+            (typeof value === 'string' && value.trim() === '') ||
+            (Array.isArray(value) && value.length === 0);
+        const toText = (value) => {
+            if (Array.isArray(value)) return value.length > 0 ? toText(value[0]) : '';
+            const text = value && typeof value === 'object' ? value.value : value;
+            return text === null || text === undefined ? '' : String(text).trim();
+        };
+        const toWords = (value) => toText(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+        // Cada parser devolve { value, error }: o valor normalizado e a mensagem de erro (ou null)
+        this.parsers = {
+            id: (value) => {
+                const id = this.parseNumber(value);
+                return Number.isInteger(id) && id > 0
+                    ? ok(id)
+                    : invalid(0, 'deve ser um número inteiro maior que zero');
+            },
+            text: (value) => {
+                const text = typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+                return text ? ok(text) : invalid('', 'deve ser um texto não vazio');
+            },
+            optionalText: (value) => {
+                if (isEmpty(value)) return ok(null);
+                return typeof value === 'string' || typeof value === 'number'
+                    ? ok(String(value).trim())
+                    : invalid(null, 'deve ser um texto');
+            },
+            price: (value) => {
+                const price = this.parseNumber(value);
+                return price > 0
+                    ? ok(price)
+                    : invalid(0, 'deve ser um número maior que zero, como 1299.90 ou "1.299,90"');
+            },
+            optionalPrice: (value) => {
+                const price = this.parseNumber(value);
+                if (isEmpty(value) || price === 0) return ok(null);
+                return price > 0
+                    ? ok(price)
+                    : invalid(null, 'deve ser vazio ou um número maior que zero, como 1299.90 ou "1.299,90"');
+            },
+            date: (value) => {
+                if (isEmpty(value)) return ok(null);
+
+                const date = new Date(value);
+                return isNaN(date.getTime())
+                    ? invalid(null, 'deve ser uma data (ex.: "2026-11-30T23:59:59-03:00")')
+                    : ok(date.toISOString());
+            },
+            option: (value) => {
+                const text = toText(value);
+                return ok(text || null);
+            },
+            options: (value) => {
+                if (isEmpty(value)) return ok([]);
+                if (!Array.isArray(value) && typeof value !== 'string') {
+                    return invalid([], 'deve ser uma lista ou um texto separado por vírgulas');
+                }
+
+                const items = Array.isArray(value) ? value : value.split(',');
+                return ok([...new Set(items.map(toText).filter(Boolean))]);
+            },
+            gallery: (value) => this.parseGallery(value),
+            images: (value) => {
+                if (isEmpty(value)) return ok({});
+                return value && typeof value === 'object' && !Array.isArray(value)
+                    ? ok(value)
+                    : invalid({}, 'deve ser um objeto { "url": { width, height, sources } }');
+            },
+            variants: (value) => this.parseVariants(value),
+            stock: (value) => {
+                if (isEmpty(value)) return ok(null);
+
+                const stock = this.parseNumber(value);
+                return Number.isInteger(stock) && stock >= 0
+                    ? ok(stock)
+                    : invalid(null, 'deve ser vazio ou um número inteiro maior ou igual a zero');
+            },
+            availability: (value) => {
+                if (typeof value === 'boolean') return ok(value);
+
+                const words = toWords(value);
+                if (!words) return ok(null);
+                return ok(!['esgotado', 'indisponivel', 'sem estoque', 'sold out', 'false', 'nao', 'no', '0'].includes(words));
+            },
+            public: (value) => {
+                // Sem o campo, o produto é público (JSON local e planilhas sem a coluna)
+                if (typeof value === 'boolean' || isEmpty(value)) return ok(value !== false);
+
+                const words = toWords(value);
+                if (['true', 'sim', 'yes', 'si', '1', 'publico', 'public'].includes(words)) return ok(true);
+                if (['false', 'nao', 'no', '0', 'oculto', 'privado', 'private'].includes(words)) return ok(false);
+                return invalid(false, 'deve ser true/false (ou "sim"/"não")');
+            },
+            rating: (value) => {
+                if (isEmpty(value)) return ok(null);
+
+                const rating = this.parseNumber(value);
+                if (isNaN(rating) || rating < 0) return invalid(null, 'deve ser vazio ou uma nota de 0 a 5');
+                return ok(rating > 0 ? Math.round(Math.min(rating, 5) * 10) / 10 : null);
+            },
+            count: (value) => {
+                if (isEmpty(value)) return ok(0);
+
+                const count = this.parseNumber(value);
+                return Number.isInteger(count) && count >= 0
+                    ? ok(count)
+                    : invalid(0, 'deve ser um número inteiro maior ou igual a zero');
+            },
+            order: (value) => {
+                if (isEmpty(value)) return ok(null);
+
+                const order = this.parseNumber(value);
+                return isNaN(order) ? invalid(null, 'deve ser um número') : ok(order);
+            },
+            translations: (value) => {
+                if (isEmpty(value)) return ok({});
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    return invalid({}, 'deve ser um objeto { "idioma": { "title", "subtitle", "description" } }');
+                }
+
+                const translations = {};
+                Object.entries(value).forEach(([locale, texts]) => {
+                    if (!texts || typeof texts !== 'object') return;
+
+                    ['title', 'subtitle', 'description'].forEach(field => {
+                        const text = typeof texts[field] === 'string' ? texts[field].trim() : '';
+                        if (text) translations[locale] = { ...translations[locale], [field]: text };
+                    });
+                });
+                return ok(translations);
+            }
+        };
+    }
+
+    /**
+     * Valida e normaliza um produto
+     * @param {Object} item - Produto como veio da origem
+     * @returns {Object} - { product, errors } (product é null quando um campo obrigatório é inválido;
+     *                     errors: [{ field, message, value }])
+     */
+    validate(item) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return { product: null, errors: [{ field: 'produto', message: 'deve ser um objeto', value: item }] };
+        }
+
+        const keys = this.indexKeys(item);
+        const product = {};
+        const errors = [];
+
+        Object.entries(this.fields).forEach(([field, rule]) => {
+            const value = this.read(item, keys, field);
+            const result = this.parsers[rule](value);
+
+            product[field] = result.value;
+            if (result.error) {
+                errors.push({ field, message: result.error, value });
+            }
+        });
+
+        product.translations = this.mergeTranslations(this.parseTranslationFields(item), product.translations);
+
+        const rejected = errors.some(error => this.required.includes(error.field));
+        return { product: rejected ? null : product, errors };
+    }
+
+    /**
+     * Só o ID do produto, sem validar os demais campos (para localizar um
+     * item na origem antes de validar)
+     * @param {Object} item - Produto como veio da origem
+     * @returns {number} - ID ou 0 quando ausente ou inválido
+     */
+    readId(item) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) return 0;
+        return this.parsers.id(this.read(item, this.indexKeys(item), 'id')).value;
+    }
+
+    /**
+     * Valida uma lista de produtos (uma página da origem): descarta os
+     * inválidos e os não públicos; sem o campo "order", vale a posição.
+     * IDs repetidos e a ordenação ficam com quem junta as páginas
+     * (CatalogSource.loadFrom)
+     * @param {Array<Object>} items - Produtos como vieram da origem
+     * @param {number} offset - Posição do primeiro item na origem (páginas seguintes)
+     * @returns {Object} - { products, issues: [{ position, id, errors, rejected }] }
+     */
+    normalizeList(items, offset = 0) {
+        const products = [];
+        const issues = [];
+
+        (Array.isArray(items) ? items : []).forEach((item, index) => {
+            const position = offset + index + 1;
+            const { product, errors } = this.validate(item);
+
+            if (errors.length > 0) {
+                issues.push({ position, id: product ? product.id : null, errors, rejected: !product });
+            }
+            if (!product || !product.public) return;
+
+            if (product.order === null) {
+                product.order = position;
+            }
+            products.push(product);
+        });
+
+        return { products, issues };
+    }
+
+    /**
+     * Problemas de um produto no formato das mensagens de configuração
+     * @param {Object} issue - Item de normalizeList().issues
+     * @returns {Array<string>} - "campo: problema (recebido: valor)"
+     */
+    formatIssue(issue) {
+        return issue.errors.map(error =>
+            `${error.field}: ${error.message} (recebido: ${JSON.stringify(error.value)})`
+        );
+    }
+
+    /**
+     * Converte número ou texto numérico, aceitando símbolo de moeda e
+     * separadores de milhar ("R$ 1.299,90", "1,299.90", "1.299", "1299,9").
+     * Um único "." ou "," seguido de exatamente três dígitos é separador de
+     * milhar ("1.299" = 1299); "0,500" é ambíguo e, como grupos de milhar
+     * malformados ("1.29.9"), vira NaN
+     * @param {*} value - Valor do campo
+     * @returns {number} - Número ou NaN
+     */
+    parseNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return NaN;
+
+        const text = value.replace(/[^\d,.-]/g, '');
+        const separators = text.replace(/[^,.]/g, '');
+        const toNumber = (digits) => /^-?(\d+\.?\d*|\.\d+)$/.test(digits) ? Number(digits) : NaN;
+
+        if (!separators) return toNumber(text);
+
+        const last = separators[separators.length - 1];
+        const other = last === ',' ? '.' : ',';
+        const groups = (separator) => new RegExp(`^-?\\d{1,3}(\\${separator}\\d{3})+$`);
+
+        // Só um tipo de separador, repetido: todos são de milhar ("1.299.000")
+        if (separators.length > 1 && !separators.includes(other)) {
+            return groups(last).test(text) ? toNumber(text.split(last).join('')) : NaN;
+        }
+
+        const decimalAt = text.lastIndexOf(last);
+        const integer = text.slice(0, decimalAt);
+        const fraction = text.slice(decimalAt + 1);
+
+        // Dois tipos: o último é o decimal e o outro, de milhar ("1.299,90", "1,299.90")
+        if (separators.length > 1) {
+            return separators.indexOf(last) === separators.length - 1 && groups(other).test(integer)
+                ? toNumber(`${integer.split(other).join('')}.${fraction}`)
+                : NaN;
+        }
+
+        // Um separador só, seguido de três dígitos: milhar, exceto "0,500" (ambíguo)
+        if (fraction.length === 3 && /\d/.test(integer)) {
+            return /^-?0*$/.test(integer) ? NaN : toNumber(integer + fraction);
+        }
+
+        return toNumber(`${integer}.${fraction}`);
+    }
+
+    /**
+     * Fotos e vídeos: lista de URLs, arquivos do Baserow ({ url }) ou texto
+     * com URLs separadas por vírgula, espaço ou quebra de linha
+     * @param {*} value - Valor do campo
+     * @returns {Object} - { value, error }
+     */
+    parseGallery(value) {
+        if (value === null || value === undefined || value === '') return { value: [], error: null };
+
+        const items = typeof value === 'string' ? value.split(/[\s,|]+/) : value;
+        if (!Array.isArray(items)) {
+            return { value: [], error: 'deve ser uma lista de URLs' };
+        }
+
+        const gallery = items
+            .map(item => item && typeof item === 'object' ? item.url : item)
+            .filter(url => typeof url === 'string' && url.trim() !== '')
+            .map(url => url.trim());
+        const skipped = items.filter(item => item !== '').length - gallery.length;
+
+        return {
+            value: gallery,
+            error: skipped > 0 ? `tem ${skipped} item(ns) sem URL` : null
+        };
+    }
+
+    /**
+     * Variações (lista ou texto JSON): descarta as sem opções e IDs repetidos
+     * @param {Array|string} value - Valor do campo
+     * @returns {Object} - { value, error }
+     */
+    parseVariants(value) {
+        let items = value;
+
+        if (typeof value === 'string') {
+            try {
+                items = value.trim() ? JSON.parse(value) : [];
+            } catch (error) {
+                return { value: [], error: `deve ser um JSON válido (${error.message})` };
+            }
+        }
+
+        if (items === null || items === undefined) return { value: [], error: null };
+        if (!Array.isArray(items)) {
+            return { value: [], error: 'deve ser uma lista de variações' };
+        }
+
+        const seen = new Set();
+        const variants = items
+            .map((item, index) => this.parseVariant(item, index))
+            .filter(variant => variant !== null)
+            .filter(variant => !seen.has(variant.id) && seen.add(variant.id));
+        const skipped = items.length - variants.length;
+
+        return {
+            value: variants,
+            error: skipped > 0 ? `tem ${skipped} variação(ões) sem opções ou com ID repetido` : null
+        };
+    }
+
+    /**
+     * @param {Object} item - { id, options, price, promotionalPrice, stock, gallery, sku }
+     * @param {number} index - Posição na lista (ID padrão)
+     * @returns {Object|null} - Variação ou null se não tiver opções
+     */
+    parseVariant(item, index) {
+        if (!item || typeof item !== 'object' || !item.options || typeof item.options !== 'object') {
+            return null;
+        }
+
+        const options = {};
+        Object.entries(item.options).forEach(([name, value]) => {
+            const key = String(name).trim();
+            const text = this.parsers.option(value).value;
+            if (key && text !== null) options[key] = text;
+        });
+
+        if (Object.keys(options).length === 0) return null;
+
+        return {
+            id: this.parsers.option(item.id).value || String(index + 1),
+            options,
+            price: this.parsers.optionalPrice(item.price).value,
+            promotionalPrice: this.parsers.optionalPrice(item.promotionalPrice).value,
+            stock: this.parsers.stock(item.stock).value,
+            gallery: this.parseGallery(item.gallery).value,
+            sku: this.parsers.option(item.sku).value
+        };
+    }
+
+    /**
+     * Textos traduzidos em campos com sufixo de idioma ("title_en")
+     * @param {Object} item - Produto como veio da origem
+     * @returns {Object} - { en: { title, description }, es: { ... } }
+     */
+    parseTranslationFields(item) {
+        const translations = {};
+
+        Object.entries(item).forEach(([name, value]) => {
+            const match = this.translationPattern.exec(name);
+            const text = typeof value === 'string' ? value.trim() : '';
+            if (!match || !text) return;
+
+            const field = match[1].toLowerCase();
+            translations[match[2]] = { ...translations[match[2]], [field]: text };
+        });
+
+        return translations;
+    }
+
+    /**
+     * @param {Object} base - Traduções de campos com sufixo
+     * @param {Object} override - Traduções do campo "translations" (têm preferência)
+     * @returns {Object}
+     */
+    mergeTranslations(base, override) {
+        const result = { ...base };
+        Object.entries(override).forEach(([locale, texts]) => {
+            result[locale] = { ...result[locale], ...texts };
+        });
+        return result;
+    }
+
+    /**
+     * Índice dos nomes dos campos da origem sem maiúsculas, espaços, "_" e "-"
+     * @param {Object} item - Produto como veio da origem
+     * @returns {Map<string, string>} - Nome simplificado → nome original (vale o primeiro)
+     */
+    indexKeys(item) {
+        const keys = new Map();
+        Object.keys(item).forEach(key => {
+            const simple = this.simplifyKey(key);
+            if (!keys.has(simple)) keys.set(simple, key);
+        });
+        return keys;
+    }
+
+    /**
+     * Valor de um campo pelo nome exato, pelo nome simplificado ou por um apelido
+     * @param {Object} item - Produto como veio da origem
+     * @param {Map<string, string>} keys - Índice de indexKeys
+     * @param {string} field - Campo da aplicação
+     * @returns {*}
+     */
+    read(item, keys, field) {
+        if (item[field] !== undefined) return item[field];
+
+        const names = [field, ...(this.aliases[field] || [])];
+        for (const name of names) {
+            const key = keys.get(this.simplifyKey(name));
+            if (key !== undefined && item[key] !== undefined) return item[key];
+        }
+
+        return undefined;
+    }
+
+    /**
+     * @param {string} key - Nome do campo
+     * @returns {string} - Nome sem maiúsculas, espaços, "_" e "-"
+     */
+    simplifyKey(key) {
+        return String(key).toLowerCase().replace(/[\s_-]+/g, '');
+    }
+}
+
+// Exportar instância única do serviço
+window.ProductSchema = new ProductSchema();
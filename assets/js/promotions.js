@@ -0,0 +1,132 @@
+/**
+ * Neo Shop - Promotion Service
+ *
+ * Decide, no momento da exibição, se o preço promocional vale: o preço
+ * precisa ser menor que o normal e o momento atual deve estar entre
+ * promotionStart e promotionEnd (datas opcionais). Fora do período o
+ * produto volta ao preço normal sem editar o Baserow.
+ */
+
+class PromotionService {
+    constructor() {
+        // Contagem regressiva para promoções que terminam em até N horas
+        this.countdownHours = 72;
+        this.showDiscount = true;
+    }
+
+    /**
+     * Aplica a seção "promotions" de config.json
+     * @param {Object} options - { countdownHours, showDiscount }
+     */
+    configure(options = {}) {
+        if (Number.isInteger(options.countdownHours)) {
+            this.countdownHours = options.countdownHours;
+        }
+        if (typeof options.showDiscount === 'boolean') {
+            this.showDiscount = options.showDiscount;
+        }
+    }
+
+    /**
+     * @param {Object} item - Produto, variação resolvida ou item do carrinho
+     *                        ({ price, promotionalPrice, promotionStart, promotionEnd })
+     * @param {Date} now - Momento considerado
+     * @returns {boolean} - True se o preço promocional vale agora
+     */
+    isActive(item, now = new Date()) {
+        if (!item || !item.promotionalPrice || !(item.promotionalPrice < item.price)) return false;
+
+        const start = this.parseDate(item.promotionStart);
+        const end = this.parseDate(item.promotionEnd);
+
+        return (!start || start <= now) && (!end || now < end);
+    }
+
+    /**
+     * @param {Object} item - Ver isActive
+     * @param {Date} now - Momento considerado
+     * @returns {number|null} - Preço promocional em vigor ou null
+     */
+    getPromotionalPrice(item, now = new Date()) {
+        return this.isActive(item, now) ? item.promotionalPrice : null;
+    }
+
+    /**
+     * @param {Object} item - Ver isActive
+     * @param {Date} now - Momento considerado
+     * @returns {number} - Preço cobrado agora
+     */
+    getPrice(item, now = new Date()) {
+        return this.isActive(item, now) ? item.promotionalPrice : item.price;
+    }
+
+    /**
+     * @param {Object} item - Ver isActive
+     * @param {Date} now - Momento considerado
+     * @returns {number} - Desconto em pontos percentuais (0 fora de promoção)
+     */
+    getDiscountPercent(item, now = new Date()) {
+        if (!this.isActive(item, now)) return 0;
+        return Math.round((1 - item.promotionalPrice / item.price) * 100);
+    }
+
+    /**
+     * Fim da promoção, quando ela termina dentro da janela da contagem regressiva
+     * @param {Object} item - Ver isActive
+     * @param {Date} now - Momento considerado
+     * @returns {Date|null}
+     */
+    getCountdownEnd(item, now = new Date()) {
+        const end = this.parseDate(item && item.promotionEnd);
+        if (!end || !this.isActive(item, now)) return null;
+
+        return end - now <= this.countdownHours * 3600000 ? end : null;
+    }
+
+    /**
+     * Próximo início ou fim de promoção entre os produtos (e suas variações)
+     * @param {Array} products - Produtos carregados
+     * @param {Date} now - Momento considerado
+     * @returns {Date|null} - Quando os preços exibidos mudam de novo
+     */
+    getNextChange(products, now = new Date()) {
+        let next = null;
+
+        products.forEach(product => {
+            [product.promotionStart, product.promotionEnd].forEach(value => {
+                const date = this.parseDate(value);
+                if (date && date > now && (!next || date < next)) next = date;
+            });
+        });
+
+        return next;
+    }
+
+    /**
+     * Texto da contagem regressiva ("2d 04:12:09" ou "04:12:09")
+     * @param {number} milliseconds - Tempo restante
+     * @returns {string}
+     */
+    formatCountdown(milliseconds) {
+        const total = Math.max(0, Math.floor(milliseconds / 1000));
+        const days = Math.floor(total / 86400);
+        const pad = (value) => String(value).padStart(2, '0');
+        const time = `${pad(Math.floor(total % 86400 / 3600))}:${pad(Math.floor(total % 3600 / 60))}:${pad(total % 60)}`;
+
+        return days > 0 ? `${days}d ${time}` : time;
+    }
+
+    /**
+     * @param {string|Date} value - Data em ISO 8601
+     * @returns {Date|null}
+     */
+    parseDate(value) {
+        if (!value) return null;
+
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+}
+
+// Exportar instância única do serviço
+window.PromotionService = new PromotionService();
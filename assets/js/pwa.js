@@ -0,0 +1,142 @@
+/**
+ * Neo Shop - PWA
+ *
+ * Registro do service worker, aviso de nova versão, convite para
+ * instalação e aviso de modo offline.
+ */
+
+class PwaManager {
+    constructor() {
+        this.elements = {
+            offlineNotice: document.getElementById('offlineNotice'),
+            updateBanner: document.getElementById('updateBanner'),
+            updateButton: document.getElementById('updateButton'),
+            installButton: document.getElementById('installButton')
+        };
+
+        this.deferredInstallPrompt = null;
+        this.waitingWorker = null;
+        this.isReloading = false;
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os recursos de PWA disponíveis no navegador
+     */
+    init() {
+        this.setupOfflineNotice();
+        this.setupInstallPrompt();
+
+        if ('serviceWorker' in navigator) {
+            this.registerServiceWorker();
+        }
+    }
+
+    /**
+     * Registra o service worker e acompanha novas versões
+     */
+    async registerServiceWorker() {
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+
+            // Uma versão nova já pode estar aguardando (ex.: aba aberta há tempo)
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdateBanner(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdateBanner(worker);
+                    }
+                });
+            });
+
+            // Recarregar quando a nova versão assumir o controle
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.isReloading) return;
+                this.isReloading = true;
+                window.location.reload();
+            });
+
+        } catch (error) {
+            console.log('Falha no registro do SW:', error);
+        }
+    }
+
+    /**
+     * Exibe o aviso de nova versão disponível
+     * @param {ServiceWorker} worker - Service worker aguardando ativação
+     */
+    showUpdateBanner(worker) {
+        this.waitingWorker = worker;
+        this.elements.updateBanner?.classList.remove('hidden');
+
+        this.elements.updateButton?.addEventListener('click', () => {
+            this.waitingWorker?.postMessage({ type: 'SKIP_WAITING' });
+            this.elements.updateBanner?.classList.add('hidden');
+        }, { once: true });
+    }
+
+    /**
+     * Mostra o botão de instalação quando o navegador oferece o prompt
+     */
+    setupInstallPrompt() {
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            this.deferredInstallPrompt = event;
+            this.elements.installButton?.classList.remove('hidden');
+        });
+
+        this.elements.installButton?.addEventListener('click', async () => {
+            if (!this.deferredInstallPrompt) return;
+
+            this.deferredInstallPrompt.prompt();
+            await this.deferredInstallPrompt.userChoice;
+            this.deferredInstallPrompt = null;
+            this.elements.installButton.classList.add('hidden');
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredInstallPrompt = null;
+            this.elements.installButton?.classList.add('hidden');
+        });
+    }
+
+    /**
+     * Exibe o aviso "você está offline" conforme o estado da conexão
+     */
+    setupOfflineNotice() {
+        const update = () => {
+            this.elements.offlineNotice?.classList.toggle('hidden', navigator.onLine);
+        };
+
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        update();
+    }
+}
+
+/**
+ * Inicialização do PWA
+ * Aguarda o carregamento da página para não competir com o catálogo.
+ * Com features.pwa desligado em config.json, remove o service worker já instalado.
+ */
+window.addEventListener('load', async () => {
+    try {
+        const config = await window.AppConfig.load();
+
+        if (config.features.pwa) {
+            window.PwaManager = new PwaManager();
+        } else if ('serviceWorker' in navigator) {
+            const registrations = await navigator.serviceWorker.getRegistrations();
+            registrations.forEach(registration => registration.unregister());
+        }
+    } catch (error) {
+        // Configuração inválida: o catálogo já exibe o erro
+    }
+});
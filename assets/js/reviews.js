@@ -0,0 +1,135 @@
+/**
+ * Neo Shop - Review Service
+ *
+ * Avaliações dos produtos: carrega as aprovadas pelo proxy (uma vez por
+ * produto), resume nota média e quantidade e valida o formulário "Avaliar
+ * produto" antes do envio. As regras espelham as do servidor
+ * (server/reviews.js), que valida de novo e grava a avaliação pendente de
+ * moderação.
+ */
+
+class ReviewService {
+    constructor() {
+        this.maxAuthorLength = 80;
+        this.minTextLength = 10;
+        this.maxTextLength = 2000;
+        this.maxPhotos = 3;
+        this.maxPhotoSize = 5 * 1024 * 1024;
+        this.photoTypes = ['image/jpeg', 'image/png', 'image/webp'];
+
+        // Avaliações por produto (Promise, para não repetir pedidos em andamento)
+        this.cache = new Map();
+    }
+
+    /**
+     * Avaliações aprovadas do produto
+     * @param {number} productId - ID do produto
+     * @returns {Promise<Object>} - { available, failed, average, count, reviews }
+     *                              (available false: avaliações não configuradas no servidor)
+     */
+    load(productId) {
+        if (!this.cache.has(productId)) {
+            const request = window.ApiService.fetchReviews(productId).then(result => {
+                // Falhas temporárias não ficam em cache: a próxima abertura tenta de novo
+                if (!result.ok && result.status !== 503) {
+                    this.cache.delete(productId);
+                }
+
+                return {
+                    available: result.ok || result.status !== 503,
+                    failed: !result.ok,
+                    average: result.ok ? result.average : null,
+                    count: result.ok ? result.count : 0,
+                    reviews: result.ok ? result.results.filter(review => this.isValid(review)) : []
+                };
+            });
+
+            this.cache.set(productId, request);
+        }
+
+        return this.cache.get(productId);
+    }
+
+    /**
+     * @param {Object} review - Avaliação recebida do proxy
+     * @returns {boolean}
+     */
+    isValid(review) {
+        return Boolean(review) &&
+            Number.isInteger(review.rating) && review.rating >= 1 && review.rating <= 5 &&
+            typeof review.text === 'string';
+    }
+
+    /**
+     * Nota média e quantidade: as avaliações carregadas ou, antes delas
+     * (ou sem o servidor de avaliações), os campos do produto
+     * @param {Object} product - Produto com rating/reviewCount opcionais
+     * @param {Object} data - Resultado de load() (opcional)
+     * @returns {Object} - { average, count }
+     */
+    getSummary(product, data = null) {
+        if (data && !data.failed && data.available) {
+            return { average: data.average, count: data.count };
+        }
+
+        const rating = parseFloat(product && product.rating);
+        return {
+            average: rating > 0 ? Math.min(rating, 5) : null,
+            count: parseInt(product && product.reviewCount) || 0
+        };
+    }
+
+    /**
+     * Valida o formulário antes do envio
+     * @param {Object} fields - { author, rating, text, photos: FileList|Array<File> }
+     * @returns {Object|null} - Primeiro problema { field, key, values } (chave de tradução) ou null
+     */
+    validate(fields) {
+        const author = String(fields.author || '').trim();
+        const text = String(fields.text || '').trim();
+        const rating = Number(fields.rating);
+        const photos = Array.from(fields.photos || []).filter(file => file.size > 0);
+
+        if (!author || author.length > this.maxAuthorLength) {
+            return { field: 'author', key: 'reviews.errors.author', values: { max: this.maxAuthorLength } };
+        }
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return { field: 'rating', key: 'reviews.errors.rating', values: {} };
+        }
+        if (text.length < this.minTextLength || text.length > this.maxTextLength) {
+            return { field: 'text', key: 'reviews.errors.text', values: { min: this.minTextLength, max: this.maxTextLength } };
+        }
+        if (photos.length > this.maxPhotos) {
+            return { field: 'photos', key: 'reviews.errors.photoCount', values: { count: this.maxPhotos } };
+        }
+        if (photos.some(file => !this.photoTypes.includes(file.type))) {
+            return { field: 'photos', key: 'reviews.errors.photoType', values: {} };
+        }
+        if (photos.some(file => file.size > this.maxPhotoSize)) {
+            return { field: 'photos', key: 'reviews.errors.photoSize', values: { size: this.maxPhotoSize / 1024 / 1024 } };
+        }
+
+        return null;
+    }
+
+    /**
+     * Problema recusado pelo servidor (422), no formato de validate: o
+     * servidor envia um código por campo, o mesmo de reviews.errors.*
+     * @param {Object} fields - { campo: código } da resposta
+     * @returns {Object} - Primeiro problema { field, key, values }
+     */
+    fromServerErrors(fields) {
+        const [field, code] = Object.entries(fields)[0] || [];
+        const values = {
+            author: { max: this.maxAuthorLength },
+            text: { min: this.minTextLength, max: this.maxTextLength },
+            photoCount: { count: this.maxPhotos },
+            photoSize: { size: this.maxPhotoSize / 1024 / 1024 }
+        };
+
+        return { field, key: `reviews.errors.${code}`, values: values[code] || {} };
+    }
+}
+
+// Exportar instância única do serviço
+window.ReviewService = new ReviewService();
@@ -0,0 +1,155 @@
+/**
+ * Neo Shop - URL State
+ *
+ * Mantém busca, filtros e ordenação na query string (?q=fone&categoria=Áudio)
+ * e o produto aberto no hash (#/produto/12), para que links possam ser
+ * compartilhados e o botão voltar funcione.
+ */
+
+class UrlState {
+    constructor() {
+        // Nomes dos parâmetros na URL
+        this.params = {
+            search: 'q',
+            category: 'categoria',
+            tags: 'tags',
+            minPrice: 'min',
+            maxPrice: 'max',
+            onSale: 'promocao',
+            favorites: 'favoritos',
+            ids: 'lista',
+            sortBy: 'ordem'
+        };
+        this.defaultSort = 'relevance';
+    }
+
+    /**
+     * Lê o estado atual da URL
+     * @returns {Object} - { search, filters, sortBy, productId }
+     */
+    read() {
+        const query = new URLSearchParams(window.location.search);
+        const number = (key) => {
+            const value = parseFloat(query.get(this.params[key]));
+            return isNaN(value) ? null : value;
+        };
+
+        return {
+            search: (query.get(this.params.search) || '').trim(),
+            filters: {
+                category: query.get(this.params.category) || null,
+                tags: (query.get(this.params.tags) || '').split(',').map(tag => tag.trim()).filter(Boolean),
+                minPrice: number('minPrice'),
+                maxPrice: number('maxPrice'),
+                onSale: query.get(this.params.onSale) === '1',
+                favorites: query.get(this.params.favorites) === '1',
+                ids: (query.get(this.params.ids) || '').split(',').map(id => parseInt(id)).filter(id => id > 0)
+            },
+            sortBy: query.get(this.params.sortBy) || this.defaultSort,
+            productId: this.parseProductHash(window.location.hash)
+        };
+    }
+
+    /**
+     * Extrai o ID do produto do hash (#/produto/12)
+     * @param {string} hash - Hash da URL
+     * @returns {number|null}
+     */
+    parseProductHash(hash) {
+        const match = String(hash || '').match(/^#\/produto\/(\d+)/);
+        return match ? parseInt(match[1]) : null;
+    }
+
+    /**
+     * Monta a URL relativa para o estado informado
+     * @param {Object} state - { search, filters, sortBy, productId }
+     * @returns {string}
+     */
+    buildUrl(state) {
+        const query = new URLSearchParams();
+        const filters = state.filters || {};
+
+        if (state.search) query.set(this.params.search, state.search);
+        if (filters.category) query.set(this.params.category, filters.category);
+        if (filters.tags && filters.tags.length > 0) query.set(this.params.tags, filters.tags.join(','));
+        if (filters.minPrice !== null && filters.minPrice !== undefined) query.set(this.params.minPrice, filters.minPrice);
+        if (filters.maxPrice !== null && filters.maxPrice !== undefined) query.set(this.params.maxPrice, filters.maxPrice);
+        if (filters.onSale) query.set(this.params.onSale, '1');
+        if (filters.favorites) query.set(this.params.favorites, '1');
+        if (filters.ids && filters.ids.length > 0) query.set(this.params.ids, filters.ids.join(','));
+        if (state.sortBy && state.sortBy !== this.defaultSort) query.set(this.params.sortBy, state.sortBy);
+
+        const search = this.formatQuery(query);
+        const hash = state.productId ? `#/produto/${state.productId}` : '';
+
+        return `${window.location.pathname}${search ? `?${search}` : ''}${hash}`;
+    }
+
+    /**
+     * Substitui a entrada atual do histórico (busca e filtros)
+     * @param {Object} state - Estado a refletir na URL
+     */
+    replace(state) {
+        const url = this.buildUrl(state);
+        if (url !== this.currentUrl()) {
+            history.replaceState(null, '', url);
+        }
+    }
+
+    /**
+     * Cria uma nova entrada no histórico (abertura do produto)
+     * @param {Object} state - Estado a refletir na URL
+     */
+    push(state) {
+        const url = this.buildUrl(state);
+        if (url !== this.currentUrl()) {
+            history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * @returns {string} - URL atual relativa à origem
+     */
+    currentUrl() {
+        return `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    }
+
+    /**
+     * Link absoluto e limpo para um produto, próprio para compartilhar
+     * @param {number} productId - ID do produto
+     * @returns {string}
+     */
+    getProductUrl(productId) {
+        return `${window.location.origin}${window.location.pathname}#/produto/${productId}`;
+    }
+
+    /**
+     * Link absoluto para uma lista de produtos (favoritos compartilhados)
+     * @param {Array<number>} productIds - IDs dos produtos
+     * @returns {string}
+     */
+    getListUrl(productIds) {
+        const query = new URLSearchParams({ [this.params.ids]: productIds.join(',') });
+        return `${window.location.origin}${window.location.pathname}?${this.formatQuery(query)}`;
+    }
+
+    /**
+     * Serializa a query mantendo as vírgulas legíveis (?tags=a,b em vez de a%2Cb)
+     * @param {URLSearchParams} query - Parâmetros
+     * @returns {string}
+     */
+    formatQuery(query) {
+        return query.toString().replace(/%2C/gi, ',');
+    }
+
+    /**
+     * Registra uma função chamada quando o usuário navega (voltar/avançar)
+     * @param {Function} listener - Recebe o estado lido da URL
+     */
+    onChange(listener) {
+        window.addEventListener('popstate', () => listener(this.read()));
+    }
+}
+
+// Exportar instância única do serviço
+window.UrlState = new UrlState();
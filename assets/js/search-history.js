@@ -0,0 +1,82 @@
+/**
+ * Neo Shop - Search History
+ *
+ * Buscas recentes do visitante, guardadas no localStorage e exibidas
+ * nas sugestões do campo de busca.
+ */
+
+class SearchHistory {
+    constructor() {
+        this.storageKey = 'neoShop.recentSearches';
+        this.maxEntries = 5;
+        this.entries = this.load();
+    }
+
+    /**
+     * Carrega as buscas salvas no localStorage
+     * @returns {Array<string>} - Buscas, da mais recente para a mais antiga
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved)
+                ? saved.filter(entry => typeof entry === 'string' && entry.trim()).slice(0, this.maxEntries)
+                : [];
+        } catch (error) {
+            console.warn('Histórico de buscas inválido, iniciando vazio:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persiste as buscas
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Não foi possível salvar o histórico de buscas:', error);
+        }
+    }
+
+    /**
+     * Registra uma busca no topo do histórico (sem repetir termos)
+     * @param {string} term - Termo buscado
+     */
+    add(term) {
+        const value = String(term || '').trim();
+        if (!value) return;
+
+        const key = value.toLowerCase();
+        this.entries = [value, ...this.entries.filter(entry => entry.toLowerCase() !== key)].slice(0, this.maxEntries);
+        this.save();
+    }
+
+    /**
+     * Remove uma busca do histórico
+     * @param {string} term - Termo a remover
+     */
+    remove(term) {
+        const key = String(term || '').toLowerCase();
+        this.entries = this.entries.filter(entry => entry.toLowerCase() !== key);
+        this.save();
+    }
+
+    /**
+     * Apaga todo o histórico
+     */
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    /**
+     * @returns {Array<string>} - Cópia das buscas recentes
+     */
+    getAll() {
+        return [...this.entries];
+    }
+}
+
+// Exportar instância única do serviço
+window.SearchHistory = new SearchHistory();
@@ -0,0 +1,331 @@
+/**
+ * Neo Shop - Search Engine
+ *
+ * Busca local por relevância: ignora acentos e maiúsculas, divide a consulta
+ * em palavras, tolera pequenos erros de digitação e pesa mais os acertos no
+ * título do que no subtítulo ou na descrição.
+ */
+
+class SearchEngine {
+    constructor() {
+        // Campos pesquisados e seus pesos na pontuação
+        this.fields = [
+            { name: 'title', weight: 10, get: product => product.title },
+            { name: 'subtitle', weight: 5, get: product => product.subtitle },
+            { name: 'category', weight: 3, get: product => product.category },
+            { name: 'tags', weight: 3, get: product => Array.isArray(product.tags) ? product.tags.join(' ') : '' },
+            { name: 'description', weight: 1, get: product => product.description }
+        ];
+
+        // Qualidade de cada tipo de acerto (multiplica o peso do campo)
+        this.matchQuality = {
+            exact: 1,
+            prefix: 0.8,
+            partial: 0.6,
+            fuzzy: 0.5
+        };
+
+        // Palavras muito curtas não procuram dentro de outras nem toleram erros
+        this.minPartialLength = 3;
+
+        // Palavras indexadas por produto (reaproveitadas entre buscas)
+        this.cache = new WeakMap();
+    }
+
+    /**
+     * Remove acentos e converte para minúsculas ("Fônes" → "fones")
+     * @param {string} text - Texto original
+     * @returns {string}
+     */
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Divide um texto em palavras normalizadas
+     * @param {string} text - Texto original
+     * @returns {Array<string>}
+     */
+    tokenize(text) {
+        return this.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    /**
+     * Palavras de cada campo do produto, calculadas uma única vez
+     * @param {Object} product - Produto
+     * @returns {Array<Object>} - [{ weight, tokens }]
+     */
+    getProductIndex(product) {
+        let index = this.cache.get(product);
+
+        if (!index) {
+            index = this.fields.map(field => ({
+                weight: field.weight,
+                tokens: [...new Set(this.tokenize(field.get(product)))]
+            }));
+            this.cache.set(product, index);
+        }
+
+        return index;
+    }
+
+    /**
+     * Pontua os produtos para a consulta; só entram produtos em que todas as
+     * palavras da consulta foram encontradas em algum campo
+     * @param {Array} products - Produtos carregados
+     * @param {string} query - Texto digitado
+     * @returns {Map<number, number>} - ID do produto → pontuação
+     */
+    score(products, query) {
+        const queryTokens = [...new Set(this.tokenize(query))];
+        const scores = new Map();
+
+        if (queryTokens.length === 0) return scores;
+
+        products.forEach(product => {
+            const index = this.getProductIndex(product);
+            let total = 0;
+
+            for (const queryToken of queryTokens) {
+                let best = 0;
+
+                index.forEach(field => {
+                    const quality = this.bestMatch(queryToken, field.tokens);
+                    best = Math.max(best, quality * field.weight);
+                });
+
+                if (best === 0) return;
+                total += best;
+            }
+
+            scores.set(product.id, total);
+        });
+
+        return scores;
+    }
+
+    /**
+     * Melhor acerto de uma palavra da consulta entre as palavras de um campo
+     * @param {string} queryToken - Palavra normalizada da consulta
+     * @param {Array<string>} tokens - Palavras normalizadas do campo
+     * @returns {number} - Qualidade do acerto (0 quando não encontrou)
+     */
+    bestMatch(queryToken, tokens) {
+        let best = 0;
+
+        for (const token of tokens) {
+            const quality = this.matchToken(queryToken, token);
+            if (quality > best) {
+                best = quality;
+                if (best === this.matchQuality.exact) break;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Compara uma palavra da consulta com uma palavra do produto
+     * @param {string} queryToken - Palavra normalizada da consulta
+     * @param {string} token - Palavra normalizada do produto
+     * @returns {number} - Qualidade do acerto (0 quando não combina)
+     */
+    matchToken(queryToken, token) {
+        if (token === queryToken) return this.matchQuality.exact;
+
+        // Busca enquanto digita: "fon" → "fones"
+        if (token.startsWith(queryToken)) return this.matchQuality.prefix;
+
+        if (queryToken.length < this.minPartialLength) return 0;
+
+        // Parte de uma palavra composta: "phone" → "smartphone"
+        if (token.includes(queryToken)) return this.matchQuality.partial;
+
+        const maxTypos = this.getMaxTypos(queryToken);
+        if (maxTypos > 0) {
+            // Compara também com o início da palavra, para erros no meio da digitação
+            const prefix = token.slice(0, queryToken.length);
+            if (this.distance(queryToken, token, maxTypos) <= maxTypos ||
+                (prefix.length < token.length && this.distance(queryToken, prefix, maxTypos) <= maxTypos)) {
+                return this.matchQuality.fuzzy;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Erros de digitação tolerados conforme o tamanho da palavra
+     * @param {string} queryToken - Palavra da consulta
+     * @returns {number}
+     */
+    getMaxTypos(queryToken) {
+        if (queryToken.length >= 8) return 2;
+        if (queryToken.length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * Distância de edição (inserção, remoção, troca e inversão de letras vizinhas),
+     * interrompida assim que ultrapassa o limite
+     * @param {string} a - Primeira palavra
+     * @param {string} b - Segunda palavra
+     * @param {number} limit - Maior distância que interessa
+     * @returns {number} - Distância (limit + 1 quando ultrapassa)
+     */
+    distance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + cost
+                );
+
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousPrevious[j - 2] + 1);
+                }
+
+                current[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > limit) return limit + 1;
+
+            previousPrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Trechos do texto que combinam com a consulta, para destacar nos cards
+     * @param {string} text - Texto original (com acentos)
+     * @param {string} query - Texto digitado
+     * @returns {Array<Array<number>>} - Intervalos [início, fim] no texto original
+     */
+    getMatchRanges(text, query) {
+        const queryTokens = [...new Set(this.tokenize(query))];
+        const ranges = [];
+
+        if (!text || queryTokens.length === 0) return ranges;
+
+        for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+            const token = this.normalize(match[0]);
+            if (queryTokens.some(queryToken => this.matchToken(queryToken, token) > 0)) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Sugestões "você quis dizer…" para uma consulta sem resultados
+     * @param {Array} products - Produtos em que a sugestão deve encontrar algo
+     * @param {string} query - Texto digitado
+     * @param {number} limit - Máximo de sugestões
+     * @returns {Array<string>} - Consultas alternativas que trazem resultados
+     */
+    suggest(products, query, limit = 3) {
+        const words = String(query || '').match(/[\p{L}\p{N}]+/gu) || [];
+        const suggestions = [];
+
+        if (words.length === 0) return suggestions;
+
+        const vocabulary = this.getVocabulary(products);
+        const corrected = words.map(word => this.closestWord(this.normalize(word), vocabulary) || word.toLowerCase());
+        const seen = new Set([this.normalize(query).trim()]);
+
+        const add = (text) => {
+            const key = this.normalize(text);
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            if (this.score(products, text).size > 0) {
+                suggestions.push(text);
+            }
+        };
+
+        // Consulta inteira com cada palavra corrigida e, depois, palavras isoladas
+        add(corrected.join(' '));
+        if (corrected.length > 1) {
+            corrected.forEach(word => add(word));
+        }
+
+        return suggestions.slice(0, limit);
+    }
+
+    /**
+     * Palavras do catálogo (título, subtítulo, categoria e tags) usadas nas correções
+     * @param {Array} products - Produtos
+     * @returns {Map<string, Object>} - Palavra normalizada → { word, count }
+     */
+    getVocabulary(products) {
+        if (this.vocabularyCache && this.vocabularyCache.products === products) {
+            return this.vocabularyCache.vocabulary;
+        }
+
+        const vocabulary = new Map();
+
+        products.forEach(product => {
+            this.fields
+                .filter(field => field.name !== 'description')
+                .forEach(field => {
+                    for (const [word] of String(field.get(product) || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+                        if (word.length < this.minPartialLength) continue;
+
+                        const key = this.normalize(word);
+                        const entry = vocabulary.get(key) || { word: word.toLowerCase(), count: 0 };
+                        entry.count++;
+                        vocabulary.set(key, entry);
+                    }
+                });
+        });
+
+        this.vocabularyCache = { products, vocabulary };
+        return vocabulary;
+    }
+
+    /**
+     * Palavra do catálogo mais parecida com a palavra digitada
+     * @param {string} token - Palavra normalizada
+     * @param {Map<string, Object>} vocabulary - Palavras do catálogo
+     * @returns {string|null} - Palavra (com acentos) ou null se nenhuma for próxima
+     */
+    closestWord(token, vocabulary) {
+        if (vocabulary.has(token)) return vocabulary.get(token).word;
+        if (token.length < this.minPartialLength) return null;
+
+        // Mais tolerante que a busca: aqui só se sugere, não se filtra
+        const limit = Math.max(2, Math.ceil(token.length / 3));
+        let best = null;
+
+        vocabulary.forEach((entry, key) => {
+            const distance = this.distance(token, key, limit);
+            if (distance > limit) return;
+
+            if (!best || distance < best.distance || (distance === best.distance && entry.count > best.count)) {
+                best = { word: entry.word, count: entry.count, distance };
+            }
+        });
+
+        return best ? best.word : null;
+    }
+}
+
+// Exportar instância única do serviço
+window.SearchEngine = new SearchEngine();
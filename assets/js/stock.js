@@ -0,0 +1,91 @@
+/**
+ * Neo Shop - Stock Service
+ *
+ * Situação de estoque dos produtos e variações: disponível, últimas
+ * unidades ou esgotado. Produtos sem estoque informado contam como
+ * disponíveis.
+ */
+
+class StockService {
+    constructor() {
+        // Até quantas unidades o produto aparece como "Últimas unidades"
+        this.lowStockThreshold = 3;
+
+        this.labels = {
+            soldOut: 'Esgotado',
+            low: 'Últimas unidades',
+            available: ''
+        };
+    }
+
+    /**
+     * Aplica a seção "stock" de config.json
+     * @param {Object} options - { lowStockThreshold }
+     */
+    configure(options = {}) {
+        if (Number.isInteger(options.lowStockThreshold)) {
+            this.lowStockThreshold = options.lowStockThreshold;
+        }
+    }
+
+    /**
+     * Situação do produto ou da variação escolhida
+     * @param {Object} product - Produto
+     * @param {Object} variant - Variação (opcional)
+     * @returns {string} - 'soldOut', 'low' ou 'available'
+     */
+    getStatus(product, variant = null) {
+        if (!product || product.available === false) return 'soldOut';
+
+        if (variant && this.isKnown(variant.stock)) {
+            return this.fromQuantity(variant.stock);
+        }
+
+        // Sem variação escolhida, soma o estoque das variações (se todas informam)
+        const variants = window.ProductVariants ? window.ProductVariants.getVariants(product) : [];
+        if (!variant && variants.length > 0 && variants.every(item => this.isKnown(item.stock))) {
+            return this.fromQuantity(variants.reduce((sum, item) => sum + item.stock, 0));
+        }
+
+        return this.fromQuantity(product.stock);
+    }
+
+    /**
+     * @param {Object} product - Produto
+     * @param {Object} variant - Variação (opcional)
+     * @returns {boolean} - True se não há unidades disponíveis
+     */
+    isSoldOut(product, variant = null) {
+        return this.getStatus(product, variant) === 'soldOut';
+    }
+
+    /**
+     * @param {string} status - Situação (ver getStatus)
+     * @returns {string} - Texto do selo no idioma atual ('' quando disponível)
+     */
+    getLabel(status) {
+        if (!this.labels[status]) return '';
+        return window.I18n ? window.I18n.t(`stock.${status}`) : this.labels[status];
+    }
+
+    /**
+     * @param {*} quantity - Estoque informado
+     * @returns {boolean} - True se o estoque é um número válido
+     */
+    isKnown(quantity) {
+        return Number.isInteger(quantity) && quantity >= 0;
+    }
+
+    /**
+     * @param {number|null} quantity - Estoque informado
+     * @returns {string} - Situação correspondente
+     */
+    fromQuantity(quantity) {
+        if (!this.isKnown(quantity)) return 'available';
+        if (quantity === 0) return 'soldOut';
+        return quantity <= this.lowStockThreshold ? 'low' : 'available';
+    }
+}
+
+// Exportar instância única do serviço
+window.StockService = new StockService();
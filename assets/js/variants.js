@@ -0,0 +1,151 @@
+/**
+ * Neo Shop - Product Variants
+ *
+ * Variações de um produto (tamanho, cor, voltagem...). Cada variação
+ * combina um valor de cada grupo de opções e pode ter preço, preço
+ * promocional, estoque, galeria e SKU próprios; o que faltar vem do produto.
+ *
+ * Formato: product.variants = [{ id, options: { Cor: 'Preto' }, price,
+ * promotionalPrice, stock, gallery, sku }]. O período da promoção
+ * (promotionStart/promotionEnd) é sempre o do produto.
+ */
+
+class ProductVariants {
+    /**
+     * Variações válidas do produto
+     * @param {Object} product - Produto
+     * @returns {Array} - Variações com ao menos uma opção
+     */
+    getVariants(product) {
+        if (!product || !Array.isArray(product.variants)) return [];
+
+        return product.variants.filter(variant =>
+            variant && variant.id !== undefined && variant.options && Object.keys(variant.options).length > 0
+        );
+    }
+
+    /**
+     * @param {Object} product - Produto
+     * @returns {boolean} - True se o produto tem variações
+     */
+    hasVariants(product) {
+        return this.getVariants(product).length > 0;
+    }
+
+    /**
+     * Grupos de opções na ordem em que aparecem nas variações
+     * @param {Object} product - Produto
+     * @returns {Array<Object>} - [{ name: 'Cor', values: ['Preto', 'Branco'] }]
+     */
+    getOptionGroups(product) {
+        const groups = new Map();
+
+        this.getVariants(product).forEach(variant => {
+            Object.entries(variant.options).forEach(([name, value]) => {
+                if (!groups.has(name)) groups.set(name, []);
+                const values = groups.get(name);
+                if (!values.includes(value)) values.push(value);
+            });
+        });
+
+        return [...groups].map(([name, values]) => ({ name, values }));
+    }
+
+    /**
+     * @param {Object} product - Produto
+     * @param {string} variantId - ID da variação
+     * @returns {Object|null}
+     */
+    findById(product, variantId) {
+        return this.getVariants(product).find(variant => String(variant.id) === String(variantId)) || null;
+    }
+
+    /**
+     * Variação que corresponde exatamente às opções escolhidas
+     * @param {Object} product - Produto
+     * @param {Object} selection - { Cor: 'Preto', Tamanho: 'M' }
+     * @returns {Object|null}
+     */
+    findBySelection(product, selection) {
+        return this.getVariants(product).find(variant =>
+            Object.entries(variant.options).every(([name, value]) => selection[name] === value)
+        ) || null;
+    }
+
+    /**
+     * Melhor variação ao escolher um valor: mantém as outras opções quando a
+     * combinação existe; senão, troca para a primeira combinação com o valor
+     * (de preferência em estoque)
+     * @param {Object} product - Produto
+     * @param {Object} selection - Opções escolhidas até agora
+     * @param {string} name - Grupo alterado
+     * @param {string} value - Valor escolhido
+     * @returns {Object|null}
+     */
+    select(product, selection, name, value) {
+        const exact = this.findBySelection(product, { ...selection, [name]: value });
+        if (exact) return exact;
+
+        const candidates = this.getVariants(product).filter(variant => variant.options[name] === value);
+        return candidates.find(variant => this.isAvailable(variant)) || candidates[0] || null;
+    }
+
+    /**
+     * Variação inicial: a primeira em estoque
+     * @param {Object} product - Produto
+     * @returns {Object|null}
+     */
+    getDefault(product) {
+        const variants = this.getVariants(product);
+        return variants.find(variant => this.isAvailable(variant)) || variants[0] || null;
+    }
+
+    /**
+     * @param {Object} variant - Variação
+     * @returns {boolean} - False só quando o estoque informado é zero
+     */
+    isAvailable(variant) {
+        return !variant || variant.stock === null || variant.stock === undefined || variant.stock > 0;
+    }
+
+    /**
+     * Texto da variação para mensagens e carrinho ("Cor: Preto / Tamanho: M")
+     * @param {Object} variant - Variação
+     * @returns {string}
+     */
+    getLabel(variant) {
+        if (!variant || !variant.options) return '';
+
+        return Object.entries(variant.options)
+            .map(([name, value]) => `${name}: ${value}`)
+            .join(' / ');
+    }
+
+    /**
+     * Dados do produto com os valores da variação aplicados
+     * @param {Object} product - Produto
+     * @param {Object} variant - Variação (opcional)
+     * @returns {Object} - { price, promotionalPrice, promotionStart, promotionEnd, gallery, sku, stock }
+     */
+    resolve(product, variant = null) {
+        const hasOwnPrice = variant && variant.price;
+
+        return {
+            price: hasOwnPrice ? variant.price : product.price,
+            // O preço promocional do produto não vale para variação com preço próprio
+            promotionalPrice: variant && (variant.promotionalPrice || hasOwnPrice)
+                ? variant.promotionalPrice || null
+                : product.promotionalPrice || null,
+            promotionStart: product.promotionStart || null,
+            promotionEnd: product.promotionEnd || null,
+            gallery: variant && Array.isArray(variant.gallery) && variant.gallery.length > 0
+                ? variant.gallery
+                : product.gallery || [],
+            sku: (variant && variant.sku) || product.sku || null,
+            stock: variant && variant.stock !== undefined ? variant.stock : null
+        };
+    }
+}
+
+// Exportar instância única do serviço
+window.ProductVariants = new ProductVariants();
@@ -0,0 +1,212 @@
+/**
+ * Neo Shop - WhatsApp Router
+ *
+ * Escolhe o número de WhatsApp que recebe cada conversa, conforme os
+ * vendedores de config.json: vendedor informado no produto, categorias
+ * atendidas, horário de atendimento e rodízio entre os disponíveis.
+ * Sem vendedor disponível, usa o número principal (whatsapp.number).
+ */
+
+class WhatsAppRouter {
+    constructor() {
+        this.storageKey = 'neoShop.whatsappRotation';
+        this.fallbackNumber = '';
+        this.sellers = [];
+        this.roundRobin = true;
+        this.timezone = '';
+    }
+
+    /**
+     * Aplica a seção "whatsapp" de config.json
+     * @param {Object} options - { number, sellers, roundRobin, timezone }
+     */
+    configure(options = {}) {
+        this.fallbackNumber = options.number || '';
+        this.sellers = Array.isArray(options.sellers) ? options.sellers : [];
+        this.roundRobin = options.roundRobin !== false;
+        this.timezone = options.timezone || '';
+    }
+
+    /**
+     * Número que deve receber a conversa sobre os produtos informados
+     * @param {Array} products - Produtos da mensagem (vazio para contato geral)
+     * @param {Object} options - Opções
+     * @param {boolean} options.advance - Avança o rodízio (só ao abrir a conversa de fato)
+     * @param {Date} options.now - Momento considerado no horário de atendimento
+     * @returns {string} - Número com DDI e DDD, só dígitos
+     */
+    getNumber(products = [], options = {}) {
+        const now = options.now || new Date();
+        const available = this.sellers.filter(seller => this.isAvailable(seller, now));
+
+        if (available.length === 0) return this.fallbackNumber;
+
+        // Todos os produtos precisam apontar para o mesmo grupo de vendedores
+        const groups = products.map(product => this.getCandidates(product, available));
+        const first = groups[0];
+        const key = (group) => group.map(seller => seller.number).sort().join(',');
+        const sameGroup = first && first.length > 0 && groups.every(group => key(group) === key(first));
+
+        const pool = sameGroup ? first : available.filter(seller => !this.hasCategories(seller));
+        if (pool.length === 0) return this.fallbackNumber;
+
+        return this.rotate(pool, options.advance === true).number;
+    }
+
+    /**
+     * Vendedores disponíveis que atendem o produto: primeiro o vendedor do
+     * próprio produto, depois os das categorias do produto
+     * @param {Object} product - Produto
+     * @param {Array} available - Vendedores no horário de atendimento
+     * @returns {Array} - Vendedores candidatos (vazio se nenhum específico)
+     */
+    getCandidates(product, available) {
+        const seller = this.normalize(product.seller);
+
+        if (seller) {
+            // O campo pode trazer o próprio número de telefone
+            if (/^\d{10,15}$/.test(seller)) {
+                return [{ id: seller, number: seller }];
+            }
+
+            const match = available.filter(item => this.normalize(item.id) === seller || this.normalize(item.name) === seller);
+            if (match.length > 0) return match;
+        }
+
+        const category = this.normalize(product.category);
+        if (!category) return [];
+
+        return available.filter(item =>
+            this.hasCategories(item) && item.categories.some(name => this.normalize(name) === category)
+        );
+    }
+
+    /**
+     * @param {Object} seller - Vendedor
+     * @returns {boolean} - True se o vendedor atende só algumas categorias
+     */
+    hasCategories(seller) {
+        return Array.isArray(seller.categories) && seller.categories.length > 0;
+    }
+
+    /**
+     * Verifica se o vendedor está no horário de atendimento
+     * @param {Object} seller - Vendedor (hours: { days, start, end })
+     * @param {Date} now - Momento considerado
+     * @returns {boolean}
+     */
+    isAvailable(seller, now) {
+        const hours = seller.hours;
+        if (!hours) return true;
+
+        const { weekday, minutes } = this.getLocalTime(now);
+        const start = this.parseTime(hours.start || '00:00');
+        const end = this.parseTime(hours.end || '24:00');
+        const days = Array.isArray(hours.days) ? hours.days : [0, 1, 2, 3, 4, 5, 6];
+
+        // Expediente que vira a noite (ex.: 18:00 às 02:00) pertence ao dia em que começou
+        if (start > end) {
+            const previousDay = (weekday + 6) % 7;
+            return (minutes >= start && days.includes(weekday)) || (minutes < end && days.includes(previousDay));
+        }
+
+        return days.includes(weekday) && minutes >= start && minutes < end;
+    }
+
+    /**
+     * Dia da semana (0 = domingo) e minutos desde a meia-noite no fuso configurado
+     * @param {Date} now - Momento considerado
+     * @returns {Object} - { weekday, minutes }
+     */
+    getLocalTime(now) {
+        if (!this.timezone) {
+            return { weekday: now.getDay(), minutes: now.getHours() * 60 + now.getMinutes() };
+        }
+
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now);
+        const get = (type) => parts.find(part => part.type === type).value;
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+        return {
+            weekday: weekdays.indexOf(get('weekday')),
+            minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+        };
+    }
+
+    /**
+     * @param {string} time - Horário "HH:MM"
+     * @returns {number} - Minutos desde a meia-noite
+     */
+    parseTime(time) {
+        const [hours, minutes] = String(time).split(':').map(value => parseInt(value) || 0);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Escolhe um vendedor do grupo. Com rodízio ligado, cada visitante começa
+     * em um vendedor sorteado e avança a cada conversa aberta.
+     * @param {Array} pool - Vendedores candidatos
+     * @param {boolean} advance - Avança o rodízio
+     * @returns {Object} - Vendedor escolhido
+     */
+    rotate(pool, advance) {
+        if (!this.roundRobin || pool.length === 1) return pool[0];
+
+        let position = this.loadPosition();
+        if (position === null) {
+            position = Math.floor(Math.random() * pool.length);
+            this.savePosition(position);
+        }
+
+        const seller = pool[position % pool.length];
+        if (advance) {
+            this.savePosition(position + 1);
+        }
+        return seller;
+    }
+
+    /**
+     * @returns {number|null} - Posição salva do rodízio
+     */
+    loadPosition() {
+        try {
+            const value = parseInt(localStorage.getItem(this.storageKey));
+            return Number.isInteger(value) && value >= 0 ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {number} position - Nova posição do rodízio
+     */
+    savePosition(position) {
+        try {
+            localStorage.setItem(this.storageKey, String(position));
+        } catch (error) {
+            console.warn('Não foi possível salvar o rodízio de vendedores:', error);
+        }
+    }
+
+    /**
+     * Texto em minúsculas, sem acentos e espaços extras (para comparar nomes)
+     * @param {*} value - Valor original
+     * @returns {string}
+     */
+    normalize(value) {
+        return String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .trim()
+            .toLowerCase();
+    }
+}
+
+// Exportar instância única do serviço
+window.WhatsAppRouter = new WhatsAppRouter();
@@ -0,0 +1,24 @@
+/**
+ * Neo Shop - Middleware das Functions
+ *
+ * O projeto é publicado a partir da raiz do repositório, então arquivos
+ * locais como .dev.vars (que pode conter o token do Baserow) também seriam
+ * servidos como estáticos. Este middleware os esconde.
+ */
+
+const PRIVATE_PATHS = [
+    /\/\./,                     // arquivos e pastas ocultos (.dev.vars, .github, ...)
+    /^\/server\//,
+    /^\/scripts\//,
+    /^\/(wrangler\.toml|package(-lock)?\.json)$/
+];
+
+export async function onRequest({ request, next }) {
+    const { pathname } = new URL(request.url);
+
+    if (PRIVATE_PATHS.some(pattern => pattern.test(pathname))) {
+        return new Response('Não encontrado', { status: 404 });
+    }
+
+    return next();
+}
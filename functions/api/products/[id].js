@@ -0,0 +1,32 @@
+/**
+ * GET /api/products/:id
+ *
+ * Retorna um produto público específico (com ETag, como a listagem).
+ * Produtos inexistentes ou não públicos respondem 404.
+ */
+
+import { createClient, jsonResponse, conditionalJsonResponse, errorResponse } from '../../../server/responses.js';
+import { toProduct } from '../../../server/products.js';
+
+export async function onRequestGet({ request, params, env }) {
+    const productId = parseInt(params.id);
+
+    if (!productId || productId <= 0 || String(productId) !== params.id) {
+        return jsonResponse({ error: 'Produto não encontrado' }, 404);
+    }
+
+    try {
+        const row = await createClient(env).getRow(productId);
+        const product = toProduct(row);
+
+        // Produtos não públicos são tratados como inexistentes
+        if (!product) {
+            return jsonResponse({ error: 'Produto não encontrado' }, 404);
+        }
+
+        return await conditionalJsonResponse(request, product);
+
+    } catch (error) {
+        return errorResponse(error);
+    }
+}
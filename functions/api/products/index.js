@@ -0,0 +1,57 @@
+/**
+ * GET /api/products
+ *
+ * Lista os produtos públicos do Baserow com os nomes dos campos da
+ * aplicação (os valores são validados no navegador), uma página por vez
+ * (parâmetros page e size). `next` traz o número da próxima página ou null
+ * quando não há mais produtos.
+ * O token do Baserow nunca sai do servidor. Responde 304 quando o
+ * If-None-Match coincide com o ETag da página.
+ */
+
+import { createClient, conditionalJsonResponse, errorResponse } from '../../../server/responses.js';
+import { toProduct } from '../../../server/products.js';
+
+// Parâmetros de consulta que o navegador pode repassar ao Baserow
+const ALLOWED_PARAMS = ['search'];
+
+// Limites de paginação (o Baserow aceita no máximo 200 linhas por página)
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+
+export async function onRequestGet({ request, env }) {
+    try {
+        const url = new URL(request.url);
+        const params = {};
+
+        ALLOWED_PARAMS.forEach(key => {
+            if (url.searchParams.has(key)) {
+                params[key] = url.searchParams.get(key);
+            }
+        });
+
+        const page = Math.max(parseInt(url.searchParams.get('page')) || 1, 1);
+        const size = Math.min(Math.max(parseInt(url.searchParams.get('size')) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        const data = await createClient(env).listRows({ ...params, page, size });
+
+        if (!data || !Array.isArray(data.results)) {
+            throw new Error('Resposta do Baserow não contém array de produtos válido');
+        }
+
+        const products = data.results
+            .map(row => toProduct(row))
+            .filter(product => product !== null);
+
+        return await conditionalJsonResponse(request, {
+            count: typeof data.count === 'number' ? data.count : products.length,
+            page,
+            size,
+            next: data.next ? page + 1 : null,
+            results: products
+        });
+
+    } catch (error) {
+        return errorResponse(error);
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * GET  /api/reviews?productId=12
+ * POST /api/reviews
+ *
+ * Avaliações dos produtos na tabela BASEROW_REVIEWS_TABLE_ID. O GET lista
+ * só as aprovadas, com a nota média; o POST recebe o formulário "Avaliar
+ * produto" (multipart, com até 3 fotos) e grava a avaliação pendente de
+ * moderação. Sem a tabela configurada, ambos respondem 503.
+ */
+
+import { createClient, createReviewsClient, jsonResponse, errorResponse } from '../../server/responses.js';
+import { toProduct } from '../../server/products.js';
+import { parseReview, parseReviewPhotos, toReviewRow, transformReview, summarizeReviews } from '../../server/reviews.js';
+
+// Avaliações listadas por produto (uma página do Baserow)
+const MAX_REVIEWS = 200;
+
+export async function onRequestGet({ request, env }) {
+    const reviewsClient = createReviewsClient(env);
+    if (!reviewsClient) {
+        return jsonResponse({ error: 'Avaliações não configuradas' }, 503);
+    }
+
+    const productId = parseInt(new URL(request.url).searchParams.get('productId'));
+    if (!productId || productId <= 0) {
+        return jsonResponse({ error: 'Produto não encontrado' }, 404);
+    }
+
+    try {
+        const product = await findPublicProduct(env, productId);
+        if (!product) {
+            return jsonResponse({ error: 'Produto não encontrado' }, 404);
+        }
+
+        const data = await reviewsClient.listRows({
+            'filter__Product__link_row_has': productId,
+            size: MAX_REVIEWS
+        });
+
+        // Mais recentes primeiro
+        const reviews = (Array.isArray(data && data.results) ? data.results : [])
+            .map(row => transformReview(row))
+            .filter(review => review !== null)
+            .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+        return jsonResponse({ ...summarizeReviews(reviews), results: reviews });
+
+    } catch (error) {
+        return errorResponse(error);
+    }
+}
+
+export async function onRequestPost({ request, env }) {
+    const reviewsClient = createReviewsClient(env);
+    if (!reviewsClient) {
+        return jsonResponse({ error: 'Avaliações não configuradas' }, 503);
+    }
+
+    let form;
+    try {
+        form = await request.formData();
+    } catch (error) {
+        return jsonResponse({ error: 'Envie o formulário como multipart/form-data' }, 400);
+    }
+
+    // Campo invisível no formulário: robôs o preenchem, pessoas não
+    if (form.get('website')) {
+        return jsonResponse({ ok: true }, 201);
+    }
+
+    const { review, errors } = parseReview({
+        productId: form.get('productId'),
+        author: form.get('author'),
+        rating: form.get('rating'),
+        text: form.get('text')
+    });
+    const { photos, errors: photoErrors } = parseReviewPhotos(form.getAll('photos'));
+
+    if (errors || photoErrors) {
+        return jsonResponse({ error: 'Dados inválidos', fields: { ...errors, ...photoErrors } }, 422);
+    }
+
+    try {
+        const product = await findPublicProduct(env, review.productId);
+        if (!product) {
+            return jsonResponse({ error: 'Produto não encontrado' }, 404);
+        }
+
+        const uploaded = [];
+        for (const photo of photos) {
+            uploaded.push(await reviewsClient.uploadFile(photo));
+        }
+
+        await reviewsClient.createRow(toReviewRow(review, product, uploaded));
+        return jsonResponse({ ok: true }, 201);
+
+    } catch (error) {
+        return errorResponse(error);
+    }
+}
+
+/**
+ * @param {Object} env - Ambiente da Function
+ * @param {number} productId - ID do produto
+ * @returns {Promise<Object|null>} - Produto público ou null
+ */
+async function findPublicProduct(env, productId) {
+    const row = await createClient(env).getRow(productId);
+    return toProduct(row);
+}
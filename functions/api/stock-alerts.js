@@ -0,0 +1,50 @@
+/**
+ * POST /api/stock-alerts
+ *
+ * Registra um pedido "Avise-me quando chegar" na tabela de avisos do
+ * Baserow (BASEROW_ALERTS_TABLE_ID). Só aceita produtos públicos; sem a
+ * tabela configurada responde 503 e o catálogo usa o WhatsApp.
+ */
+
+import { createClient, createAlertsClient, jsonResponse, errorResponse } from '../../server/responses.js';
+import { toProduct } from '../../server/products.js';
+import { parseStockAlert, toAlertRow } from '../../server/stock-alerts.js';
+
+export async function onRequestPost({ request, env }) {
+    const alertsClient = createAlertsClient(env);
+    if (!alertsClient) {
+        return jsonResponse({ error: 'Avisos de estoque não configurados' }, 503);
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return jsonResponse({ error: 'Corpo da requisição não é um JSON válido' }, 400);
+    }
+
+    // Campo invisível no formulário: robôs o preenchem, pessoas não
+    if (body && body.website) {
+        return jsonResponse({ ok: true }, 201);
+    }
+
+    const { alert, errors } = parseStockAlert(body);
+    if (errors) {
+        return jsonResponse({ error: 'Dados inválidos', fields: errors }, 422);
+    }
+
+    try {
+        const row = await createClient(env).getRow(alert.productId);
+        const product = toProduct(row);
+
+        if (!product) {
+            return jsonResponse({ error: 'Produto não encontrado' }, 404);
+        }
+
+        await alertsClient.createRow(toAlertRow(alert, product));
+        return jsonResponse({ ok: true }, 201);
+
+    } catch (error) {
+        return errorResponse(error);
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * Neo Shop - Stub local do Baserow
+ *
+ * Servidor HTTP mínimo que imita a API de linhas do Baserow usando os
+ * produtos de data/products.json. A tabela REVIEWS_TABLE_ID (padrão 2) tem
+ * avaliações de exemplo em memória; as enviadas entram pendentes de
+ * moderação. Demais linhas criadas (avisos de estoque) e arquivos enviados
+ * são apenas exibidos no terminal. Permite executar as Functions localmente
+ * (npm run dev) sem token real:
+ *
+ *   npm run stub:baserow
+ *   # .dev.vars: BASEROW_TOKEN=stub, BASEROW_API_URL=http://127.0.0.1:8789
+ *   #            e BASEROW_REVIEWS_TABLE_ID=2
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT) || 8789;
+const TOKEN = process.env.BASEROW_TOKEN || 'stub';
+const DEFAULT_PAGE_SIZE = 100;
+const REVIEWS_TABLE_ID = process.env.REVIEWS_TABLE_ID || '2';
+
+// Linhas da tabela de avaliações (só as aprovadas aparecem no catálogo)
+const reviewRows = [
+    {
+        id: 1,
+        Product: [{ id: 1, value: 'Smartphone Pro Max' }],
+        Author: 'Ana',
+        Rating: 5,
+        Text: 'Bateria dura o dia inteiro e as fotos ficam ótimas.',
+        Photos: [],
+        Approved: true,
+        'Submitted At': '2026-09-12T14:30:00.000Z'
+    },
+    {
+        id: 2,
+        Product: [{ id: 1, value: 'Smartphone Pro Max' }],
+        Author: 'Carlos',
+        Rating: 4,
+        Text: 'Muito rápido. Só achei o carregador lento.',
+        Photos: [],
+        Approved: true,
+        'Submitted At': '2026-10-02T09:15:00.000Z'
+    }
+];
+
+/**
+ * Arquivo no formato do Baserow. Fotos do Unsplash ganham as miniaturas
+ * padrão (tiny, small e card_cover) pelos parâmetros de tamanho da URL
+ * @param {string} url - Foto
+ * @returns {Object} - { url, image_width, image_height, thumbnails }
+ */
+function toFile(url) {
+    let source;
+    try {
+        source = new URL(url);
+    } catch (error) {
+        return { url };
+    }
+    if (source.hostname !== 'images.unsplash.com') return { url };
+
+    const width = parseInt(source.searchParams.get('w')) || 500;
+    const height = parseInt(source.searchParams.get('h')) || width;
+    const resize = (w, h) => {
+        const thumbnail = new URL(url);
+        thumbnail.searchParams.set('w', String(w || Math.round(h * width / height)));
+        thumbnail.searchParams.set('h', String(h || Math.round(w * height / width)));
+        return { url: thumbnail.toString(), width: w, height: h };
+    };
+
+    return {
+        url,
+        image_width: width,
+        image_height: height,
+        thumbnails: {
+            tiny: resize(null, 21),
+            small: resize(48, 48),
+            card_cover: resize(300, 160)
+        }
+    };
+}
+
+/**
+ * Carrega os produtos locais no formato de linha do Baserow
+ * @returns {Array<Object>}
+ */
+function loadRows() {
+    const file = path.join(__dirname, '..', 'data', 'products.json');
+    const { products } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    return products.map((product, index) => ({
+        ...product,
+        price: product.price != null ? String(product.price) : null,
+        promotionalPrice: product.promotionalPrice != null ? String(product.promotionalPrice) : null,
+        gallery: (product.gallery || []).map(toFile),
+        Rating: product.rating != null ? String(product.rating) : null,
+        'Review Count': product.reviewCount || 0,
+        category: product.category ? { id: index + 1, value: product.category } : null,
+        tags: (product.tags || []).map((value, tagIndex) => ({ id: tagIndex + 1, value })),
+        Public: product.public !== false,
+        order: String(product.order != null ? product.order : index + 1)
+    }));
+}
+
+/**
+ * Envia uma resposta JSON
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ */
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    if (req.headers.authorization !== `Token ${TOKEN}`) {
+        return send(res, 401, { error: 'ERROR_INVALID_TOKEN' });
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (url.pathname === '/api/user-files/upload-file/' && req.method === 'POST') {
+        req.resume();
+        req.on('end', () => {
+            const name = `stub-${Date.now()}.jpg`;
+            console.log('Arquivo enviado:', name);
+            send(res, 200, { name, url: `http://127.0.0.1:${PORT}/media/${name}`, is_image: true });
+        });
+        return;
+    }
+
+    const match = url.pathname.match(/^\/api\/database\/rows\/table\/(\d+)\/(?:(\d+)\/)?$/);
+    const isReviews = Boolean(match) && match[1] === REVIEWS_TABLE_ID;
+
+    if (match && !match[2] && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                const fields = JSON.parse(body);
+                if (isReviews) {
+                    reviewRows.push({
+                        ...fields,
+                        id: reviewRows.length + 1,
+                        Product: (fields.Product || []).map(id => ({ id })),
+                        Photos: (fields.Photos || []).map(photo => ({ ...photo, url: `http://127.0.0.1:${PORT}/media/${photo.name}` }))
+                    });
+                    console.log('Avaliação recebida (pendente de moderação):', fields);
+                } else {
+                    console.log('Linha criada:', fields);
+                }
+                send(res, 200, { id: Date.now(), ...fields });
+            } catch (error) {
+                send(res, 400, { error: 'ERROR_REQUEST_BODY_VALIDATION' });
+            }
+        });
+        return;
+    }
+
+    if (!match || req.method !== 'GET') {
+        return send(res, 404, { error: 'ERROR_NOT_FOUND' });
+    }
+
+    let rows = isReviews ? reviewRows : loadRows();
+
+    if (match[2]) {
+        const row = rows.find(item => item.id === parseInt(match[2]));
+        return row ? send(res, 200, row) : send(res, 404, { error: 'ERROR_ROW_DOES_NOT_EXIST' });
+    }
+
+    // Filtros usados pelas Functions: campos booleanos e links para outra tabela
+    url.searchParams.forEach((value, key) => {
+        const filter = key.match(/^filter__(.+)__(boolean|link_row_has)$/);
+        if (!filter) return;
+
+        const [, field, type] = filter;
+        rows = type === 'boolean'
+            ? rows.filter(row => Boolean(row[field]) === (value === 'true'))
+            : rows.filter(row => (row[field] || []).some(link => String(link.id) === value));
+    });
+
+    const search = (url.searchParams.get('search') || '').toLowerCase();
+    if (search) {
+        rows = rows.filter(row =>
+            [row.title, row.subtitle, row.description].some(value =>
+                value && String(value).toLowerCase().includes(search)
+            )
+        );
+    }
+
+    const size = parseInt(url.searchParams.get('size')) || DEFAULT_PAGE_SIZE;
+    const page = parseInt(url.searchParams.get('page')) || 1;
+    const start = (page - 1) * size;
+    const pageUrl = number => {
+        const next = new URL(url);
+        next.searchParams.set('page', number);
+        return next.toString();
+    };
+
+    send(res, 200, {
+        count: rows.length,
+        next: start + size < rows.length ? pageUrl(page + 1) : null,
+        previous: page > 1 ? pageUrl(page - 1) : null,
+        results: rows.slice(start, start + size)
+    });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Stub do Baserow em http://127.0.0.1:${PORT} (token: ${TOKEN})`);
+});
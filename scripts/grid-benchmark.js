@@ -0,0 +1,151 @@
+/**
+ * Neo Shop - Benchmark da grade de produtos
+ *
+ * Compara, com alguns milhares de produtos sintéticos, a grade reconstruída
+ * do zero (todos os cards recriados, como antes da reconciliação) com a
+ * reconciliação por chave de ProductCatalog.reconcileCards. Para cada
+ * cenário mostra o tempo (incluindo o layout) e quantos cards foram
+ * inseridos e removidos da grade.
+ *
+ * Com o catálogo aberto no navegador (npm run dev), cole este arquivo no
+ * console e execute (em localhost a instância do catálogo fica em
+ * window.catalog; em outros endereços, informe-a em "catalog"):
+ *
+ *   await runGridBenchmark();                    // 3000 produtos
+ *   await runGridBenchmark({ count: 5000, term: 'fone' });
+ *
+ * O benchmark troca os produtos exibidos: recarregue a página ao terminar.
+ */
+
+(function () {
+    /**
+     * Produtos sintéticos a partir dos já carregados (IDs e títulos únicos)
+     * @param {Array<Object>} base - Produtos do catálogo
+     * @param {number} count - Quantidade desejada
+     * @returns {Array<Object>}
+     */
+    function createProducts(base, count) {
+        return Array.from({ length: count }, (_, index) => {
+            const product = base[index % base.length];
+            return {
+                ...product,
+                id: 100000 + index,
+                sku: `BENCH-${index}`,
+                title: `${product.title} ${index}`,
+                order: index
+            };
+        });
+    }
+
+    /**
+     * Executa uma etapa e mede tempo e cards inseridos/removidos da grade
+     * @param {Object} catalog - Instância de ProductCatalog
+     * @param {Function} step - Etapa (síncrona), recebe a função de renderização
+     * @param {boolean} rebuild - Descarta os cards atuais a cada renderização (reconstrução completa)
+     * @returns {Object} - { ms, added, removed, cards }
+     */
+    function measure(catalog, step, rebuild) {
+        const grid = catalog.elements.productsGrid;
+        const observer = new MutationObserver(() => {});
+        const render = (options) => {
+            if (rebuild) {
+                catalog.renderedCards = new Map();
+                grid.replaceChildren();
+            }
+            catalog.renderProducts(options);
+        };
+        observer.observe(grid, { childList: true });
+
+        const start = performance.now();
+        step(render);
+        // Força o layout para incluir o custo de desenhar os cards
+        void grid.offsetHeight;
+        const ms = performance.now() - start;
+
+        const records = observer.takeRecords();
+        observer.disconnect();
+
+        return {
+            ms: Math.round(ms * 10) / 10,
+            added: records.reduce((total, record) => total + record.addedNodes.length, 0),
+            removed: records.reduce((total, record) => total + record.removedNodes.length, 0),
+            cards: grid.children.length
+        };
+    }
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.catalog - Instância de ProductCatalog (padrão: window.catalog)
+     * @param {number} options.count - Quantidade de produtos sintéticos (padrão 3000)
+     * @param {string} options.term - Termo digitado letra a letra no cenário de busca
+     * @returns {Promise<Array<Object>>} - Linhas da tabela exibida no console
+     */
+    window.runGridBenchmark = async function (options = {}) {
+        const catalog = options.catalog || window.catalog;
+        const count = options.count || 3000;
+        const term = options.term || 'smartphone';
+
+        if (!catalog || catalog.products.length === 0) {
+            throw new Error('Abra o catálogo e aguarde os produtos carregarem antes do benchmark');
+        }
+
+        catalog.products = createProducts(catalog.products, count);
+        catalog.renderBatchSize = count;
+        catalog.currentSearchTerm = '';
+        catalog.filters = catalog.createEmptyFilters();
+
+        const grid = catalog.elements.productsGrid;
+        const firstId = catalog.products[0].id;
+        const search = (value) => {
+            catalog.currentSearchTerm = value;
+            catalog.filteredProducts = catalog.filterProducts();
+        };
+        const scenarios = [
+            ['Primeira renderização', (render) => {
+                catalog.renderedCards = new Map();
+                grid.replaceChildren();
+                search('');
+                render();
+            }],
+            ['Mesmos dados (revalidação)', (render) => render({ keepRendered: true })],
+            [`Busca digitada ("${term}")`, (render) => {
+                for (let length = 1; length <= term.length; length++) {
+                    search(term.slice(0, length));
+                    render();
+                }
+            }],
+            ['Busca limpa', (render) => {
+                search('');
+                render();
+            }],
+            ['Ordenação por preço', (render) => {
+                catalog.sortBy = 'price-asc';
+                search('');
+                render();
+            }],
+            ['Um favorito alterado', (render) => {
+                catalog.favorites.toggle(firstId);
+                render({ keepRendered: true });
+            }]
+        ].filter(([name]) => catalog.favorites || name !== 'Um favorito alterado');
+
+        const rows = [];
+        for (const rebuild of [true, false]) {
+            catalog.sortBy = 'relevance';
+
+            for (const [name, step] of scenarios) {
+                const result = measure(catalog, step, rebuild);
+                rows.push({ cenário: name, modo: rebuild ? 'reconstrução' : 'reconciliação', ...result });
+
+                // Entre os cenários o navegador desenha a tela
+                await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)));
+            }
+
+            // Desfaz o favorito do cenário
+            catalog.favorites?.toggle(firstId);
+        }
+
+        console.table(rows);
+        return rows;
+    };
+})();
@@ -0,0 +1,135 @@
+/**
+ * Neo Shop - Cliente do Baserow
+ *
+ * Leitura das tabelas de produtos e de avaliações, gravação dos avisos de
+ * estoque e das avaliações enviadas e envio das fotos das avaliações.
+ * O token fica apenas nas Functions (secret BASEROW_TOKEN) e nunca é
+ * enviado ao navegador.
+ */
+
+const DEFAULT_API_URL = 'https://api.baserow.io';
+
+export class BaserowError extends Error {
+    /**
+     * @param {string} message - Mensagem de erro
+     * @param {number} status - Status HTTP retornado pelo Baserow
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'BaserowError';
+        this.status = status;
+    }
+}
+
+export class BaserowClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.token - Token de banco de dados do Baserow
+     * @param {string|number} options.tableId - ID da tabela (produtos, avisos de estoque ou avaliações)
+     * @param {string} [options.apiUrl] - URL base da API (útil para apontar para um stub local)
+     * @param {string} [options.visibleField] - Campo booleano que libera a linha para o catálogo
+     *                                          ("Public" nos produtos, "Approved" nas avaliações)
+     */
+    constructor({ token, tableId, apiUrl = DEFAULT_API_URL, visibleField = 'Public' }) {
+        if (!token) {
+            throw new Error('BASEROW_TOKEN não configurado');
+        }
+        if (!tableId) {
+            throw new Error('BASEROW_TABLE_ID não configurado');
+        }
+
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.baseUrl = `${this.apiUrl}/api/database/rows/table/${tableId}/`;
+        this.visibleField = visibleField;
+        this.headers = {
+            'Authorization': `Token ${token}`,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    /**
+     * Lista linhas públicas (ou aprovadas) da tabela
+     * @param {Object} params - Parâmetros repassados ao Baserow (search, page, size, filtros)
+     * @returns {Promise<Object>} - Resposta do Baserow ({ count, next, previous, results })
+     */
+    async listRows(params = {}) {
+        const url = new URL(this.baseUrl);
+        url.searchParams.append('user_field_names', 'true');
+
+        // O filtro de linhas públicas é sempre aplicado aqui, nunca pelo cliente
+        url.searchParams.append(`filter__${this.visibleField}__boolean`, 'true');
+
+        Object.keys(params).forEach(key => {
+            if (params[key] !== null && params[key] !== undefined && params[key] !== '') {
+                url.searchParams.append(key, params[key]);
+            }
+        });
+
+        return this.request(url.toString());
+    }
+
+    /**
+     * Busca uma linha específica
+     * @param {number} rowId - ID da linha
+     * @returns {Promise<Object|null>} - Linha ou null se não existir
+     */
+    async getRow(rowId) {
+        try {
+            return await this.request(`${this.baseUrl}${rowId}/?user_field_names=true`);
+        } catch (error) {
+            if (error instanceof BaserowError && error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Cria uma linha na tabela
+     * @param {Object} fields - Valores pelos nomes dos campos
+     * @returns {Promise<Object>} - Linha criada
+     */
+    async createRow(fields) {
+        return this.request(`${this.baseUrl}?user_field_names=true`, {
+            method: 'POST',
+            body: JSON.stringify(fields)
+        });
+    }
+
+    /**
+     * Envia um arquivo ao Baserow, para depois ser usado em um campo de arquivo
+     * @param {File} file - Arquivo recebido pela Function
+     * @returns {Promise<Object>} - Arquivo enviado ({ name, url, ... })
+     */
+    async uploadFile(file) {
+        const body = new FormData();
+        body.append('file', file, file.name || 'foto');
+
+        // Sem Content-Type: o fetch define o multipart com o boundary
+        return this.request(`${this.apiUrl}/api/user-files/upload-file/`, {
+            method: 'POST',
+            headers: { 'Authorization': this.headers.Authorization },
+            body
+        });
+    }
+
+    /**
+     * Executa uma requisição autenticada
+     * @param {string} url - URL completa
+     * @param {Object} options - Método, corpo e cabeçalhos (padrão: GET com JSON)
+     * @returns {Promise<Object>} - Corpo JSON da resposta
+     */
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            method: options.method || 'GET',
+            headers: options.headers || this.headers,
+            body: options.body
+        });
+
+        if (!response.ok) {
+            throw new BaserowError(`Erro HTTP do Baserow: ${response.status} - ${response.statusText}`, response.status);
+        }
+
+        return response.json();
+    }
+}
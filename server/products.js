@@ -0,0 +1,120 @@
+/**
+ * Neo Shop - Produtos do Baserow
+ *
+ * Seleciona as colunas da tabela do Baserow que o catálogo usa e as entrega
+ * com os nomes dos campos da aplicação, sem converter os valores: preços,
+ * datas, variações e traduções são validados só no navegador, pelo mesmo
+ * ProductSchema das outras origens (assets/js/product-schema.js). Colunas
+ * fora da lista não saem do servidor.
+ */
+
+// Campo da aplicação → nomes aceitos na tabela (vale o primeiro preenchido)
+const PRODUCT_FIELDS = {
+    id: ['id'],
+    sku: ['sku', 'SKU'],
+    title: ['title'],
+    subtitle: ['subtitle'],
+    description: ['description'],
+    gallery: ['gallery'],
+    price: ['price'],
+    promotionalPrice: ['promotionalPrice'],
+    promotionStart: ['promotionStart', 'Promotion Start'],
+    promotionEnd: ['promotionEnd', 'Promotion End'],
+    category: ['category', 'Category'],
+    tags: ['tags', 'Tags'],
+    seller: ['seller', 'Seller'],
+    variants: ['variants', 'Variants'],
+    stock: ['stock', 'Stock'],
+    available: ['available', 'Available'],
+    rating: ['Rating', 'rating'],
+    reviewCount: ['Review Count', 'reviewCount'],
+    order: ['order'],
+    createdAt: ['createdAt', 'Created', 'created_on']
+};
+
+// Colunas com a versão de um texto em outro idioma ("title_en", "description_es")
+const TRANSLATION_COLUMN = /^(title|subtitle|description)_/i;
+
+/**
+ * Linha do Baserow com os nomes dos campos da aplicação; linhas sem o
+ * campo booleano "Public" marcado não saem do servidor
+ * @param {Object} row - Linha do Baserow
+ * @returns {Object|null} - Produto ainda não validado (ver ProductSchema.validate) ou null
+ */
+export function toProduct(row) {
+    if (!row || row.Public !== true) return null;
+
+    const product = {};
+
+    Object.entries(PRODUCT_FIELDS).forEach(([field, columns]) => {
+        const column = columns.find(name => row[name] !== undefined && row[name] !== null);
+        if (column !== undefined) product[field] = row[column];
+    });
+
+    Object.keys(row)
+        .filter(name => TRANSLATION_COLUMN.test(name))
+        .forEach(name => { product[name] = row[name]; });
+
+    product.images = parseImages(row.gallery);
+    product.public = true;
+
+    return product;
+}
+
+/**
+ * Detalhes das fotos de um campo de arquivo do Baserow, indexados pela URL
+ * da foto (o campo "gallery" do produto continua só com as URLs)
+ * @param {Array<Object>} files - Arquivos ({ url, image_width, image_height, thumbnails })
+ * @returns {Object} - { "url": { width, height, sources: [{ url, width }], preview } }
+ */
+export function parseImages(files) {
+    const images = {};
+    if (!Array.isArray(files)) return images;
+
+    files.forEach(file => {
+        const details = parseImage(file);
+        if (details) images[file.url] = details;
+    });
+
+    return images;
+}
+
+/**
+ * Converte um arquivo do Baserow: as miniaturas na proporção da foto formam o
+ * srcset (as recortadas, como "card_cover", ficam de fora) e a "tiny" serve
+ * de fundo desfocado enquanto a foto carrega
+ * @param {Object} file - { url, image_width, image_height, thumbnails: { tiny: { url, width, height }, ... } }
+ * @returns {Object|null} - Detalhes ou null quando não há nada além da URL
+ */
+export function parseImage(file) {
+    if (!file || typeof file !== 'object' || typeof file.url !== 'string') return null;
+
+    const width = parseInt(file.image_width) || null;
+    const height = parseInt(file.image_height) || null;
+    const thumbnails = file.thumbnails && typeof file.thumbnails === 'object' ? file.thumbnails : {};
+    const preview = thumbnails.tiny && typeof thumbnails.tiny.url === 'string' ? thumbnails.tiny.url : null;
+    const sources = [];
+
+    if (width && height) {
+        const ratio = width / height;
+
+        Object.entries(thumbnails).forEach(([name, thumbnail]) => {
+            if (name === 'tiny' || !thumbnail || typeof thumbnail.url !== 'string') return;
+
+            // O Baserow omite a largura (ou a altura) das miniaturas proporcionais
+            const thumbHeight = parseInt(thumbnail.height) || null;
+            const thumbWidth = parseInt(thumbnail.width) || (thumbHeight ? Math.round(thumbHeight * ratio) : null);
+            if (!thumbWidth || thumbWidth >= width) return;
+
+            const proportional = !thumbHeight || Math.abs(thumbWidth / thumbHeight - ratio) <= ratio * 0.02;
+            if (proportional) sources.push({ url: thumbnail.url, width: thumbWidth });
+        });
+
+        sources.push({ url: file.url, width });
+        sources.sort((a, b) => a.width - b.width);
+    }
+
+    if (!width && !preview) return null;
+
+    return { width, height, sources, preview };
+}
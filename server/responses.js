@@ -0,0 +1,137 @@
+/**
+ * Neo Shop - Utilitários das Functions
+ *
+ * Criação do cliente do Baserow a partir do ambiente e padronização
+ * das respostas JSON do proxy (com ETag para requisições condicionais).
+ */
+
+import { BaserowClient, BaserowError } from './baserow.js';
+
+/**
+ * Cria o cliente do Baserow a partir do ambiente da Function
+ *
+ * Variáveis esperadas:
+ *   BASEROW_TOKEN     (secret) token de banco de dados do Baserow
+ *   BASEROW_TABLE_ID  ID da tabela de produtos
+ *   BASEROW_API_URL   URL base da API (opcional, padrão https://api.baserow.io)
+ *
+ * @param {Object} env - Ambiente da Function
+ * @returns {BaserowClient}
+ */
+export function createClient(env) {
+    return new BaserowClient({
+        token: env.BASEROW_TOKEN,
+        tableId: env.BASEROW_TABLE_ID,
+        apiUrl: env.BASEROW_API_URL || undefined
+    });
+}
+
+/**
+ * Cria o cliente da tabela de avisos de estoque ("Avise-me quando chegar")
+ *
+ * Variável esperada (além de BASEROW_TOKEN e BASEROW_API_URL):
+ *   BASEROW_ALERTS_TABLE_ID  ID da tabela que recebe os pedidos de aviso
+ *
+ * @param {Object} env - Ambiente da Function
+ * @returns {BaserowClient|null} - Cliente ou null se a tabela não foi configurada
+ */
+export function createAlertsClient(env) {
+    if (!env.BASEROW_ALERTS_TABLE_ID) return null;
+
+    return new BaserowClient({
+        token: env.BASEROW_TOKEN,
+        tableId: env.BASEROW_ALERTS_TABLE_ID,
+        apiUrl: env.BASEROW_API_URL || undefined
+    });
+}
+
+/**
+ * Cria o cliente da tabela de avaliações dos produtos
+ *
+ * Variável esperada (além de BASEROW_TOKEN e BASEROW_API_URL):
+ *   BASEROW_REVIEWS_TABLE_ID  ID da tabela de avaliações (ligada à de produtos
+ *                             pelo campo "Product"; só as aprovadas são listadas)
+ *
+ * @param {Object} env - Ambiente da Function
+ * @returns {BaserowClient|null} - Cliente ou null se a tabela não foi configurada
+ */
+export function createReviewsClient(env) {
+    if (!env.BASEROW_REVIEWS_TABLE_ID) return null;
+
+    return new BaserowClient({
+        token: env.BASEROW_TOKEN,
+        tableId: env.BASEROW_REVIEWS_TABLE_ID,
+        apiUrl: env.BASEROW_API_URL || undefined,
+        visibleField: 'Approved'
+    });
+}
+
+/**
+ * Cria uma resposta JSON
+ * @param {*} body - Corpo serializável
+ * @param {number} status - Status HTTP
+ * @param {Object} extraHeaders - Cabeçalhos adicionais
+ * @returns {Response}
+ */
+export function jsonResponse(body, status = 200, extraHeaders = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': status === 200 ? 'public, max-age=60' : 'no-store',
+            ...extraHeaders
+        }
+    });
+}
+
+/**
+ * Resposta JSON com ETag: se o navegador já tem a mesma versão
+ * (If-None-Match), responde 304 sem corpo
+ * @param {Request} request - Requisição recebida
+ * @param {*} body - Corpo serializável
+ * @returns {Promise<Response>}
+ */
+export async function conditionalJsonResponse(request, body) {
+    const text = JSON.stringify(body);
+    const etag = `"${await hashText(text)}"`;
+    const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'public, max-age=60',
+        'ETag': etag
+    };
+
+    // A Cloudflare pode enfraquecer o ETag (W/"...") ao comprimir a resposta
+    const known = (request.headers.get('If-None-Match') || '')
+        .split(',')
+        .map(value => value.trim().replace(/^W\//, ''));
+
+    if (known.includes(etag) || known.includes('*')) {
+        return new Response(null, { status: 304, headers: { 'Cache-Control': headers['Cache-Control'], 'ETag': etag } });
+    }
+
+    return new Response(text, { status: 200, headers });
+}
+
+/**
+ * @param {string} text - Conteúdo
+ * @returns {Promise<string>} - SHA-1 em hexadecimal
+ */
+async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Converte erros em respostas JSON sem expor detalhes internos
+ * @param {Error} error
+ * @returns {Response}
+ */
+export function errorResponse(error) {
+    console.error('Erro no proxy de produtos:', error);
+
+    if (error instanceof BaserowError) {
+        return jsonResponse({ error: 'Falha ao consultar a base de produtos' }, 502);
+    }
+
+    return jsonResponse({ error: 'Erro interno' }, 500);
+}
@@ -0,0 +1,140 @@
+/**
+ * Neo Shop - Avaliações
+ *
+ * Validação das avaliações enviadas pelo catálogo, conversão para a linha
+ * gravada no Baserow (sempre pendente de moderação) e leitura das
+ * avaliações aprovadas de um produto.
+ */
+
+// Limites dos campos enviados pelo formulário "Avaliar produto"
+const MAX_AUTHOR_LENGTH = 80;
+const MIN_TEXT_LENGTH = 10;
+const MAX_TEXT_LENGTH = 2000;
+export const MAX_PHOTOS = 3;
+export const MAX_PHOTO_SIZE = 5 * 1024 * 1024;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Valida os campos da avaliação. Os erros são códigos por campo, traduzidos
+ * pelo catálogo no idioma do visitante (reviews.errors.*)
+ * @param {Object} body - { productId, author, rating, text }
+ * @returns {Object} - { review, errors } (review é null quando há erros)
+ */
+export function parseReview(body) {
+    const errors = {};
+
+    if (!body || typeof body !== 'object') {
+        return { review: null, errors: { body: 'invalid' } };
+    }
+
+    const productId = parseInt(body.productId);
+    if (!productId || productId <= 0) {
+        errors.productId = 'product';
+    }
+
+    const author = String(body.author || '').trim();
+    if (!author || author.length > MAX_AUTHOR_LENGTH) {
+        errors.author = 'author';
+    }
+
+    const rating = Number(body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        errors.rating = 'rating';
+    }
+
+    const text = String(body.text || '').trim();
+    if (text.length < MIN_TEXT_LENGTH || text.length > MAX_TEXT_LENGTH) {
+        errors.text = 'text';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { review: null, errors };
+    }
+
+    return {
+        review: { productId, author, rating, text },
+        errors: null
+    };
+}
+
+/**
+ * Valida as fotos anexadas
+ * @param {Array<File>} files - Arquivos do formulário
+ * @returns {Object} - { photos, errors } (códigos, como em parseReview)
+ */
+export function parseReviewPhotos(files) {
+    const photos = (Array.isArray(files) ? files : []).filter(file => file && file.size > 0);
+
+    if (photos.length > MAX_PHOTOS) {
+        return { photos: null, errors: { photos: 'photoCount' } };
+    }
+    if (photos.some(file => !PHOTO_TYPES.includes(file.type))) {
+        return { photos: null, errors: { photos: 'photoType' } };
+    }
+    if (photos.some(file => file.size > MAX_PHOTO_SIZE)) {
+        return { photos: null, errors: { photos: 'photoSize' } };
+    }
+
+    return { photos, errors: null };
+}
+
+/**
+ * Linha gravada na tabela de avaliações (não aprovada: a loja modera no Baserow)
+ * @param {Object} review - Avaliação validada
+ * @param {Object} product - Produto (formato da aplicação)
+ * @param {Array<Object>} photos - Arquivos já enviados ao Baserow ({ name })
+ * @returns {Object} - Campos pelos nomes do Baserow
+ */
+export function toReviewRow(review, product, photos = []) {
+    return {
+        'Product': [product.id],
+        'Author': review.author,
+        'Rating': review.rating,
+        'Text': review.text,
+        'Photos': photos.map(photo => ({ name: photo.name })),
+        'Approved': false,
+        'Submitted At': new Date().toISOString()
+    };
+}
+
+/**
+ * Transforma a linha da tabela de avaliações para o formato da aplicação
+ * @param {Object} row - Linha do Baserow
+ * @returns {Object|null} - { id, author, rating, text, photos, createdAt } ou null se inválida
+ */
+export function transformReview(row) {
+    if (!row || typeof row !== 'object') return null;
+
+    const rating = parseInt(row.Rating);
+    if (!rating || rating < 1 || rating > 5) return null;
+
+    const submittedAt = new Date(row['Submitted At'] ?? row.created_on ?? '');
+
+    return {
+        id: parseInt(row.id) || 0,
+        author: String(row.Author || '').trim().slice(0, MAX_AUTHOR_LENGTH),
+        rating,
+        text: String(row.Text || '').trim(),
+        photos: Array.isArray(row.Photos)
+            ? row.Photos.map(photo => photo && photo.url).filter(url => typeof url === 'string')
+            : [],
+        createdAt: isNaN(submittedAt.getTime()) ? null : submittedAt.toISOString()
+    };
+}
+
+/**
+ * Nota média (uma casa decimal) e quantidade de avaliações
+ * @param {Array<Object>} reviews - Avaliações aprovadas
+ * @returns {Object} - { average, count } (average é null sem avaliações)
+ */
+export function summarizeReviews(reviews) {
+    if (reviews.length === 0) {
+        return { average: null, count: 0 };
+    }
+
+    const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+    return {
+        average: Math.round(total / reviews.length * 10) / 10,
+        count: reviews.length
+    };
+}
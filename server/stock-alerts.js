@@ -0,0 +1,92 @@
+/**
+ * Neo Shop - Avisos de estoque
+ *
+ * Validação dos pedidos "Avise-me quando chegar" enviados pelo catálogo
+ * e conversão para a linha gravada no Baserow.
+ */
+
+// Tamanho máximo dos textos livres
+const MAX_NAME_LENGTH = 80;
+const MAX_VARIANT_LENGTH = 120;
+
+/**
+ * Valida o corpo do pedido de aviso. Os erros são códigos por campo,
+ * traduzidos pelo catálogo no idioma do visitante (notify.errors.*)
+ * @param {Object} body - { productId, variantId, variant, name, contact }
+ * @returns {Object} - { alert, errors } (alert é null quando há erros)
+ */
+export function parseStockAlert(body) {
+    const errors = {};
+
+    if (!body || typeof body !== 'object') {
+        return { alert: null, errors: { body: 'invalid' } };
+    }
+
+    const productId = parseInt(body.productId);
+    if (!productId || productId <= 0) {
+        errors.productId = 'product';
+    }
+
+    const contact = normalizeContact(body.contact);
+    if (!contact) {
+        errors.contact = 'contact';
+    }
+
+    const name = String(body.name || '').trim();
+    if (name.length > MAX_NAME_LENGTH) {
+        errors.name = 'name';
+    }
+
+    const variant = String(body.variant || '').trim();
+    if (variant.length > MAX_VARIANT_LENGTH) {
+        errors.variant = 'variant';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { alert: null, errors };
+    }
+
+    return {
+        alert: {
+            productId,
+            variantId: body.variantId ? String(body.variantId).slice(0, MAX_VARIANT_LENGTH) : null,
+            variant: variant || null,
+            name: name || null,
+            contact
+        },
+        errors: null
+    };
+}
+
+/**
+ * Normaliza o contato: e-mail em minúsculas ou telefone só com dígitos
+ * @param {string} value - Contato digitado
+ * @returns {string|null} - Contato normalizado ou null se inválido
+ */
+export function normalizeContact(value) {
+    const text = String(value || '').trim();
+
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) && text.length <= 254) {
+        return text.toLowerCase();
+    }
+
+    const digits = text.replace(/[\s().+-]/g, '');
+    return /^\d{10,15}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Linha gravada na tabela de avisos
+ * @param {Object} alert - Pedido validado
+ * @param {Object} product - Produto (ver toProduct em server/products.js)
+ * @returns {Object} - Campos pelos nomes do Baserow
+ */
+export function toAlertRow(alert, product) {
+    return {
+        'Product ID': alert.productId,
+        'Product': String(product.title ?? '').trim(),
+        'Variant': alert.variant || '',
+        'Name': alert.name || '',
+        'Contact': alert.contact,
+        'Requested At': new Date().toISOString()
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * Neo Shop - Service Worker
+ *
+ * - Pré-carrega o shell da aplicação (HTML, CSS e JS) em um cache versionado
+ * - Produtos: rede primeiro (a página já guarda e revalida as respostas,
+ *   ver ApiService), com a última resposta em cache quando offline
+ * - Configuração e imagens: stale-while-revalidate
+ * - Navegação: rede primeiro, com o index.html em cache quando offline
+ *
+ * Ao alterar qualquer arquivo do shell, incremente CACHE_VERSION para que
+ * os visitantes recebam o aviso de nova versão.
+ */
+
+const CACHE_VERSION = 'v21';
+const SHELL_CACHE = `neo-shop-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'neo-shop-data';
+const IMAGE_CACHE = 'neo-shop-images';
+const MAX_CACHED_IMAGES = 150;
+
+// Caminhos relativos ao sw.js, para funcionar também em subdiretórios
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './assets/css/style.css',
+    './assets/js/message-template.js',
+    './assets/js/whatsapp-router.js',
+    './assets/js/config.js',
+    './assets/js/i18n.js',
+    './assets/js/api.js',
+    './assets/js/product-schema.js',
+    './assets/js/data-sources.js',
+    './assets/js/reviews.js',
+    './assets/js/variants.js',
+    './assets/js/stock.js',
+    './assets/js/promotions.js',
+    './assets/js/pricing.js',
+    './assets/js/images.js',
+    './assets/js/gallery.js',
+    './assets/js/lightbox.js',
+    './assets/js/cart.js',
+    './assets/js/favorites.js',
+    './assets/js/pwa.js',
+    './assets/js/router.js',
+    './assets/js/search.js',
+    './assets/js/search-history.js',
+    './assets/js/app.js',
+    './assets/icons/icon.svg',
+    './assets/images/placeholder.svg',
+    './assets/images/image-error.svg',
+    './config.json',
+    './locales/pt-BR.json',
+    './locales/en.json',
+    './locales/es.json',
+    './data/products.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('neo-shop-shell-') && key !== SHELL_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// A página pede a ativação da nova versão quando o usuário aceita o aviso
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (sameOrigin && (url.pathname.includes('/api/products') || url.pathname.endsWith('/data/products.json'))) {
+        event.respondWith(networkFirstData(request));
+        return;
+    }
+
+    if (sameOrigin && url.pathname.endsWith('/config.json')) {
+        event.respondWith(staleWhileRevalidate(request, DATA_CACHE, event));
+        return;
+    }
+
+    // Fotos externas; as locais (placeholder e erro) vêm do shell
+    if (request.destination === 'image' && !sameOrigin) {
+        event.respondWith(staleWhileRevalidate(request, IMAGE_CACHE, event, MAX_CACHED_IMAGES));
+        return;
+    }
+
+    if (sameOrigin) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Rede primeiro; sem conexão, usa a página em cache
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put('./index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true }) || await caches.match('./index.html');
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Rede primeiro para os produtos: servir o cache aqui atrasaria as
+ * revalidações da página; sem conexão, a última resposta guardada
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirstData(request) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request);
+        // 304 vai direto para a página, que já tem o corpo
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Cache primeiro (arquivos do shell); busca na rede o que não estiver em cache
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+}
+
+/**
+ * Responde com o cache (se houver) e atualiza em segundo plano
+ * @param {Request} request
+ * @param {string} cacheName - Cache utilizado
+ * @param {FetchEvent} event - Evento, para manter a atualização viva
+ * @param {number} maxEntries - Limite de entradas no cache (opcional)
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, cacheName, event, maxEntries = 0) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(async (response) => {
+            // Respostas opacas (imagens de outros domínios) também são guardadas
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(request, response.clone());
+                if (maxEntries) {
+                    await trimCache(cache, maxEntries);
+                }
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
+
+/**
+ * Remove as entradas mais antigas até o limite informado
+ * @param {Cache} cache
+ * @param {number} maxEntries
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const window = loadScripts(['product-schema.js', 'data-sources.js']);
+const { CatalogSource } = window;
+
+describe('SheetsProvider.parseCsv', () => {
+    const sheets = new CatalogSource.providers.sheets({ url: 'https://planilha.test/pub?output=csv' });
+
+    it('separa linhas e células', () => {
+        assert.deepEqual(sheets.parseCsv('id,title\n1,Fone\r\n2,Notebook'), [
+            ['id', 'title'],
+            ['1', 'Fone'],
+            ['2', 'Notebook']
+        ]);
+    });
+
+    it('aceita aspas, aspas duplicadas e quebras de linha nas células', () => {
+        assert.deepEqual(sheets.parseCsv('title,description\n"Fone, sem fio","Som ""premium""\nbateria de 30 h"\n'), [
+            ['title', 'description'],
+            ['Fone, sem fio', 'Som "premium"\nbateria de 30 h']
+        ]);
+    });
+
+    it('mantém células vazias', () => {
+        assert.deepEqual(sheets.parseCsv('a,,c\n,,'), [['a', '', 'c'], ['', '', '']]);
+        assert.deepEqual(sheets.parseCsv(''), []);
+    });
+});
+
+describe('CatalogSource.loadFrom', () => {
+    const product = (id, extra = {}) => ({ id, title: `Produto ${id}`, description: 'Descrição', price: 10, ...extra });
+
+    /**
+     * Origem com as páginas informadas (count: total de itens)
+     */
+    const pagedProvider = (pages) => ({
+        fetchPage: async (page) => ({
+            items: pages[page - 1],
+            count: pages.flat().length,
+            next: page < pages.length ? page + 1 : null
+        })
+    });
+
+    it('ordena e descarta IDs repetidos considerando todas as páginas', async () => {
+        const warnings = [];
+        const { warn } = console;
+        console.warn = (message) => warnings.push(message);
+
+        try {
+            const seen = [];
+            const products = await CatalogSource.loadFrom(pagedProvider([
+                [product(1, { order: 5 }), product(2)],
+                [product(3, { order: 1 }), product(1, { title: 'Repetido' })]
+            ]), {
+                onPage: ({ products: loaded }) => seen.push(loaded.map(item => item.id))
+            });
+
+            assert.deepEqual(products.map(item => [item.id, item.title]), [[3, 'Produto 3'], [2, 'Produto 2'], [1, 'Produto 1']]);
+            assert.deepEqual(seen, [[2, 1], [3, 2, 1]]);
+            assert.equal(warnings.length, 1);
+            assert.match(warnings[0], /produto 1 \(descartado\)/);
+        } finally {
+            console.warn = warn;
+        }
+    });
+
+    it('interrompe o carregamento cancelado', async () => {
+        const controller = new AbortController();
+        const provider = {
+            fetchPage: async () => {
+                controller.abort();
+                return { items: [product(1)], count: 2, next: 2 };
+            }
+        };
+
+        await assert.rejects(CatalogSource.loadFrom(provider, { signal: controller.signal }), { name: 'AbortError' });
+    });
+});
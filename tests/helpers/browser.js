@@ -0,0 +1,43 @@
+/**
+ * Carrega scripts de assets/js no Node, como o navegador faria: cada script
+ * registra o seu serviço em `window` (ex.: window.SearchEngine)
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', '..', 'assets', 'js');
+
+/**
+ * localStorage em memória, para os serviços que guardam estado
+ * @returns {Object} - { getItem, setItem, removeItem, clear }
+ */
+function createStorage() {
+    const items = new Map();
+
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * @param {Array<string>} files - Scripts de assets/js, na ordem do index.html
+ * @returns {Object} - `window` com os serviços registrados
+ */
+function loadScripts(files) {
+    const window = { localStorage: createStorage() };
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8');
+        const run = vm.compileFunction(source, ['window', 'localStorage'], { filename: file });
+        run(window, window.localStorage);
+    });
+
+    return window;
+}
+
+module.exports = { loadScripts };
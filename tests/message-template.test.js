@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { MessageTemplate } = loadScripts(['message-template.js']);
+
+describe('MessageTemplate', () => {
+    it('preenche as variáveis do modelo', () => {
+        const message = MessageTemplate.render('Olá, {store}! Quero o {title} por {price}.', {
+            store: 'Neo Shop',
+            title: 'Fone',
+            price: 'R$ 99,90'
+        });
+
+        assert.equal(message, 'Olá, Neo Shop! Quero o Fone por R$ 99,90.');
+    });
+
+    it('remove as linhas cujas variáveis ficaram vazias', () => {
+        const message = MessageTemplate.render('Produto: {title}\nSKU: {sku}\n\n\n\nObrigado!', { title: 'Fone', sku: null });
+
+        assert.equal(message, 'Produto: Fone\n\nObrigado!');
+    });
+
+    it('não expande variáveis que vieram dentro de um valor', () => {
+        assert.equal(MessageTemplate.render('{title}', { title: 'Cupom {price}', price: '1' }), 'Cupom {price}');
+    });
+
+    it('mantém variáveis desconhecidas e as informa', () => {
+        assert.equal(MessageTemplate.render('{titel}: {title}', { title: 'Fone' }), '{titel}: Fone');
+        assert.deepEqual(MessageTemplate.getUnknownPlaceholders('{titel} {title} {titel} {preço}'), ['titel']);
+    });
+
+    it('deixa cada valor em uma linha só, sem caracteres de controle', () => {
+        assert.equal(MessageTemplate.sanitize('Fone\nBluetooth\t\u0007 '), 'Fone Bluetooth');
+        assert.equal(MessageTemplate.sanitize(undefined), '');
+        assert.equal(MessageTemplate.sanitize(3), '3');
+    });
+});
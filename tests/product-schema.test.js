@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { ProductSchema } = loadScripts(['product-schema.js']);
+
+const base = { id: 1, title: 'Fone', description: 'Fone sem fio', price: 99.9 };
+
+describe('ProductSchema.parseNumber', () => {
+    it('aceita moeda, separador de milhar e vírgula decimal', () => {
+        assert.equal(ProductSchema.parseNumber('R$ 1.299,90'), 1299.9);
+        assert.equal(ProductSchema.parseNumber('1,299.90'), 1299.9);
+        assert.equal(ProductSchema.parseNumber('1299,9'), 1299.9);
+        assert.equal(ProductSchema.parseNumber('12.50'), 12.5);
+        assert.equal(ProductSchema.parseNumber('R$ 1.299.000,00'), 1299000);
+        assert.equal(ProductSchema.parseNumber(42), 42);
+    });
+
+    it('lê um separador seguido de três dígitos como milhar', () => {
+        assert.equal(ProductSchema.parseNumber('1.299'), 1299);
+        assert.equal(ProductSchema.parseNumber('R$ 1.299'), 1299);
+        assert.equal(ProductSchema.parseNumber('1,299'), 1299);
+        assert.equal(ProductSchema.parseNumber('1.299.000'), 1299000);
+    });
+
+    it('recusa valores ambíguos ou malformados', () => {
+        for (const value of ['0,500', '1.29.9', '1,2,3', '1.299,90,1', 'abc', '', null]) {
+            assert.ok(Number.isNaN(ProductSchema.parseNumber(value)), JSON.stringify(value));
+        }
+    });
+});
+
+describe('ProductSchema.validate', () => {
+    it('normaliza os campos de qualquer origem', () => {
+        const { product, errors } = ProductSchema.validate({
+            ...base,
+            id: '7',
+            price: '1.299,90',
+            'Promotional Price': '999',
+            Category: { value: 'Áudio' },
+            tags: 'Bluetooth, Sem fio, Bluetooth',
+            gallery: 'https://a.test/1.jpg, https://a.test/2.jpg',
+            Created: '2026-01-02',
+            title_en: 'Headphones'
+        });
+
+        assert.deepEqual(errors, []);
+        assert.equal(product.id, 7);
+        assert.equal(product.price, 1299.9);
+        assert.equal(product.promotionalPrice, 999);
+        assert.equal(product.category, 'Áudio');
+        assert.deepEqual(product.tags, ['Bluetooth', 'Sem fio']);
+        assert.deepEqual(product.gallery, ['https://a.test/1.jpg', 'https://a.test/2.jpg']);
+        assert.equal(product.createdAt, '2026-01-02T00:00:00.000Z');
+        assert.deepEqual(product.translations, { en: { title: 'Headphones' } });
+        assert.equal(product.public, true);
+    });
+
+    it('descarta o produto sem campo obrigatório válido', () => {
+        const { product, errors } = ProductSchema.validate({ ...base, price: '0,500' });
+
+        assert.equal(product, null);
+        assert.equal(errors[0].field, 'price');
+    });
+
+    it('troca opcionais inválidos pelo padrão e informa o erro', () => {
+        const { product, errors } = ProductSchema.validate({ ...base, stock: '-1', promotionalPrice: 'abc' });
+
+        assert.equal(product.stock, null);
+        assert.equal(product.promotionalPrice, null);
+        assert.deepEqual(errors.map(error => error.field), ['promotionalPrice', 'stock']);
+    });
+
+    it('lê o ID sem validar o restante', () => {
+        assert.equal(ProductSchema.readId({ ID: '12' }), 12);
+        assert.equal(ProductSchema.readId({ title: 'sem ID' }), 0);
+    });
+});
+
+describe('ProductSchema.normalizeList', () => {
+    it('descarta inválidos e não públicos e usa a posição como ordem padrão', () => {
+        const { products, issues } = ProductSchema.normalizeList([
+            { ...base, id: 1 },
+            { ...base, id: 2, public: 'não' },
+            { ...base, id: 3, title: '' },
+            { ...base, id: 4, order: 1 }
+        ], 10);
+
+        assert.deepEqual(products.map(product => [product.id, product.order]), [[1, 11], [4, 1]]);
+        assert.deepEqual(issues.map(issue => [issue.position, issue.rejected]), [[13, true]]);
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { SearchEngine } = loadScripts(['search.js']);
+
+const products = [
+    { id: 1, title: 'Smartphone Pro Max', subtitle: 'Tela de 6,7"', category: 'Celulares', tags: ['5G'], description: 'Câmera tripla' },
+    { id: 2, title: 'Fone de Ouvido Bluetooth', subtitle: 'Cancelamento de ruído', category: 'Áudio', tags: ['sem fio'], description: 'Ideal para o smartphone' },
+    { id: 3, title: 'Notebook Ultrabook', subtitle: 'Leve e fino', category: 'Informática', tags: [], description: 'Tela sem bordas' }
+];
+
+describe('SearchEngine', () => {
+    it('ignora acentos e maiúsculas', () => {
+        assert.equal(SearchEngine.normalize('Fônes ÁUDIO'), 'fones audio');
+        assert.deepEqual([...SearchEngine.score(products, 'audio').keys()], [2]);
+    });
+
+    it('só traz produtos que têm todas as palavras da consulta', () => {
+        assert.deepEqual([...SearchEngine.score(products, 'fone bluetooth').keys()], [2]);
+        assert.equal(SearchEngine.score(products, 'fone notebook').size, 0);
+        assert.equal(SearchEngine.score(products, '   ').size, 0);
+    });
+
+    it('pesa mais o título que a descrição', () => {
+        const scores = SearchEngine.score(products, 'smartphone');
+
+        assert.ok(scores.get(1) > scores.get(2));
+    });
+
+    it('aceita prefixos, partes de palavras e erros de digitação', () => {
+        assert.ok(SearchEngine.score(products, 'note').has(3));
+        assert.ok(SearchEngine.score(products, 'phone').has(1));
+        assert.ok(SearchEngine.score(products, 'notebok').has(3));
+        assert.ok(SearchEngine.score(products, 'smratphone').has(1));
+    });
+
+    it('não tolera erros em palavras curtas', () => {
+        assert.equal(SearchEngine.score(products, 'fon').size, 1);
+        assert.equal(SearchEngine.score(products, 'fxn').size, 0);
+    });
+
+    it('marca os trechos encontrados no texto original', () => {
+        assert.deepEqual(SearchEngine.getMatchRanges('Fône de Ouvido', 'fone'), [[0, 4]]);
+        assert.deepEqual(SearchEngine.getMatchRanges('Fône de Ouvido', ''), []);
+    });
+
+    it('sugere a consulta corrigida quando não há resultados', () => {
+        assert.deepEqual(SearchEngine.suggest(products, 'smartfone'), ['smartphone']);
+        assert.deepEqual(SearchEngine.suggest(products, 'notbook xyzxyz'), ['notebook']);
+        assert.deepEqual(SearchEngine.suggest(products, 'qwerty'), []);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const window = loadScripts(['whatsapp-router.js']);
+const router = window.WhatsAppRouter;
+
+// Segunda-feira, 10:00 UTC
+const monday = new Date('2026-10-19T10:00:00Z');
+
+const sellers = [
+    { id: 'ana', name: 'Ana', number: '5521911111111', categories: ['Áudio'] },
+    { id: 'bia', name: 'Bia', number: '5521922222222', hours: { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' } },
+    { id: 'caio', name: 'Caio', number: '5521933333333', hours: { days: [1], start: '22:00', end: '02:00' } }
+];
+
+describe('WhatsAppRouter', () => {
+    beforeEach(() => {
+        window.localStorage.clear();
+        router.configure({ number: '5521900000000', sellers, roundRobin: false, timezone: 'UTC' });
+    });
+
+    it('usa o vendedor informado no produto, pelo ID, nome ou número', () => {
+        assert.equal(router.getNumber([{ seller: 'bia' }], { now: monday }), '5521922222222');
+        assert.equal(router.getNumber([{ seller: ' ANA ' }], { now: monday }), '5521911111111');
+        assert.equal(router.getNumber([{ seller: '5521944444444' }], { now: monday }), '5521944444444');
+    });
+
+    it('encaminha pela categoria do produto', () => {
+        assert.equal(router.getNumber([{ category: 'audio' }], { now: monday }), '5521911111111');
+    });
+
+    it('contato geral e produtos de grupos diferentes vão para quem atende tudo', () => {
+        assert.equal(router.getNumber([], { now: monday }), '5521922222222');
+        assert.equal(router.getNumber([{ category: 'Áudio' }, { seller: 'bia' }], { now: monday }), '5521922222222');
+    });
+
+    it('respeita o horário de atendimento, inclusive o que vira a noite', () => {
+        const sunday = new Date('2026-10-18T10:00:00Z');
+        const mondayNight = new Date('2026-10-19T23:00:00Z');
+        const tuesdayDawn = new Date('2026-10-20T01:00:00Z');
+        const tuesdayNight = new Date('2026-10-20T23:00:00Z');
+
+        assert.equal(router.isAvailable(sellers[1], sunday), false);
+        assert.equal(router.isAvailable(sellers[1], monday), true);
+        assert.equal(router.isAvailable(sellers[2], mondayNight), true);
+        assert.equal(router.isAvailable(sellers[2], tuesdayDawn), true);
+        assert.equal(router.isAvailable(sellers[2], tuesdayNight), false);
+    });
+
+    it('sem vendedor disponível, usa o número principal', () => {
+        router.configure({ number: '5521900000000', sellers: [sellers[1]], timezone: 'UTC' });
+
+        assert.equal(router.getNumber([], { now: new Date('2026-10-18T10:00:00Z') }), '5521900000000');
+    });
+
+    it('com rodízio, avança só quando a conversa é aberta', () => {
+        const pool = [
+            { id: 'x', number: '1' },
+            { id: 'y', number: '2' }
+        ];
+        router.configure({ number: '0', sellers: pool, roundRobin: true });
+        window.localStorage.setItem(router.storageKey, '0');
+
+        assert.equal(router.getNumber([], { now: monday }), '1');
+        assert.equal(router.getNumber([], { now: monday, advance: true }), '1');
+        assert.equal(router.getNumber([], { now: monday }), '2');
+    });
+});